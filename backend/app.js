@@ -4,9 +4,11 @@ const cors = require('cors');
 const http = require('http');
 const https = require('https');
 const fs = require('fs');
-const cron = require('node-cron');
-const { processPreviousDayShipments, getCoverzySettings } = require('./cron/coverzyCron');
+const { refreshSchedule } = require('./cron/scheduler');
+const { runStartupCatchUp } = require('./cron/catchUp');
+const { scheduleFxRateRefresh } = require('./cron/fxRates');
 const pool = require('./config/db');
+const { ensureCoverzySchema } = require('./config/schema');
 
 const app = express();
 const port = process.env.PORT;
@@ -80,62 +82,53 @@ const testDatabaseConnection = async () => {
   }
 };
 
-// Configure cron job based on cip_time from database
+// Configure cron job based on cip_time from database; settings updates reschedule it
 const setupDynamicCronJob = async () => {
   try {
-    // Get current settings from database
-    const settings = await getCoverzySettings();
-    const cipTime = settings.cipTime; // Format: "HH:MM:SS" from database
-    
-    if (!cipTime || !cipTime.match(/^\d{2}:\d{2}:\d{2}$/)) {
-      console.error('Invalid or missing cip_time in database. Expected format: HH:MM:SS');
-      return;
+    const schedule = await refreshSchedule();
+    if (schedule.scheduled) {
+      console.log(`Next Coverzy run at ${schedule.nextRunAt}`);
     }
-    
-    // Extract hours and minutes from cip_time (ignore seconds)
-    const [hours, minutes] = cipTime.split(':');
-    const timeForCron = `${hours}:${minutes}`;
-    
-    // Create cron expression: "minutes hours * * *" (daily)
-    const cronExpression = `${minutes} ${hours} * * *`;
-    
-    console.log(`Setting up cron job based on database cip_time: ${cipTime}`);
-    console.log(`Cron expression: ${cronExpression} (${hours}:${minutes} daily)`);
-    
-    // Schedule the cron job
-    cron.schedule(cronExpression, async () => {
-      console.log('======================================');
-      console.log(`Running Coverzy cron job at ${new Date().toLocaleString()} (cip_time: ${timeForCron})`);
-      console.log('======================================');
-      
-      try {
-        const result = await processPreviousDayShipments();
-        console.log(`Cron completed: Processed ${result.processed} shipments, with ${result.results.length} successful and ${result.errors.length} failed`);
-      } catch (error) {
-        console.error('Cron job failed:', error.message);
-      }
-      
-      console.log('======================================');
-    }, {
-      timezone: "Asia/Kolkata" // Indian timezone
-    });
-    
-    console.log(`Coverzy cron job scheduled successfully for ${timeForCron} daily (IST)`);
-    
   } catch (error) {
     console.error('Failed to setup dynamic cron job:', error.message);
     console.error('Make sure coverzy_settings table has valid data with cip_time field');
   }
 };
 
+// Refresh exchange rates daily from the configured provider (FX_RATE_PROVIDER)
+const setupFxRateRefresh = async () => {
+  try {
+    await scheduleFxRateRefresh();
+  } catch (error) {
+    console.error('Failed to setup FX rate refresh:', error.message);
+  }
+};
+
+// Process (or flag for confirmation) daily runs missed while the server was down
+const catchUpMissedRuns = async () => {
+  try {
+    await runStartupCatchUp();
+  } catch (error) {
+    console.error('Failed to check for missed Coverzy runs:', error.message);
+  }
+};
+
 // Start server with HTTP/HTTPS based on environment
 const startServer = async () => {
   console.log('Testing database connection...');
   await testDatabaseConnection();
   
+  // Create any missing pipeline tables (run ledger etc.)
+  await ensureCoverzySchema();
+  
   // Setup dynamic cron job based on database cip_time
   await setupDynamicCronJob();
   
+  // Before the catch-up, so missed days are validated against up-to-date rates
+  await setupFxRateRefresh();
+  
+  await catchUpMissedRuns();
+  
   if (process.env.NODE_ENV === "local") {
     const server = http.createServer(app);
     server.listen(port, () => {
@@ -0,0 +1,293 @@
+const pool = require('./db');
+
+// Tables owned by the Coverzy pipeline (created on startup when missing)
+const TABLE_DEFINITIONS = [
+  `CREATE TABLE IF NOT EXISTS coverzy_runs (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    trigger_type VARCHAR(20) NOT NULL,
+    target_date DATE NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'running',
+    settings_snapshot JSON NULL,
+    total_shipments INT NOT NULL DEFAULT 0,
+    valid_shipments INT NOT NULL DEFAULT 0,
+    processed_shipments INT NOT NULL DEFAULT 0,
+    successful_shipments INT NOT NULL DEFAULT 0,
+    failed_shipments INT NOT NULL DEFAULT 0,
+    error_message TEXT NULL,
+    started_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    finished_at DATETIME NULL,
+    INDEX idx_coverzy_runs_target_date (target_date),
+    INDEX idx_coverzy_runs_status (status)
+  )`,
+  `CREATE TABLE IF NOT EXISTS coverzy_awb_decisions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    run_id INT NULL,
+    awb VARCHAR(100) NOT NULL,
+    target_date DATE NULL,
+    outcome VARCHAR(30) NOT NULL,
+    reason TEXT NULL,
+    details JSON NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_coverzy_awb_decisions_awb (awb),
+    INDEX idx_coverzy_awb_decisions_target_date (target_date),
+    INDEX idx_coverzy_awb_decisions_run_id (run_id)
+  )`,
+  `CREATE TABLE IF NOT EXISTS coverzy_inflight_shipments (
+    awb VARCHAR(100) NOT NULL PRIMARY KEY,
+    run_id INT NULL,
+    claim_token VARCHAR(64) NOT NULL,
+    claimed_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE TABLE IF NOT EXISTS coverzy_run_lock (
+    lock_name VARCHAR(50) NOT NULL PRIMARY KEY,
+    owner VARCHAR(150) NOT NULL,
+    run_id INT NULL,
+    trigger_type VARCHAR(20) NULL,
+    acquired_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    heartbeat_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+  )`,
+  `CREATE TABLE IF NOT EXISTS coverzy_backfills (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    from_date DATE NOT NULL,
+    to_date DATE NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    days_total INT NOT NULL DEFAULT 0,
+    days_completed INT NOT NULL DEFAULT 0,
+    owner VARCHAR(100) NULL,
+    heartbeat_at DATETIME NULL,
+    error_message TEXT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    finished_at DATETIME NULL,
+    INDEX idx_coverzy_backfills_status (status)
+  )`,
+  `CREATE TABLE IF NOT EXISTS coverzy_backfill_days (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    backfill_id INT NOT NULL,
+    target_date DATE NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    attempts INT NOT NULL DEFAULT 0,
+    run_id INT NULL,
+    total_shipments INT NOT NULL DEFAULT 0,
+    successful_shipments INT NOT NULL DEFAULT 0,
+    failed_shipments INT NOT NULL DEFAULT 0,
+    skipped_shipments INT NOT NULL DEFAULT 0,
+    error_message TEXT NULL,
+    started_at DATETIME NULL,
+    finished_at DATETIME NULL,
+    UNIQUE KEY uniq_coverzy_backfill_day (backfill_id, target_date)
+  )`,
+  `CREATE TABLE IF NOT EXISTS coverzy_schedules (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    cron_expression VARCHAR(100) NOT NULL,
+    timezone VARCHAR(64) NOT NULL DEFAULT 'Asia/Kolkata',
+    target_date_offset INT NOT NULL DEFAULT -1,
+    enabled TINYINT(1) NOT NULL DEFAULT 1,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_coverzy_schedule_name (name)
+  )`,
+  `CREATE TABLE IF NOT EXISTS coverzy_rules (
+    id VARCHAR(50) NOT NULL PRIMARY KEY,
+    enabled TINYINT(1) NOT NULL DEFAULT 1,
+    sort_order INT NOT NULL DEFAULT 0,
+    params JSON NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+  )`,
+  `CREATE TABLE IF NOT EXISTS coverzy_carrier_routes (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    destination_aliases VARCHAR(255) NOT NULL,
+    service_type VARCHAR(50) NOT NULL,
+    carrier_code VARCHAR(100) NOT NULL,
+    delivery_days INT NOT NULL,
+    active TINYINT(1) NOT NULL DEFAULT 1,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+  )`,
+  `CREATE TABLE IF NOT EXISTS coverzy_holidays (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    country_code VARCHAR(50) NOT NULL,
+    holiday_date DATE NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    source VARCHAR(20) NOT NULL DEFAULT 'manual',
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_coverzy_holiday_day (country_code, holiday_date)
+  )`,
+  `CREATE TABLE IF NOT EXISTS coverzy_fx_rates (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    base_currency CHAR(3) NOT NULL,
+    quote_currency CHAR(3) NOT NULL,
+    effective_date DATE NOT NULL,
+    rate DECIMAL(16,6) NOT NULL,
+    source VARCHAR(50) NOT NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_coverzy_fx_rate_day (base_currency, quote_currency, effective_date)
+  )`,
+  `CREATE TABLE IF NOT EXISTS coverzy_suppliers (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    customer_id VARCHAR(50) NULL,
+    display_name VARCHAR(255) NOT NULL,
+    aliases JSON NOT NULL,
+    active TINYINT(1) NOT NULL DEFAULT 1,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_coverzy_supplier_customer (customer_id)
+  )`,
+  `CREATE TABLE IF NOT EXISTS coverzy_policy_history (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    shipment_id VARCHAR(100) NOT NULL,
+    policy_id VARCHAR(255) NOT NULL,
+    amount DECIMAL(12,2) NULL,
+    currency VARCHAR(10) NULL,
+    declared_value DECIMAL(14,2) NULL,
+    declared_currency CHAR(3) NULL,
+    value_usd DECIMAL(14,2) NULL,
+    fx_rate DECIMAL(16,6) NULL,
+    fx_rate_date DATE NULL,
+    fx_rate_source VARCHAR(50) NULL,
+    view_pdf TEXT NULL,
+    insured_at DATETIME NULL,
+    superseded_by_policy_id VARCHAR(255) NOT NULL,
+    superseded_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_coverzy_policy_history_shipment (shipment_id)
+  )`,
+  `CREATE TABLE IF NOT EXISTS coverzy_skipped_shipments (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    awb VARCHAR(100) NOT NULL,
+    target_date DATE NOT NULL,
+    run_id INT NULL,
+    reason VARCHAR(30) NOT NULL,
+    selection_strategy VARCHAR(20) NULL,
+    supplier_id INT NULL,
+    value_usd DECIMAL(14,2) NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    policy_id VARCHAR(255) NULL,
+    created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_coverzy_skipped_awb (awb),
+    INDEX idx_coverzy_skipped_date_status (target_date, status)
+  )`
+];
+
+// Rows inserted into a table only while it is empty (first deployment)
+const SEED_DEFINITIONS = [
+  {
+    // The carrier mapping that used to be hard-coded in getCarrierInfo
+    table: 'coverzy_carrier_routes',
+    columns: ['destination_aliases', 'service_type', 'carrier_code', 'delivery_days'],
+    rows: [
+      ['US,USA,UNITED STATES', 'Ship+', 'USPS', 15],
+      ['US,USA,UNITED STATES', 'ShipD', 'USPS', 12],
+      ['UK,GB,UNITED KINGDOM', 'Ship+', 'Royal Mail', 10],
+      ['UK,GB,UNITED KINGDOM', 'ShipD', 'Royal Mail', 8]
+    ]
+  },
+  {
+    // The names that used to be substring-matched from the supplier_names setting, without customer ids yet
+    table: 'coverzy_suppliers',
+    columns: ['display_name', 'aliases'],
+    rows: async (connection) => {
+      const [settingsRows] = await connection.execute('SELECT supplier_names FROM coverzy_settings ORDER BY created_at DESC LIMIT 1');
+      const names = settingsRows.length > 0 ? String(settingsRows[0].supplier_names || '').split(',') : [];
+      return [...new Set(names.map(name => name.trim()).filter(Boolean))].map(name => [name, '[]']);
+    }
+  }
+];
+
+// Columns added to tables that may already exist in older deployments
+const COLUMN_DEFINITIONS = [
+  { table: 'coverzy_runs', column: 'retry_summary', definition: 'JSON NULL AFTER failed_shipments' },
+  { table: 'coverzy_runs', column: 'dry_run', definition: 'TINYINT(1) NOT NULL DEFAULT 0 AFTER trigger_type' },
+  { table: 'coverzy_runs', column: 'backfill_id', definition: 'INT NULL AFTER dry_run' },
+  { table: 'coverzy_runs', column: 'schedule_id', definition: 'INT NULL AFTER backfill_id' },
+  { table: 'coverzy_settings', column: 'processing_concurrency', definition: 'INT NOT NULL DEFAULT 4' },
+  { table: 'coverzy_settings', column: 'lex_shipment_api_rps', definition: 'DECIMAL(6,2) NOT NULL DEFAULT 2.00' },
+  { table: 'coverzy_settings', column: 'lex_customer_api_rps', definition: 'DECIMAL(6,2) NOT NULL DEFAULT 2.00' },
+  { table: 'coverzy_settings', column: 'covrzy_api_rps', definition: 'DECIMAL(6,2) NOT NULL DEFAULT 1.00' },
+  { table: 'coverzy_settings', column: 'catch_up_mode', definition: "VARCHAR(10) NOT NULL DEFAULT 'auto'" },
+  { table: 'coverzy_settings', column: 'selection_strategy', definition: "VARCHAR(20) NOT NULL DEFAULT 'fetch_order'" },
+  { table: 'coverzy_settings', column: 'processing_paused', definition: 'TINYINT(1) NOT NULL DEFAULT 0' },
+  { table: 'coverzy_settings', column: 'paused_by', definition: 'VARCHAR(100) NULL' },
+  { table: 'coverzy_settings', column: 'pause_reason', definition: 'TEXT NULL' },
+  { table: 'coverzy_settings', column: 'paused_at', definition: 'DATETIME NULL' },
+  { table: 'coverzy_backfills', column: 'source', definition: "VARCHAR(20) NOT NULL DEFAULT 'manual' AFTER to_date" },
+  { table: 'coverzy_shipments', column: 'fx_rate', definition: 'DECIMAL(16,6) NULL AFTER currency' },
+  { table: 'coverzy_shipments', column: 'fx_rate_date', definition: 'DATE NULL AFTER fx_rate' },
+  { table: 'coverzy_shipments', column: 'fx_rate_source', definition: 'VARCHAR(50) NULL AFTER fx_rate_date' },
+  { table: 'coverzy_shipments', column: 'declared_value', definition: 'DECIMAL(14,2) NULL AFTER currency' },
+  { table: 'coverzy_shipments', column: 'declared_currency', definition: 'CHAR(3) NULL AFTER declared_value' },
+  { table: 'coverzy_shipments', column: 'value_usd', definition: 'DECIMAL(14,2) NULL AFTER declared_currency' },
+  { table: 'coverzy_shipments', column: 'supplier_id', definition: 'INT NULL AFTER supplier_name' },
+  { table: 'coverzy_shipments', column: 'supplier_match_method', definition: 'VARCHAR(20) NULL AFTER supplier_id' },
+  { table: 'coverzy_suppliers', column: 'allowed_countries', definition: 'VARCHAR(255) NULL AFTER aliases' },
+  { table: 'coverzy_suppliers', column: 'allowed_service_types', definition: 'VARCHAR(255) NULL AFTER allowed_countries' },
+  { table: 'coverzy_suppliers', column: 'min_shipment_value_usd', definition: 'DECIMAL(10,2) NULL AFTER allowed_service_types' },
+  { table: 'coverzy_suppliers', column: 'daily_quota', definition: 'INT NULL AFTER min_shipment_value_usd' },
+  { table: 'coverzy_suppliers', column: 'monthly_quota', definition: 'INT NULL AFTER daily_quota' }
+];
+
+const addColumnIfMissing = async (connection, { table, column, definition }) => {
+  const [rows] = await connection.execute(`
+    SELECT COUNT(*) as count
+    FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?
+  `, [table, column]);
+
+  if (rows[0].count === 0) {
+    await connection.execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    console.log(`Added column ${table}.${column}`);
+  }
+};
+
+// rows is an array, or a function of the connection for seeds derived from existing data
+const seedIfEmpty = async (connection, { table, columns, rows }) => {
+  const [countRows] = await connection.execute(`SELECT COUNT(*) as count FROM ${table}`);
+
+  if (countRows[0].count === 0) {
+    const seedRows = typeof rows === 'function' ? await rows(connection) : rows;
+    for (const row of seedRows) {
+      await connection.execute(
+        `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+        row
+      );
+    }
+    console.log(`Seeded ${seedRows.length} default rows into ${table}`);
+  }
+};
+
+// Create missing tables and columns used by the Coverzy pipeline
+const ensureCoverzySchema = async () => {
+  let connection;
+  try {
+    connection = await pool.getConnection();
+
+    for (const definition of TABLE_DEFINITIONS) {
+      await connection.execute(definition);
+    }
+
+    for (const columnDefinition of COLUMN_DEFINITIONS) {
+      await addColumnIfMissing(connection, columnDefinition);
+    }
+
+    for (const seedDefinition of SEED_DEFINITIONS) {
+      await seedIfEmpty(connection, seedDefinition);
+    }
+
+    console.log('Coverzy database schema verified');
+  } catch (error) {
+    console.error('Failed to verify Coverzy database schema:', error.message);
+    console.error('Server will continue running, but features relying on new tables may fail');
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+};
+
+module.exports = {
+  ensureCoverzySchema
+};
@@ -0,0 +1,270 @@
+const { validateBackfillRange, createBackfill, getBackfill, listBackfills, queueBackfillJob } = require('../cron/backfill');
+const { getRunLockHolder, buildLockConflictResponse } = require('../cron/runLock');
+const { getCoverzySettings } = require('../cron/coverzyCron');
+const { getCatchUpMode, findMissedDates, getPendingCatchUp } = require('../cron/catchUp');
+const { getPauseState, buildPausedResponse } = require('../cron/killSwitch');
+
+// Queue the backfill as a background job and describe where to follow it
+const startBackfill = (backfillId) => {
+  const job = queueBackfillJob(backfillId);
+
+  return {
+    backfill_id: backfillId,
+    job_id: job.id,
+    status: job.status,
+    backfill_url: `/api/v1/backfills/${backfillId}`,
+    status_url: `/api/v1/jobs/${job.id}`,
+    cancel_url: `/api/v1/jobs/${job.id}/cancel`
+  };
+};
+
+// Returns the 409 body that refuses to start processing (kill switch on or another run holding the lock), or null
+const getStartConflict = async () => {
+  const pauseState = await getPauseState();
+  if (pauseState.paused) {
+    return buildPausedResponse(pauseState);
+  }
+  const holder = await getRunLockHolder();
+  return holder ? buildLockConflictResponse(holder) : null;
+};
+
+class CoverzyBackfillsController {
+
+  // Start a backfill over fromdate..todate (YYYY-MM-DD); each day is processed like the daily cron
+  static async createBackfill(req, res) {
+    try {
+      const { fromdate, todate } = req.body;
+
+      if (!fromdate || !todate) {
+        return res.status(400).json({
+          success: false,
+          message: 'Missing required fields: fromdate and todate are required',
+          required_fields: ['fromdate', 'todate'],
+          provided_fields: Object.keys(req.body),
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const rangeError = validateBackfillRange(fromdate, todate);
+      if (rangeError) {
+        return res.status(400).json({
+          success: false,
+          message: rangeError,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const conflict = await getStartConflict();
+      if (conflict) {
+        return res.status(409).json(conflict);
+      }
+
+      const backfillId = await createBackfill({ fromDate: fromdate, toDate: todate });
+
+      res.status(202).json({
+        success: true,
+        message: ' Backfill queued',
+        data: startBackfill(backfillId),
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Error creating backfill:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create backfill',
+        error_code: error.code,
+        error_details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // Resume a failed, cancelled or crashed backfill from its first unfinished day
+  static async resumeBackfill(req, res) {
+    try {
+      const { id } = req.params;
+      const backfill = await getBackfill(id);
+
+      if (!backfill) {
+        return res.status(404).json({
+          success: false,
+          message: `No backfill found with ID: ${id}`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (backfill.status === 'completed') {
+        return res.status(409).json({
+          success: false,
+          message: `Backfill ${id} has already completed`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const conflict = await getStartConflict();
+      if (conflict) {
+        return res.status(409).json(conflict);
+      }
+
+      res.status(202).json({
+        success: true,
+        message: ' Backfill resume queued',
+        data: startBackfill(backfill.id),
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Error resuming backfill:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to resume backfill',
+        error_code: error.code,
+        error_details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // Catch-up status: configured mode, dates currently missed and any catch-up backfill not completed yet
+  static async getCatchUpStatus(req, res) {
+    try {
+      const settings = await getCoverzySettings();
+      const missed = await findMissedDates(settings.cipTime);
+      const pending = await getPendingCatchUp();
+
+      res.status(200).json({
+        success: true,
+        message: 'Catch-up status retrieved successfully',
+        data: {
+          mode: getCatchUpMode(settings),
+          last_successful_date: missed.lastSuccessfulDate,
+          latest_expected_date: missed.latestExpectedDate,
+          missed_dates: missed.missedDates,
+          dropped_dates: missed.droppedDates,
+          pending_backfill: pending
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Error fetching catch-up status:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch catch-up status',
+        error_code: error.code,
+        error_details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // Process the catch-up backfill waiting for confirmation (catch_up_mode = confirm)
+  static async confirmCatchUp(req, res) {
+    try {
+      const pending = await getPendingCatchUp();
+
+      if (!pending) {
+        return res.status(404).json({
+          success: false,
+          message: 'No catch-up is waiting for confirmation',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const conflict = await getStartConflict();
+      if (conflict) {
+        return res.status(409).json(conflict);
+      }
+
+      res.status(202).json({
+        success: true,
+        message: ' Catch-up queued',
+        data: startBackfill(pending.id),
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Error confirming catch-up:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to confirm catch-up',
+        error_code: error.code,
+        error_details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // List backfills (newest first)
+  static async getBackfills(req, res) {
+    try {
+      const { status, source } = req.query;
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+      const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+      const backfills = await listBackfills({ status, source, limit, offset });
+
+      res.status(200).json({
+        success: true,
+        message: 'Backfills retrieved successfully',
+        filters_applied: { status: status || 'All', source: source || 'All' },
+        pagination: { limit, offset },
+        total_records: backfills.length,
+        data: backfills,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Error fetching backfills:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch backfills',
+        error_code: error.code,
+        error_details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // Get a backfill with its per-day checkpoints
+  static async getBackfillById(req, res) {
+    try {
+      const { id } = req.params;
+      const backfill = await getBackfill(id);
+
+      if (!backfill) {
+        return res.status(404).json({
+          success: false,
+          message: `No backfill found with ID: ${id}`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Backfill found',
+        data: backfill,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Error fetching backfill:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch backfill',
+        error_code: error.code,
+        error_details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+}
+
+module.exports = CoverzyBackfillsController;
@@ -0,0 +1,210 @@
+const {
+  CARRIER_ROUTE_FIELDS,
+  validateCarrierRoute,
+  listCarrierRoutes,
+  getCarrierRoute,
+  findConflictingRoute,
+  createCarrierRoute,
+  updateCarrierRoute,
+  deleteCarrierRoute
+} = require('../cron/carrierRoutes');
+
+const buildNotFoundResponse = (id) => ({
+  success: false,
+  message: `No carrier route found with ID: ${id}`,
+  timestamp: new Date().toISOString()
+});
+
+const buildConflictResponse = (route) => ({
+  success: false,
+  message: `Active route ${route.id} already covers ${route.service_type} to ${route.destination_aliases.join('/')}`,
+  conflicting_route: route,
+  timestamp: new Date().toISOString()
+});
+
+class CoverzyCarrierRoutesController {
+
+  // List all carrier routes (active and inactive)
+  static async getCarrierRoutes(req, res) {
+    try {
+      const routes = await listCarrierRoutes();
+
+      res.status(200).json({
+        success: true,
+        message: 'Carrier routes retrieved successfully',
+        total_records: routes.length,
+        data: routes,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Error fetching carrier routes:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch carrier routes',
+        error_code: error.code,
+        error_details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  static async getCarrierRouteById(req, res) {
+    try {
+      const { id } = req.params;
+      const route = await getCarrierRoute(id);
+
+      if (!route) {
+        return res.status(404).json(buildNotFoundResponse(id));
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Carrier route found',
+        data: route,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Error fetching carrier route:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch carrier route',
+        error_code: error.code,
+        error_details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // Create a route: destination_aliases, service_type, carrier_code and delivery_days are required; active is optional
+  static async createCarrierRoute(req, res) {
+    try {
+      const validationError = validateCarrierRoute(req.body);
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          message: validationError,
+          required_fields: CARRIER_ROUTE_FIELDS.filter(field => field !== 'active'),
+          optional_fields: ['active'],
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const conflict = await findConflictingRoute({ active: req.body.active !== false, ...req.body });
+      if (conflict) {
+        return res.status(409).json(buildConflictResponse(conflict));
+      }
+
+      const routeId = await createCarrierRoute(req.body);
+
+      res.status(201).json({
+        success: true,
+        message: ' Carrier route created successfully',
+        data: await getCarrierRoute(routeId),
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Error creating carrier route:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create carrier route',
+        error_code: error.code,
+        error_details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // Update the provided fields of a route
+  static async updateCarrierRoute(req, res) {
+    try {
+      const { id } = req.params;
+
+      const providedFields = CARRIER_ROUTE_FIELDS.filter(field => req.body[field] !== undefined);
+      if (providedFields.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No valid fields provided for update',
+          allowed_fields: CARRIER_ROUTE_FIELDS,
+          provided_fields: Object.keys(req.body),
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const validationError = validateCarrierRoute(req.body, { partial: true });
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          message: validationError,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const existing = await getCarrierRoute(id);
+      if (!existing) {
+        return res.status(404).json(buildNotFoundResponse(id));
+      }
+
+      const conflict = await findConflictingRoute({ ...existing, ...req.body, active: req.body.active ?? existing.active }, id);
+      if (conflict) {
+        return res.status(409).json(buildConflictResponse(conflict));
+      }
+
+      await updateCarrierRoute(id, req.body);
+
+      res.status(200).json({
+        success: true,
+        message: ' Carrier route updated successfully',
+        updated_fields: providedFields,
+        data: await getCarrierRoute(id),
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Error updating carrier route:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update carrier route',
+        error_code: error.code,
+        error_details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  static async deleteCarrierRoute(req, res) {
+    try {
+      const { id } = req.params;
+
+      const deleted = await deleteCarrierRoute(id);
+      if (!deleted) {
+        return res.status(404).json(buildNotFoundResponse(id));
+      }
+
+      res.status(200).json({
+        success: true,
+        message: ' Carrier route deleted successfully',
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Error deleting carrier route:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete carrier route',
+        error_code: error.code,
+        error_details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+}
+
+module.exports = CoverzyCarrierRoutesController;
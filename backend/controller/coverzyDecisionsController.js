@@ -0,0 +1,98 @@
+const { DECISION_OUTCOMES, listDecisions, countByOutcome } = require('../cron/decisionLog');
+
+const VALID_OUTCOMES = Object.values(DECISION_OUTCOMES);
+
+class CoverzyDecisionsController {
+
+  // List AWB decisions for a target date (YYYY-MM-DD), optionally by outcome or run
+  static async getDecisions(req, res) {
+    try {
+      const { date, outcome, run_id } = req.query;
+
+      if (!date && !run_id) {
+        return res.status(400).json({
+          success: false,
+          message: 'Missing required query parameter: date (YYYY-MM-DD) or run_id',
+          optional_params: ['outcome'],
+          valid_outcomes: VALID_OUTCOMES,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (outcome && !VALID_OUTCOMES.includes(outcome)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid outcome: ${outcome}`,
+          valid_outcomes: VALID_OUTCOMES,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const decisions = await listDecisions({ date, outcome, runId: run_id });
+
+      res.status(200).json({
+        success: true,
+        message: 'Decisions retrieved successfully',
+        filters_applied: {
+          date: date || null,
+          outcome: outcome || 'All',
+          run_id: run_id || null
+        },
+        outcome_counts: countByOutcome(decisions),
+        total_records: decisions.length,
+        data: decisions,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Error fetching decisions:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch decisions',
+        error_code: error.code,
+        error_details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // Full decision history for one AWB (every run that evaluated it)
+  static async getDecisionsByAWB(req, res) {
+    try {
+      const { awb } = req.params;
+
+      const decisions = await listDecisions({ awb });
+
+      if (decisions.length > 0) {
+        res.status(200).json({
+          success: true,
+          message: 'Decisions found',
+          latest_outcome: decisions[0].outcome,
+          total_records: decisions.length,
+          data: decisions,
+          timestamp: new Date().toISOString()
+        });
+      } else {
+        res.status(404).json({
+          success: false,
+          message: `No decisions found for AWB: ${awb}`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+    } catch (error) {
+      console.error('Error fetching decisions by AWB:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch decisions',
+        error_code: error.code,
+        error_details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+}
+
+module.exports = CoverzyDecisionsController;
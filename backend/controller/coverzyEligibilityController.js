@@ -0,0 +1,63 @@
+const { previewEligibility } = require('../cron/eligibility');
+const { isValidDate } = require('../cron/businessTime');
+const { createJob, startJob } = require('../cron/jobManager');
+
+// Job outcome of a preview, in the shape the endpoint used to return synchronously
+const formatPreview = (preview) => ({
+  date: preview.date,
+  cancelled: preview.cancelled,
+  settings: preview.settings,
+  counts: preview.counts,
+  rule_counts: preview.ruleCounts,
+  total_records: preview.shipments.length,
+  data: preview.shipments,
+  retries: preview.retries
+});
+
+class CoverzyEligibilityController {
+
+  // Which of a day's AWBs would qualify under the current settings, rule by rule (nothing is submitted).
+  // Evaluating a day takes minutes at the Lex rate limits, so this returns a job id immediately
+  static async getEligibility(req, res) {
+    try {
+      const { date } = req.query;
+
+      if (!isValidDate(date)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Missing or invalid query parameter: date (YYYY-MM-DD)',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const job = createJob({ type: 'coverzy_eligibility', params: { date } });
+
+      startJob(job, async () => formatPreview(await previewEligibility(date, { job })));
+
+      res.status(202).json({
+        success: true,
+        message: ' Eligibility preview queued',
+        data: {
+          job_id: job.id,
+          status: job.status,
+          status_url: `/api/v1/jobs/${job.id}`,
+          cancel_url: `/api/v1/jobs/${job.id}/cancel`
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Error queueing eligibility preview:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to queue eligibility preview',
+        error_code: error.code,
+        error_details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+}
+
+module.exports = CoverzyEligibilityController;
@@ -0,0 +1,50 @@
+const { getEventsSince, subscribeToRunEvents } = require('../cron/runEvents');
+
+// Comment line sent periodically so proxies don't close an idle stream
+const KEEP_ALIVE_INTERVAL_MS = 25000;
+
+const writeEvent = (res, event) => {
+  res.write(`id: ${event.id}\n`);
+  res.write(`event: ${event.type}\n`);
+  res.write(`data: ${JSON.stringify({ ...event.data, timestamp: event.timestamp })}\n\n`);
+};
+
+class CoverzyEventsController {
+
+  // Stream live pipeline events as Server-Sent Events (optionally only for ?run_id=)
+  static streamRunEvents(req, res) {
+    const runIdFilter = req.query.run_id ? parseInt(req.query.run_id) : null;
+    const matchesFilter = (event) => !runIdFilter || event.data.runId === runIdFilter;
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Disable response buffering on nginx
+    });
+    res.write('retry: 5000\n\n');
+
+    // Replay what a reconnecting client missed
+    const lastEventId = req.headers['last-event-id'];
+    if (lastEventId) {
+      getEventsSince(lastEventId).filter(matchesFilter).forEach(event => writeEvent(res, event));
+    }
+
+    const unsubscribe = subscribeToRunEvents((event) => {
+      if (matchesFilter(event)) {
+        writeEvent(res, event);
+      }
+    });
+
+    const keepAlive = setInterval(() => {
+      res.write(': keep-alive\n\n');
+    }, KEEP_ALIVE_INTERVAL_MS);
+
+    req.on('close', () => {
+      clearInterval(keepAlive);
+      unsubscribe();
+    });
+  }
+}
+
+module.exports = CoverzyEventsController;
@@ -0,0 +1,207 @@
+const {
+  FX_BASE_CURRENCY,
+  validateFxRate,
+  listFxRates,
+  setManualFxRate,
+  deleteFxRate,
+  refreshFxRates,
+  loadFxRatesForDate,
+  findRateForDate
+} = require('../cron/fxRates');
+const { isValidDate, getBusinessDate } = require('../cron/businessTime');
+
+class CoverzyFxRatesController {
+
+  // Rate history, newest first (?base=USD&quote=INR&from=YYYY-MM-DD&to=YYYY-MM-DD&limit=)
+  static async getFxRates(req, res) {
+    try {
+      const { base, quote, from, to, limit } = req.query;
+
+      if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid query parameters: from and to must be YYYY-MM-DD',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const rates = await listFxRates({
+        base: base || null,
+        quote: quote || null,
+        from: from || null,
+        to: to || null,
+        limit: parseInt(limit) > 0 ? parseInt(limit) : null
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'FX rates retrieved successfully',
+        total_records: rates.length,
+        data: rates,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Error fetching FX rates:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch FX rates',
+        error_code: error.code,
+        error_details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // The rate validation would use for a pickup date (?date=YYYY-MM-DD, default today; &quote=INR)
+  static async getEffectiveFxRate(req, res) {
+    try {
+      const date = req.query.date || getBusinessDate();
+      const quote = String(req.query.quote || 'INR').toUpperCase();
+
+      if (!isValidDate(date)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid query parameter: date (YYYY-MM-DD)',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const rate = findRateForDate(await loadFxRatesForDate([quote], date), date, FX_BASE_CURRENCY, quote);
+
+      res.status(200).json({
+        success: true,
+        message: rate
+          ? `Rate effective on ${date}`
+          : `No ${FX_BASE_CURRENCY}/${quote} rate on or before ${date}; validation falls back to the usd_to_inr_rate setting`,
+        date,
+        data: rate,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Error fetching effective FX rate:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch effective FX rate',
+        error_code: error.code,
+        error_details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // Manual override: rate is required; effective_date (default today), base_currency (USD) and quote_currency (INR) are optional
+  static async setManualFxRate(req, res) {
+    try {
+      const validationError = validateFxRate(req.body);
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          message: validationError,
+          required_fields: ['rate'],
+          optional_fields: ['effective_date', 'base_currency', 'quote_currency'],
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const saved = await setManualFxRate(req.body);
+      const [rate] = await listFxRates({
+        base: saved.base_currency,
+        quote: saved.quote_currency,
+        from: saved.effective_date,
+        to: saved.effective_date
+      });
+
+      res.status(201).json({
+        success: true,
+        message: ' FX rate saved successfully',
+        data: rate || saved,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Error saving FX rate:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to save FX rate',
+        error_code: error.code,
+        error_details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  static async deleteFxRate(req, res) {
+    try {
+      const { id } = req.params;
+
+      const deleted = await deleteFxRate(id);
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          message: `No FX rate found with ID: ${id}`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: ' FX rate deleted successfully',
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Error deleting FX rate:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete FX rate',
+        error_code: error.code,
+        error_details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // Fetch the latest rates from the configured provider now
+  static async refreshFxRates(req, res) {
+    try {
+      const result = await refreshFxRates();
+
+      res.status(200).json({
+        success: true,
+        message: `FX rates refreshed from ${result.provider}`,
+        provider: result.provider,
+        total_records: result.saved,
+        data: result.rates,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      if (error.code === 'FX_PROVIDER_NOT_CONFIGURED') {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      console.error('Error refreshing FX rates:', error);
+
+      // The provider is an upstream service, so its failures are reported as a bad gateway
+      res.status(502).json({
+        success: false,
+        message: 'Failed to refresh FX rates',
+        error_code: error.code,
+        error_details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+}
+
+module.exports = CoverzyFxRatesController;
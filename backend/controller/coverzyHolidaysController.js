@@ -0,0 +1,307 @@
+const {
+  HOLIDAY_FIELDS,
+  HOLIDAY_IMPORT_FORMATS,
+  validateHoliday,
+  parseICalHolidays,
+  parseHolidayCsv,
+  listHolidays,
+  getHoliday,
+  createHoliday,
+  updateHoliday,
+  deleteHoliday,
+  importHolidays
+} = require('../cron/holidays');
+
+// Format of a calendar file sent as the raw request body, by its content type (text/plain needs ?format=)
+const RAW_IMPORT_FORMATS = {
+  'text/calendar': 'ical',
+  'text/csv': 'csv'
+};
+
+// Import options and file text, from a raw text/calendar or text/csv body (options in the query string)
+// or from a JSON body carrying the file as content
+const readImportRequest = (req) => {
+  if (typeof req.body === 'string') {
+    const contentType = req.is(Object.keys(RAW_IMPORT_FORMATS));
+    return {
+      countryCode: req.query.country_code,
+      format: req.query.format || RAW_IMPORT_FORMATS[contentType],
+      content: req.body,
+      replace: req.query.replace === 'true'
+    };
+  }
+  const { country_code: countryCode, format, content, replace = false } = req.body;
+  return { countryCode, format, content, replace: replace === true };
+};
+
+const buildNotFoundResponse = (id) => ({
+  success: false,
+  message: `No holiday found with ID: ${id}`,
+  timestamp: new Date().toISOString()
+});
+
+const buildDuplicateDateResponse = () => ({
+  success: false,
+  message: 'A holiday already exists for this country on this date',
+  timestamp: new Date().toISOString()
+});
+
+class CoverzyHolidaysController {
+
+  // List holidays, optionally for one country (?country=US) and/or year (?year=2025)
+  static async getHolidays(req, res) {
+    try {
+      const { country, year } = req.query;
+
+      if (year !== undefined && !/^\d{4}$/.test(year)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid query parameter: year (YYYY)',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const holidays = await listHolidays({ countryCode: country || null, year: year || null });
+
+      res.status(200).json({
+        success: true,
+        message: 'Holidays retrieved successfully',
+        total_records: holidays.length,
+        data: holidays,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Error fetching holidays:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch holidays',
+        error_code: error.code,
+        error_details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  static async getHolidayById(req, res) {
+    try {
+      const { id } = req.params;
+      const holiday = await getHoliday(id);
+
+      if (!holiday) {
+        return res.status(404).json(buildNotFoundResponse(id));
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Holiday found',
+        data: holiday,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Error fetching holiday:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch holiday',
+        error_code: error.code,
+        error_details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // Add one holiday: country_code, holiday_date and name are required
+  static async createHoliday(req, res) {
+    try {
+      const validationError = validateHoliday(req.body);
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          message: validationError,
+          required_fields: HOLIDAY_FIELDS,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const holidayId = await createHoliday(req.body);
+
+      res.status(201).json({
+        success: true,
+        message: ' Holiday created successfully',
+        data: await getHoliday(holidayId),
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json(buildDuplicateDateResponse());
+      }
+
+      console.error('Error creating holiday:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create holiday',
+        error_code: error.code,
+        error_details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // Update the provided fields of a holiday
+  static async updateHoliday(req, res) {
+    try {
+      const { id } = req.params;
+
+      const providedFields = HOLIDAY_FIELDS.filter(field => req.body[field] !== undefined);
+      if (providedFields.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No valid fields provided for update',
+          allowed_fields: HOLIDAY_FIELDS,
+          provided_fields: Object.keys(req.body),
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const validationError = validateHoliday(req.body, { partial: true });
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          message: validationError,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const updated = await updateHoliday(id, req.body);
+      if (!updated) {
+        return res.status(404).json(buildNotFoundResponse(id));
+      }
+
+      res.status(200).json({
+        success: true,
+        message: ' Holiday updated successfully',
+        updated_fields: providedFields,
+        data: await getHoliday(id),
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json(buildDuplicateDateResponse());
+      }
+
+      console.error('Error updating holiday:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update holiday',
+        error_code: error.code,
+        error_details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  static async deleteHoliday(req, res) {
+    try {
+      const { id } = req.params;
+
+      const deleted = await deleteHoliday(id);
+      if (!deleted) {
+        return res.status(404).json(buildNotFoundResponse(id));
+      }
+
+      res.status(200).json({
+        success: true,
+        message: ' Holiday deleted successfully',
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Error deleting holiday:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete holiday',
+        error_code: error.code,
+        error_details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // Import a holiday calendar file: the file itself as a text/calendar or text/csv body (multi-year calendars
+  // outgrow the JSON body limit), or a JSON body with content (the file text). Options: country_code,
+  // format ('ical' or 'csv', implied by a text/calendar or text/csv body) and optionally replace: true to drop
+  // the country's stored holidays for the imported years first. Nothing is stored when any event or row cannot be read.
+  static async importHolidays(req, res) {
+    try {
+      const { countryCode, format, content, replace } = readImportRequest(req);
+
+      if (!HOLIDAY_IMPORT_FORMATS.includes(format)) {
+        return res.status(400).json({
+          success: false,
+          message: `format must be one of: ${HOLIDAY_IMPORT_FORMATS.join(', ')}`,
+          timestamp: new Date().toISOString()
+        });
+      }
+      if (typeof content !== 'string' || content.trim().length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'content is required: the text of the calendar file',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const { holidays, errors } = format === 'ical' ? parseICalHolidays(content) : parseHolidayCsv(content);
+
+      if (errors.length > 0 || holidays.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: errors.length > 0 ? 'The calendar file could not be read' : 'The calendar file contains no holidays',
+          errors,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      // Every holiday needs a country, from the file or from country_code
+      if (holidays.some(holiday => !holiday.country_code)) {
+        const validationError = validateHoliday({ country_code: countryCode }, { partial: true });
+        if (validationError || countryCode === undefined) {
+          return res.status(400).json({
+            success: false,
+            message: validationError || 'country_code is required unless every row names its country',
+            timestamp: new Date().toISOString()
+          });
+        }
+      }
+
+      const result = await importHolidays(countryCode, holidays, { format, replace });
+
+      res.status(201).json({
+        success: true,
+        message: ` Imported ${result.imported} holidays`,
+        data: result,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Error importing holidays:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to import holidays',
+        error_code: error.code,
+        error_details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+}
+
+module.exports = CoverzyHolidaysController;
@@ -0,0 +1,71 @@
+const { getJob, listJobs, cancelJob, serializeJob } = require('../cron/jobManager');
+
+class CoverzyJobsController {
+
+  // List jobs known to this server instance (newest first, without per-AWB results)
+  static async getJobs(req, res) {
+    const jobs = listJobs().map(job => serializeJob(job, { includeResults: false }));
+
+    res.status(200).json({
+      success: true,
+      message: 'Jobs retrieved successfully',
+      total_records: jobs.length,
+      data: jobs,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Get job status: phase, counters, per-AWB results so far and final outcome
+  static async getJobById(req, res) {
+    const { id } = req.params;
+    const job = getJob(id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: `No job found with ID: ${id}`,
+        recommendation: 'Jobs are kept in memory on the instance that accepted them; check the run ledger (/api/v1/runs) for older runs',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Job found',
+      data: serializeJob(job),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Request cancellation; the run stops before the next shipment
+  static async cancelJob(req, res) {
+    const { id } = req.params;
+    const job = cancelJob(id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: `No job found with ID: ${id}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (!job.cancelRequested) {
+      return res.status(409).json({
+        success: false,
+        message: `Job ${id} has already finished with status '${job.status}'`,
+        data: serializeJob(job, { includeResults: false }),
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'Cancellation requested. The job will stop before the next shipment.',
+      data: serializeJob(job, { includeResults: false }),
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = CoverzyJobsController;
@@ -0,0 +1,80 @@
+const { RULE_FIELDS, loadRules, validateRuleUpdate, updateRule } = require('../cron/rules');
+
+class CoverzyRulesController {
+
+  // List all registered validation rules in evaluation order with their stored configuration
+  static async getRules(req, res) {
+    try {
+      const rules = await loadRules();
+
+      res.status(200).json({
+        success: true,
+        message: 'Rules retrieved successfully',
+        total_records: rules.length,
+        data: rules,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Error fetching rules:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch rules',
+        error_code: error.code,
+        error_details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // Enable/disable a rule, move it (sort_order) or replace its params; applies from the next run
+  static async updateRule(req, res) {
+    try {
+      const { id } = req.params;
+
+      const providedFields = RULE_FIELDS.filter(field => req.body[field] !== undefined);
+      if (providedFields.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No valid fields provided for update',
+          allowed_fields: RULE_FIELDS,
+          provided_fields: Object.keys(req.body),
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const validationError = validateRuleUpdate(id, req.body);
+      if (validationError) {
+        return res.status(validationError.startsWith('Unknown rule') ? 404 : 400).json({
+          success: false,
+          message: validationError,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const rule = await updateRule(id, req.body);
+
+      res.status(200).json({
+        success: true,
+        message: ' Rule updated successfully',
+        updated_fields: providedFields,
+        data: rule,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Error updating rule:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update rule',
+        error_code: error.code,
+        error_details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+}
+
+module.exports = CoverzyRulesController;
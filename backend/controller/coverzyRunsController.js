@@ -0,0 +1,86 @@
+const { listRuns, getRunById } = require('../cron/runLedger');
+
+class CoverzyRunsController {
+
+  // List past processing runs (newest first)
+  static async getRuns(req, res) {
+    try {
+      const { status, trigger, fromdate, todate, dry_run } = req.query;
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+      const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+      const runs = await listRuns({
+        status,
+        trigger,
+        dryRun: dry_run !== undefined ? dry_run === 'true' : undefined,
+        fromDate: fromdate,
+        toDate: todate,
+        limit,
+        offset
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Runs retrieved successfully',
+        filters_applied: {
+          status: status || 'All',
+          trigger: trigger || 'All',
+          dry_run: dry_run !== undefined ? dry_run === 'true' : 'All',
+          date_range: { from: fromdate || null, to: todate || null }
+        },
+        pagination: { limit, offset },
+        total_records: runs.length,
+        data: runs,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Error fetching runs:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch runs',
+        error_code: error.code,
+        error_details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // Get a single run by id
+  static async getRunById(req, res) {
+    try {
+      const { id } = req.params;
+
+      const run = await getRunById(id);
+
+      if (run) {
+        res.status(200).json({
+          success: true,
+          message: 'Run found',
+          data: run,
+          timestamp: new Date().toISOString()
+        });
+      } else {
+        res.status(404).json({
+          success: false,
+          message: `No run found with ID: ${id}`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+    } catch (error) {
+      console.error('Error fetching run by ID:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch run',
+        error_code: error.code,
+        error_details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+}
+
+module.exports = CoverzyRunsController;
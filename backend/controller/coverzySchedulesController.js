@@ -0,0 +1,225 @@
+const {
+  SCHEDULE_FIELDS,
+  validateSchedule,
+  listSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule
+} = require('../cron/schedules');
+const { refreshNamedSchedules, getScheduleStatus } = require('../cron/scheduler');
+
+// Re-register the schedule tasks after a change. The change is already saved,
+// so a scheduling failure is logged and reported rather than failing the request.
+const applySchedules = async () => {
+  try {
+    return await refreshNamedSchedules();
+  } catch (error) {
+    console.error('Failed to re-register Coverzy schedules:', error.message);
+    return { ...getScheduleStatus(), error: error.message };
+  }
+};
+
+const buildNotFoundResponse = (id) => ({
+  success: false,
+  message: `No schedule found with ID: ${id}`,
+  timestamp: new Date().toISOString()
+});
+
+const buildDuplicateNameResponse = (name) => ({
+  success: false,
+  message: `A schedule named "${name}" already exists`,
+  timestamp: new Date().toISOString()
+});
+
+class CoverzySchedulesController {
+
+  // List all named schedules with the currently registered tasks and their next run times
+  static async getSchedules(req, res) {
+    try {
+      const schedules = await listSchedules();
+
+      res.status(200).json({
+        success: true,
+        message: 'Schedules retrieved successfully',
+        total_records: schedules.length,
+        data: schedules,
+        registered: getScheduleStatus(),
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Error fetching schedules:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch schedules',
+        error_code: error.code,
+        error_details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  static async getScheduleById(req, res) {
+    try {
+      const { id } = req.params;
+      const schedule = await getSchedule(id);
+
+      if (!schedule) {
+        return res.status(404).json(buildNotFoundResponse(id));
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Schedule found',
+        data: schedule,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Error fetching schedule:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch schedule',
+        error_code: error.code,
+        error_details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // Create a schedule: name and cron_expression are required; timezone, target_date_offset and enabled are optional
+  static async createSchedule(req, res) {
+    try {
+      const validationError = validateSchedule(req.body);
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          message: validationError,
+          required_fields: ['name', 'cron_expression'],
+          optional_fields: SCHEDULE_FIELDS.filter(field => field !== 'name' && field !== 'cron_expression'),
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const scheduleId = await createSchedule(req.body);
+      const registered = await applySchedules();
+
+      res.status(201).json({
+        success: true,
+        message: ' Schedule created successfully',
+        data: await getSchedule(scheduleId),
+        registered,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json(buildDuplicateNameResponse(req.body.name));
+      }
+
+      console.error('Error creating schedule:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create schedule',
+        error_code: error.code,
+        error_details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // Update the provided fields of a schedule
+  static async updateSchedule(req, res) {
+    try {
+      const { id } = req.params;
+
+      const providedFields = SCHEDULE_FIELDS.filter(field => req.body[field] !== undefined);
+      if (providedFields.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No valid fields provided for update',
+          allowed_fields: SCHEDULE_FIELDS,
+          provided_fields: Object.keys(req.body),
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const validationError = validateSchedule(req.body, { partial: true });
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          message: validationError,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const updated = await updateSchedule(id, req.body);
+      if (!updated) {
+        return res.status(404).json(buildNotFoundResponse(id));
+      }
+
+      const registered = await applySchedules();
+
+      res.status(200).json({
+        success: true,
+        message: ' Schedule updated successfully',
+        updated_fields: providedFields,
+        data: await getSchedule(id),
+        registered,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json(buildDuplicateNameResponse(req.body.name));
+      }
+
+      console.error('Error updating schedule:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update schedule',
+        error_code: error.code,
+        error_details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  static async deleteSchedule(req, res) {
+    try {
+      const { id } = req.params;
+
+      const deleted = await deleteSchedule(id);
+      if (!deleted) {
+        return res.status(404).json(buildNotFoundResponse(id));
+      }
+
+      const registered = await applySchedules();
+
+      res.status(200).json({
+        success: true,
+        message: ' Schedule deleted successfully',
+        registered,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Error deleting schedule:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete schedule',
+        error_code: error.code,
+        error_details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+}
+
+module.exports = CoverzySchedulesController;
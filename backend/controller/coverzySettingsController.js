@@ -1,5 +1,114 @@
 const pool = require('../config/db');
-const { processPreviousDayShipments, processShipmentsForDate, processShipment, getCoverzySettings } = require('../cron/coverzyCron');
+const { processPreviousDayShipments, processShipmentsForDate, processShipmentOnDemand, getCoverzySettings } = require('../cron/coverzyCron');
+const { getRunLockHolder, buildLockConflictResponse } = require('../cron/runLock');
+const { createJob, startJob } = require('../cron/jobManager');
+const { buildCronExpression, refreshSchedule, getScheduleStatus } = require('../cron/scheduler');
+const { CATCH_UP_MODES } = require('../cron/catchUp');
+const { SELECTION_STRATEGIES } = require('../cron/selection');
+const { getPauseState, setPauseState, serializePauseState, buildPausedResponse } = require('../cron/killSwitch');
+const { BUSINESS_TIMEZONE, isValidDate, getBusinessDayBounds } = require('../cron/businessTime');
+const { DECISION_OUTCOMES } = require('../cron/decisionLog');
+const { listSuppliers } = require('../cron/suppliers');
+
+// Throughput settings: worker count and per-upstream requests per second
+const RATE_LIMIT_FIELDS = ['lex_shipment_api_rps', 'lex_customer_api_rps', 'covrzy_api_rps'];
+const MAX_PROCESSING_CONCURRENCY = 20;
+
+// Returns an error message for invalid throughput values (fields that are not provided are ignored)
+const validateThroughputSettings = (values) => {
+  if (values.processing_concurrency !== undefined && values.processing_concurrency !== null) {
+    const concurrency = parseInt(values.processing_concurrency);
+    if (isNaN(concurrency) || concurrency < 1 || concurrency > MAX_PROCESSING_CONCURRENCY) {
+      return `processing_concurrency must be an integer between 1 and ${MAX_PROCESSING_CONCURRENCY}`;
+    }
+  }
+  for (const field of RATE_LIMIT_FIELDS) {
+    if (values[field] !== undefined && values[field] !== null && !(parseFloat(values[field]) > 0)) {
+      return `${field} must be a number of requests per second greater than 0`;
+    }
+  }
+  return null;
+};
+
+// Re-register the daily cron after a settings change. The settings are already saved,
+// so a scheduling failure is logged and reported rather than failing the request.
+const applySchedule = async () => {
+  try {
+    return await refreshSchedule();
+  } catch (error) {
+    console.error('Failed to reschedule Coverzy cron job:', error.message);
+    return { ...getScheduleStatus(), error: error.message };
+  }
+};
+
+const CIP_TIME_ERROR = 'cip_time must be a valid time in HH:MM:SS format';
+const CATCH_UP_MODE_ERROR = `catch_up_mode must be one of: ${CATCH_UP_MODES.join(', ')}`;
+const isValidCatchUpMode = (mode) => mode === undefined || mode === null || CATCH_UP_MODES.includes(mode);
+const SELECTION_STRATEGY_ERROR = `selection_strategy must be one of: ${SELECTION_STRATEGIES.join(', ')}`;
+const isValidSelectionStrategy = (strategy) => strategy === undefined || strategy === null || SELECTION_STRATEGIES.includes(strategy);
+
+// Summary of a processing run as returned by the API (job outcome)
+const formatRunResult = (result, date) => ({
+  run_id: result.runId,
+  date: result.date || date,
+  cancelled: Boolean(result.cancelled),
+  paused: Boolean(result.paused),
+  total_shipments: result.total,
+  successful_shipments: result.results?.length || 0,
+  failed_shipments: result.errors?.length || 0,
+  skipped_duplicate_shipments: result.skipped?.length || 0,
+  results: result.results,
+  errors: result.errors,
+  skipped: result.skipped || [],
+  retries: result.retries || {},
+  // Dry runs: what would have been sent to Covrzy and why everything else was left out
+  ...(result.dryRun && {
+    dry_run: true,
+    payloads: result.payloads,
+    rejections: result.rejections
+  })
+});
+
+// HTTP status for each outcome of processing a single AWB on demand
+const SINGLE_SHIPMENT_STATUS_CODES = {
+  insured: 201,
+  dry_run: 200,
+  rejected: 422,
+  skipped: 409,
+  failed: 502
+};
+
+// Result of processing a single AWB as returned by the API
+const formatSingleShipmentResult = (result) => ({
+  awb: result.awb,
+  status: result.status,
+  dry_run: result.dryRun,
+  forced: result.forced,
+  previous_policy_id: result.previousPolicyId,
+  validation: result.validation,
+  eta: result.eta ? {
+    eta: result.eta.eta,
+    carrier_code: result.eta.carrierCode,
+    delivery_days: result.eta.deliveryDays,
+    skipped_holidays: result.eta.skippedHolidays
+  } : null,
+  fx_rate: result.fxRate ? {
+    currency: result.fxRate.currency,
+    rate: result.fxRate.rate,
+    effective_date: result.fxRate.effectiveDate,
+    source: result.fxRate.source
+  } : null,
+  supplier: result.supplierMatch ? {
+    id: result.supplierMatch.supplier.id,
+    display_name: result.supplierMatch.supplier.display_name,
+    match_method: result.supplierMatch.method
+  } : null,
+  outcome: result.outcome || null,
+  error: result.error || null,
+  coverzy_response: result.coverzyResponse || null,
+  ...(result.dryRun && { payload: result.payload || null }),
+  retries: result.retries || {}
+});
 
 class CoverzySettingsController {
   
@@ -80,6 +189,12 @@ class CoverzySettingsController {
           usd_to_inr_rate,
           admin_emails,
           email_enabled,
+          processing_concurrency,
+          lex_shipment_api_rps,
+          lex_customer_api_rps,
+          covrzy_api_rps,
+          catch_up_mode,
+          selection_strategy,
           created_at,
           updated_at
         FROM coverzy_settings 
@@ -93,7 +208,7 @@ class CoverzySettingsController {
         // Format the data for easier frontend consumption
         const formattedSettings = {
           id: settings.id,
-          suppliers: settings.supplier_names.split(',').map(name => name.trim()),
+          suppliers: (await listSuppliers({ activeOnly: true })).map(supplier => supplier.display_name),
           countries: settings.destination_countries.split(',').map(country => country.trim()),
           maxShipments: settings.max_shipments,
           cutoffTime: settings.cutoff_time,
@@ -102,8 +217,17 @@ class CoverzySettingsController {
           usdToInrRate: parseFloat(settings.usd_to_inr_rate),
           adminEmails: settings.admin_emails.split(',').map(email => email.trim()),
           emailEnabled: Boolean(settings.email_enabled),
+          processingConcurrency: settings.processing_concurrency,
+          rateLimits: {
+            lexShipmentApiRps: parseFloat(settings.lex_shipment_api_rps),
+            lexCustomerApiRps: parseFloat(settings.lex_customer_api_rps),
+            covrzyApiRps: parseFloat(settings.covrzy_api_rps)
+          },
+          catchUpMode: settings.catch_up_mode,
+          selectionStrategy: settings.selection_strategy,
           createdAt: settings.created_at,
-          updatedAt: settings.updated_at
+          updatedAt: settings.updated_at,
+          schedule: getScheduleStatus()
         };
         
         res.status(200).json({
@@ -154,16 +278,22 @@ class CoverzySettingsController {
         min_shipment_value_usd,
         usd_to_inr_rate,
         admin_emails,
-        email_enabled
+        email_enabled,
+        processing_concurrency,
+        lex_shipment_api_rps,
+        lex_customer_api_rps,
+        covrzy_api_rps,
+        catch_up_mode,
+        selection_strategy
       } = req.body;
       
       // Validation
-      if (!supplier_names || !destination_countries || !max_shipments || !cutoff_time || !cip_time || !min_shipment_value_usd || !usd_to_inr_rate || !admin_emails) {
+      if (!destination_countries || !max_shipments || !cutoff_time || !cip_time || !min_shipment_value_usd || !usd_to_inr_rate || !admin_emails) {
         return res.status(400).json({
           success: false,
           message: 'Missing required fields',
-          required_fields: ['supplier_names', 'destination_countries', 'max_shipments', 'cutoff_time', 'cip_time', 'min_shipment_value_usd', 'usd_to_inr_rate', 'admin_emails'],
-          optional_fields: ['email_enabled'],
+          required_fields: ['destination_countries', 'max_shipments', 'cutoff_time', 'cip_time', 'min_shipment_value_usd', 'usd_to_inr_rate', 'admin_emails'],
+          optional_fields: ['supplier_names', 'email_enabled', 'processing_concurrency', ...RATE_LIMIT_FIELDS, 'catch_up_mode', 'selection_strategy'],
           provided_fields: Object.keys(req.body),
           timestamp: new Date().toISOString()
         });
@@ -183,13 +313,48 @@ class CoverzySettingsController {
         });
       }
       
+      if (!buildCronExpression(cip_time)) {
+        return res.status(400).json({
+          success: false,
+          message: CIP_TIME_ERROR,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      if (!isValidCatchUpMode(catch_up_mode)) {
+        return res.status(400).json({
+          success: false,
+          message: CATCH_UP_MODE_ERROR,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      if (!isValidSelectionStrategy(selection_strategy)) {
+        return res.status(400).json({
+          success: false,
+          message: SELECTION_STRATEGY_ERROR,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const throughputError = validateThroughputSettings(req.body);
+      if (throughputError) {
+        return res.status(400).json({
+          success: false,
+          message: throughputError,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
       connection = await pool.getConnection();
       
       // Update the settings (assuming there's only one record, or update the latest one)
+      // Throughput, catch-up and selection settings are optional here and keep their current value when omitted, as do
+      // supplier_names, which only seeds the supplier master (coverzy_suppliers) on first deployment
       const updateQuery = `
         UPDATE coverzy_settings 
         SET 
-          supplier_names = ?,
+          supplier_names = COALESCE(?, supplier_names),
           destination_countries = ?,
           max_shipments = ?,
           cutoff_time = ?,
@@ -198,13 +363,19 @@ class CoverzySettingsController {
           usd_to_inr_rate = ?,
           admin_emails = ?,
           email_enabled = ?,
+          processing_concurrency = COALESCE(?, processing_concurrency),
+          lex_shipment_api_rps = COALESCE(?, lex_shipment_api_rps),
+          lex_customer_api_rps = COALESCE(?, lex_customer_api_rps),
+          covrzy_api_rps = COALESCE(?, covrzy_api_rps),
+          catch_up_mode = COALESCE(?, catch_up_mode),
+          selection_strategy = COALESCE(?, selection_strategy),
           updated_at = CURRENT_TIMESTAMP
         ORDER BY created_at DESC
         LIMIT 1
       `;
       
       const [result] = await connection.execute(updateQuery, [
-        supplier_names,
+        supplier_names !== undefined ? supplier_names : null,
         destination_countries,
         parseInt(max_shipments),
         cutoff_time,
@@ -212,7 +383,13 @@ class CoverzySettingsController {
         parseFloat(min_shipment_value_usd),
         parseFloat(usd_to_inr_rate),
         adminEmailsString,
-        email_enabled !== undefined ? email_enabled : true // Default to true if not provided
+        email_enabled !== undefined ? email_enabled : true, // Default to true if not provided
+        processing_concurrency !== undefined ? parseInt(processing_concurrency) : null,
+        lex_shipment_api_rps !== undefined ? parseFloat(lex_shipment_api_rps) : null,
+        lex_customer_api_rps !== undefined ? parseFloat(lex_customer_api_rps) : null,
+        covrzy_api_rps !== undefined ? parseFloat(covrzy_api_rps) : null,
+        catch_up_mode !== undefined ? catch_up_mode : null,
+        selection_strategy !== undefined ? selection_strategy : null
       ]);
       
       if (result.affectedRows > 0) {
@@ -221,10 +398,13 @@ class CoverzySettingsController {
           SELECT * FROM coverzy_settings ORDER BY created_at DESC LIMIT 1
         `);
         
+        const schedule = await applySchedule();
+        
         res.status(200).json({
           success: true,
           message: ' Settings updated successfully',
           data: updatedRows[0],
+          schedule,
           affected_rows: result.affectedRows,
           timestamp: new Date().toISOString()
         });
@@ -269,9 +449,46 @@ class CoverzySettingsController {
         'min_shipment_value_usd',
         'usd_to_inr_rate',
         'admin_emails',
-        'email_enabled'
+        'email_enabled',
+        'processing_concurrency',
+        ...RATE_LIMIT_FIELDS,
+        'catch_up_mode',
+        'selection_strategy'
       ];
       
+      if (req.body.cip_time !== undefined && !buildCronExpression(req.body.cip_time)) {
+        return res.status(400).json({
+          success: false,
+          message: CIP_TIME_ERROR,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      if (!isValidCatchUpMode(req.body.catch_up_mode)) {
+        return res.status(400).json({
+          success: false,
+          message: CATCH_UP_MODE_ERROR,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      if (!isValidSelectionStrategy(req.body.selection_strategy)) {
+        return res.status(400).json({
+          success: false,
+          message: SELECTION_STRATEGY_ERROR,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const throughputError = validateThroughputSettings(req.body);
+      if (throughputError) {
+        return res.status(400).json({
+          success: false,
+          message: throughputError,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
       const updateFields = {};
       const updateValues = [];
       
@@ -282,9 +499,9 @@ class CoverzySettingsController {
           let value = req.body[field];
           
           // Handle numeric fields with proper parsing
-          if (field === 'max_shipments') {
+          if (field === 'max_shipments' || field === 'processing_concurrency') {
             value = parseInt(value);
-          } else if (field === 'min_shipment_value_usd' || field === 'usd_to_inr_rate') {
+          } else if (field === 'min_shipment_value_usd' || field === 'usd_to_inr_rate' || RATE_LIMIT_FIELDS.includes(field)) {
             value = parseFloat(value);
           } else if (field === 'admin_emails') {
             // Handle admin_emails - convert array to comma-separated string if necessary
@@ -331,11 +548,15 @@ class CoverzySettingsController {
           SELECT * FROM coverzy_settings ORDER BY created_at DESC LIMIT 1
         `);
         
+        // Only a cip_time change affects the schedule
+        const schedule = updateFields.cip_time ? await applySchedule() : getScheduleStatus();
+        
         res.status(200).json({
           success: true,
           message: ' Settings partially updated successfully',
           updated_fields: Object.keys(updateFields),
           data: updatedRows[0],
+          schedule,
           affected_rows: result.affectedRows,
           timestamp: new Date().toISOString()
         });
@@ -382,7 +603,13 @@ class CoverzySettingsController {
         min_shipment_value_usd: 20.00,
         usd_to_inr_rate: 83.0000,
         admin_emails: 'intern.tech@logilinkscs.com',
-        email_enabled: true
+        email_enabled: true,
+        processing_concurrency: 4,
+        lex_shipment_api_rps: 2.00,
+        lex_customer_api_rps: 2.00,
+        covrzy_api_rps: 1.00,
+        catch_up_mode: 'auto',
+        selection_strategy: 'fetch_order'
       };
       
       const updateQuery = `
@@ -397,6 +624,12 @@ class CoverzySettingsController {
           usd_to_inr_rate = ?,
           admin_emails = ?,
           email_enabled = ?,
+          processing_concurrency = ?,
+          lex_shipment_api_rps = ?,
+          lex_customer_api_rps = ?,
+          covrzy_api_rps = ?,
+          catch_up_mode = ?,
+          selection_strategy = ?,
           updated_at = CURRENT_TIMESTAMP
         ORDER BY created_at DESC
         LIMIT 1
@@ -411,7 +644,13 @@ class CoverzySettingsController {
         defaultSettings.min_shipment_value_usd,
         defaultSettings.usd_to_inr_rate,
         defaultSettings.admin_emails,
-        defaultSettings.email_enabled
+        defaultSettings.email_enabled,
+        defaultSettings.processing_concurrency,
+        defaultSettings.lex_shipment_api_rps,
+        defaultSettings.lex_customer_api_rps,
+        defaultSettings.covrzy_api_rps,
+        defaultSettings.catch_up_mode,
+        defaultSettings.selection_strategy
       ]);
       
       if (result.affectedRows > 0) {
@@ -420,10 +659,13 @@ class CoverzySettingsController {
           SELECT * FROM coverzy_settings ORDER BY created_at DESC LIMIT 1
         `);
         
+        const schedule = await applySchedule();
+        
         res.status(200).json({
           success: true,
           message: 'Settings reset to defaults successfully',
           data: updatedRows[0],
+          schedule,
           affected_rows: result.affectedRows,
           timestamp: new Date().toISOString()
         });
@@ -454,6 +696,16 @@ class CoverzySettingsController {
     }
   }
 
+  // Daily cron schedule (cip_time, cron expression and next run time)
+  static async getSchedule(req, res) {
+    res.status(200).json({
+      success: true,
+      message: 'Schedule retrieved successfully',
+      data: getScheduleStatus(),
+      timestamp: new Date().toISOString()
+    });
+  }
+
   // Health check endpoint
   static async healthCheck(req, res) {
     let connection;
@@ -498,43 +750,62 @@ class CoverzySettingsController {
     }
   }
 
-  // Run Coverzy Cron Job manually
+  // Run Coverzy Cron Job manually (queued as a background job, poll GET /jobs/:id for progress)
+  // With dryRun: true nothing is sent to Covrzy or saved; the job outcome lists the payloads and rejections
   static async runCoverzyProcess(req, res) {
     try {
-      console.log(' Starting manual Coverzy process...');
+      console.log(' Queueing manual Coverzy process...');
       
       // Check if a specific date is provided in request body
       const { date } = req.body;
+      const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
       
-      let result;
-      if (date) {
-        console.log(`Processing shipments for specific date: ${date}`);
-        result = await processShipmentsForDate(date);
-      } else {
-        console.log('Processing shipments for previous day (default)');
-        result = await processPreviousDayShipments();
+      // Dry runs never buy anything, so only real runs are refused while paused
+      if (!dryRun) {
+        const pauseState = await getPauseState();
+        if (pauseState.paused) {
+          return res.status(409).json(buildPausedResponse(pauseState));
+        }
       }
       
-      res.status(200).json({
+      // Refuse straight away if another run holds the processing lock (dry runs don't need it)
+      const holder = dryRun ? null : await getRunLockHolder();
+      if (holder) {
+        return res.status(409).json(buildLockConflictResponse(holder));
+      }
+      
+      const job = createJob({ type: 'coverzy_process', params: { date: date || null, dry_run: dryRun } });
+      
+      startJob(job, async () => {
+        let result;
+        if (date) {
+          console.log(`Processing shipments for specific date: ${date}`);
+          result = await processShipmentsForDate(date, { trigger: 'manual', job, dryRun });
+        } else {
+          console.log('Processing shipments for previous day (default)');
+          result = await processPreviousDayShipments({ trigger: 'manual', job, dryRun });
+        }
+        return formatRunResult(result, date);
+      });
+      
+      res.status(202).json({
         success: true,
-        message: ' Coverzy process completed successfully',
+        message: dryRun ? ' Coverzy dry run queued' : ' Coverzy process queued',
         data: {
-          date: result.date || date,
-          total_shipments: result.total,
-          successful_shipments: result.results?.length || 0,
-          failed_shipments: result.errors?.length || 0,
-          results: result.results,
-          errors: result.errors
+          job_id: job.id,
+          status: job.status,
+          status_url: `/api/v1/jobs/${job.id}`,
+          cancel_url: `/api/v1/jobs/${job.id}/cancel`
         },
         timestamp: new Date().toISOString()
       });
       
     } catch (error) {
-      console.error(' Error running Coverzy process:', error);
+      console.error(' Error queueing Coverzy process:', error);
       
       res.status(500).json({
         success: false,
-        message: 'Failed to run Coverzy process',
+        message: 'Failed to queue Coverzy process',
         error_details: error.message,
         timestamp: new Date().toISOString()
       });
@@ -553,10 +824,15 @@ class CoverzySettingsController {
           id,
           shipment_id,
           supplier_name,
+          supplier_id,
+          supplier_match_method,
           destination_country,
           policy_id,
           amount,
           currency,
+          declared_value,
+          declared_currency,
+          value_usd,
           view_pdf,
           created_at,
           updated_at
@@ -604,10 +880,18 @@ class CoverzySettingsController {
           id,
           shipment_id,
           supplier_name,
+          supplier_id,
+          supplier_match_method,
           destination_country,
           policy_id,
           amount,
           currency,
+          declared_value,
+          declared_currency,
+          value_usd,
+          fx_rate,
+          DATE_FORMAT(fx_rate_date, '%Y-%m-%d') AS fx_rate_date,
+          fx_rate_source,
           view_pdf,
           created_at,
           updated_at
@@ -616,10 +900,18 @@ class CoverzySettingsController {
       `, [awb]);
       
       if (rows.length > 0) {
+        // Policies superseded by forced re-insurance, newest first
+        const [previousPolicies] = await connection.execute(`
+          SELECT policy_id, amount, currency, value_usd, view_pdf, insured_at, superseded_by_policy_id, superseded_at
+          FROM coverzy_policy_history
+          WHERE shipment_id = ?
+          ORDER BY superseded_at DESC, id DESC
+        `, [awb]);
+        
         res.status(200).json({
           success: true,
           message: 'Shipment found',
-          data: rows[0],
+          data: { ...rows[0], previous_policies: previousPolicies },
           timestamp: new Date().toISOString()
         });
       } else {
@@ -648,6 +940,63 @@ class CoverzySettingsController {
     }
   }
 
+  // Validate and insure one AWB now; refused with 409 if it is already insured unless force is true
+  static async processSingleShipment(req, res) {
+    try {
+      const awb = String(req.params.awb || '').trim();
+      const force = req.body.force === true || req.body.force === 'true';
+      const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+
+      if (!awb) {
+        return res.status(400).json({
+          success: false,
+          message: 'AWB is required',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const result = await processShipmentOnDemand(awb, { force, dryRun });
+      const messages = {
+        insured: ` AWB ${awb} insured successfully`,
+        dry_run: ` AWB ${awb} passed validation (dry run, nothing was submitted)`,
+        rejected: `AWB ${awb} failed validation`,
+        skipped: `AWB ${awb} is already being submitted by another run`,
+        failed: `Failed to insure AWB ${awb}`
+      };
+
+      res.status(SINGLE_SHIPMENT_STATUS_CODES[result.status]).json({
+        success: result.status === 'insured' || result.status === 'dry_run',
+        message: messages[result.status],
+        data: formatSingleShipmentResult(result),
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      if (error.code === 'PROCESSING_PAUSED') {
+        return res.status(409).json(buildPausedResponse(error.pause));
+      }
+      if (error.outcome === DECISION_OUTCOMES.SKIPPED_DUPLICATE) {
+        return res.status(409).json({
+          success: false,
+          message: `${error.message}. Send force: true to insure it again.`,
+          existing_policy_id: error.details.policyId,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      console.error('Error processing single shipment:', error);
+
+      // The shipment could not be fetched from Lex (unknown AWB or upstream failure)
+      res.status(error.outcome === DECISION_OUTCOMES.API_ERROR ? 502 : 500).json({
+        success: false,
+        message: 'Failed to process shipment',
+        error_code: error.code,
+        error_details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
   // Filter shipments by date range and optionally by supplier name
   static async getShipmentsFiltered(req, res) {
     let connection;
@@ -666,8 +1015,20 @@ class CoverzySettingsController {
           timestamp: new Date().toISOString()
         });
       }
+
+      if (!isValidDate(fromdate) || !isValidDate(todate)) {
+        return res.status(400).json({
+          success: false,
+          message: 'fromdate and todate must be valid dates in YYYY-MM-DD format',
+          timestamp: new Date().toISOString()
+        });
+      }
       
       connection = await pool.getConnection();
+
+      // fromdate/todate are business dates; compare created_at against the instants where they start and end,
+      // which FROM_UNIXTIME converts into the session timezone created_at is stored in
+      const bounds = getBusinessDayBounds(fromdate, todate);
       
       // Build dynamic query based on whether supplier_name is provided
       let query = `
@@ -675,18 +1036,23 @@ class CoverzySettingsController {
           id,
           shipment_id,
           supplier_name,
+          supplier_id,
+          supplier_match_method,
           destination_country,
           policy_id,
           amount,
           currency,
+          declared_value,
+          declared_currency,
+          value_usd,
           view_pdf,
           created_at,
           updated_at
         FROM coverzy_shipments 
-        WHERE DATE(created_at) >= ? AND DATE(created_at) <= ?
+        WHERE created_at >= FROM_UNIXTIME(?) AND created_at < FROM_UNIXTIME(?)
       `;
       
-      let queryParams = [fromdate, todate];
+      let queryParams = [bounds.start.getTime() / 1000, bounds.end.getTime() / 1000];
       
       // Add supplier filter if provided (using LIKE to handle any spacing issues)
       if (supplier_name && supplier_name.trim() !== '') {
@@ -705,7 +1071,8 @@ class CoverzySettingsController {
         filters_applied: {
           date_range: {
             from: fromdate,
-            to: todate
+            to: todate,
+            timezone: BUSINESS_TIMEZONE
           },
           supplier_name: supplier_name || 'All suppliers'
         },
@@ -814,6 +1181,114 @@ class CoverzySettingsController {
 
 
 
+  // Kill switch status: whether automated purchasing is paused, by whom, why and since when
+  static async getProcessingStatus(req, res) {
+    try {
+      const pauseState = await getPauseState();
+      
+      res.status(200).json({
+        success: true,
+        message: 'Processing status retrieved successfully',
+        data: serializePauseState(pauseState),
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('Error fetching processing status:', error);
+      
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch processing status',
+        error_code: error.code,
+        error_details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // Pause automated purchasing (scheduled runs, manual runs and backfills); running runs stop before the next shipment
+  static async pauseProcessing(req, res) {
+    try {
+      const { paused_by, reason } = req.body;
+      
+      if (!paused_by || !reason || typeof paused_by !== 'string' || typeof reason !== 'string') {
+        return res.status(400).json({
+          success: false,
+          message: 'Missing required fields: paused_by and reason are required',
+          required_fields: ['paused_by', 'reason'],
+          example: { paused_by: 'ops@example.com', reason: 'Covrzy API returning errors' },
+          provided_fields: Object.keys(req.body),
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const pauseState = await setPauseState({ paused: true, pausedBy: paused_by.trim(), reason: reason.trim() });
+      
+      if (!pauseState) {
+        return res.status(404).json({
+          success: false,
+          message: 'No settings found to update',
+          recommendation: 'Import the complete_setup.sql file first',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      res.status(200).json({
+        success: true,
+        message: ' Automated processing paused',
+        data: serializePauseState(pauseState),
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('Error pausing processing:', error);
+      
+      res.status(500).json({
+        success: false,
+        message: 'Failed to pause processing',
+        error_code: error.code,
+        error_details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // Resume automated purchasing
+  static async resumeProcessing(req, res) {
+    try {
+      const { resumed_by } = req.body;
+      
+      const pauseState = await setPauseState({ paused: false, pausedBy: resumed_by || null });
+      
+      if (!pauseState) {
+        return res.status(404).json({
+          success: false,
+          message: 'No settings found to update',
+          recommendation: 'Import the complete_setup.sql file first',
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      res.status(200).json({
+        success: true,
+        message: ' Automated processing resumed',
+        data: serializePauseState(pauseState),
+        timestamp: new Date().toISOString()
+      });
+      
+    } catch (error) {
+      console.error('Error resuming processing:', error);
+      
+      res.status(500).json({
+        success: false,
+        message: 'Failed to resume processing',
+        error_code: error.code,
+        error_details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
   // Get email service status
   static async getEmailStatus(req, res) {
     let connection;
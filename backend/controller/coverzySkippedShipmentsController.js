@@ -0,0 +1,148 @@
+const { SKIPPED_SHIPMENT_STATUSES, listSkippedShipments } = require('../cron/skippedShipments');
+const { processShipmentsForDate } = require('../cron/coverzyCron');
+const { getRunLockHolder, buildLockConflictResponse } = require('../cron/runLock');
+const { getPauseState, buildPausedResponse } = require('../cron/killSwitch');
+const { createJob, startJob } = require('../cron/jobManager');
+const { isValidDate } = require('../cron/businessTime');
+
+const VALID_STATUSES = Object.values(SKIPPED_SHIPMENT_STATUSES);
+
+// Number of skipped shipments per status, e.g. { pending: 3, insured: 1 }
+const countByStatus = (shipments) => shipments.reduce((counts, shipment) => {
+  counts[shipment.status] = (counts[shipment.status] || 0) + 1;
+  return counts;
+}, {});
+
+class CoverzySkippedShipmentsController {
+
+  // List valid shipments skipped by max_shipments or a supplier quota, optionally for a date (YYYY-MM-DD) and status
+  static async getSkippedShipments(req, res) {
+    try {
+      const { date, status } = req.query;
+
+      if (date && !isValidDate(date)) {
+        return res.status(400).json({
+          success: false,
+          message: 'date must be a valid date in YYYY-MM-DD format',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (status && !VALID_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid status: ${status}`,
+          valid_statuses: VALID_STATUSES,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const shipments = await listSkippedShipments({ date, status });
+
+      res.status(200).json({
+        success: true,
+        message: 'Skipped shipments retrieved successfully',
+        filters_applied: {
+          date: date || null,
+          status: status || 'All'
+        },
+        status_counts: countByStatus(shipments),
+        total_records: shipments.length,
+        data: shipments,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Error fetching skipped shipments:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch skipped shipments',
+        error_code: error.code,
+        error_details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // Re-run a date whose valid shipments were skipped, e.g. after max_shipments or a quota was raised.
+  // The run insures them in selection strategy order as far as the current limits allow; the rest stay pending.
+  static async insureSkippedShipments(req, res) {
+    try {
+      const { date } = req.body;
+
+      if (!isValidDate(date)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Missing or invalid field: date (YYYY-MM-DD) is required',
+          required_fields: ['date'],
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const pending = await listSkippedShipments({ date, status: SKIPPED_SHIPMENT_STATUSES.PENDING });
+      if (pending.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: `No pending skipped shipments for ${date}`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const pauseState = await getPauseState();
+      if (pauseState.paused) {
+        return res.status(409).json(buildPausedResponse(pauseState));
+      }
+
+      const holder = await getRunLockHolder();
+      if (holder) {
+        return res.status(409).json(buildLockConflictResponse(holder));
+      }
+
+      const job = createJob({ type: 'coverzy_skipped_shipments', params: { date, pending: pending.length } });
+
+      startJob(job, async () => {
+        console.log(`Re-running ${date} for ${pending.length} skipped shipments`);
+        const result = await processShipmentsForDate(date, { trigger: 'manual', job });
+        const stillPending = await listSkippedShipments({ date, status: SKIPPED_SHIPMENT_STATUSES.PENDING });
+        const stillPendingAwbs = new Set(stillPending.map(shipment => shipment.awb));
+        return {
+          run_id: result.runId,
+          date,
+          cancelled: Boolean(result.cancelled),
+          paused: Boolean(result.paused),
+          insured_awbs: pending.map(shipment => shipment.awb).filter(awb => !stillPendingAwbs.has(awb)),
+          still_pending: stillPending.length,
+          successful_shipments: result.results?.length || 0,
+          failed_shipments: result.errors?.length || 0
+        };
+      });
+
+      res.status(202).json({
+        success: true,
+        message: ` Re-run queued for ${pending.length} skipped shipments of ${date}`,
+        data: {
+          job_id: job.id,
+          status: job.status,
+          pending_shipments: pending.length,
+          status_url: `/api/v1/jobs/${job.id}`,
+          cancel_url: `/api/v1/jobs/${job.id}/cancel`
+        },
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Error queueing skipped shipments:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to queue skipped shipments',
+        error_code: error.code,
+        error_details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+}
+
+module.exports = CoverzySkippedShipmentsController;
@@ -0,0 +1,228 @@
+const {
+  SUPPLIER_FIELDS,
+  SUPPLIER_OVERRIDE_FIELDS,
+  validateSupplier,
+  listSuppliers,
+  getSupplier,
+  findConflictingSupplier,
+  createSupplier,
+  updateSupplier,
+  deleteSupplier
+} = require('../cron/suppliers');
+
+// Identity and matching fields plus the per-supplier overrides of the global eligibility settings
+const EDITABLE_FIELDS = [...SUPPLIER_FIELDS, ...SUPPLIER_OVERRIDE_FIELDS];
+
+const buildNotFoundResponse = (id) => ({
+  success: false,
+  message: `No supplier found with ID: ${id}`,
+  timestamp: new Date().toISOString()
+});
+
+const buildConflictResponse = (supplier) => ({
+  success: false,
+  message: `Active supplier ${supplier.id} (${supplier.display_name}) already answers to one of these names`,
+  conflicting_supplier: supplier,
+  timestamp: new Date().toISOString()
+});
+
+const buildDuplicateCustomerResponse = () => ({
+  success: false,
+  message: 'Another supplier is already registered for this customer_id',
+  timestamp: new Date().toISOString()
+});
+
+class CoverzySuppliersController {
+
+  // List all suppliers (active and inactive)
+  static async getSuppliers(req, res) {
+    try {
+      const suppliers = await listSuppliers();
+
+      res.status(200).json({
+        success: true,
+        message: 'Suppliers retrieved successfully',
+        total_records: suppliers.length,
+        data: suppliers,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Error fetching suppliers:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch suppliers',
+        error_code: error.code,
+        error_details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  static async getSupplierById(req, res) {
+    try {
+      const { id } = req.params;
+      const supplier = await getSupplier(id);
+
+      if (!supplier) {
+        return res.status(404).json(buildNotFoundResponse(id));
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Supplier found',
+        data: supplier,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Error fetching supplier:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch supplier',
+        error_code: error.code,
+        error_details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // Create a supplier: display_name is required; customer_id, aliases, active and the overrides are optional
+  static async createSupplier(req, res) {
+    try {
+      const validationError = validateSupplier(req.body);
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          message: validationError,
+          required_fields: ['display_name'],
+          optional_fields: EDITABLE_FIELDS.filter(field => field !== 'display_name'),
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const conflict = await findConflictingSupplier({ active: req.body.active !== false, ...req.body });
+      if (conflict) {
+        return res.status(409).json(buildConflictResponse(conflict));
+      }
+
+      const supplierId = await createSupplier(req.body);
+
+      res.status(201).json({
+        success: true,
+        message: ' Supplier created successfully',
+        data: await getSupplier(supplierId),
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json(buildDuplicateCustomerResponse());
+      }
+
+      console.error('Error creating supplier:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create supplier',
+        error_code: error.code,
+        error_details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  // Update the provided fields of a supplier
+  static async updateSupplier(req, res) {
+    try {
+      const { id } = req.params;
+
+      const providedFields = EDITABLE_FIELDS.filter(field => req.body[field] !== undefined);
+      if (providedFields.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No valid fields provided for update',
+          allowed_fields: EDITABLE_FIELDS,
+          provided_fields: Object.keys(req.body),
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const validationError = validateSupplier(req.body, { partial: true });
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          message: validationError,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const existing = await getSupplier(id);
+      if (!existing) {
+        return res.status(404).json(buildNotFoundResponse(id));
+      }
+
+      const conflict = await findConflictingSupplier({ ...existing, ...req.body, active: req.body.active ?? existing.active }, id);
+      if (conflict) {
+        return res.status(409).json(buildConflictResponse(conflict));
+      }
+
+      await updateSupplier(id, req.body);
+
+      res.status(200).json({
+        success: true,
+        message: ' Supplier updated successfully',
+        updated_fields: providedFields,
+        data: await getSupplier(id),
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json(buildDuplicateCustomerResponse());
+      }
+
+      console.error('Error updating supplier:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update supplier',
+        error_code: error.code,
+        error_details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  static async deleteSupplier(req, res) {
+    try {
+      const { id } = req.params;
+
+      const deleted = await deleteSupplier(id);
+      if (!deleted) {
+        return res.status(404).json(buildNotFoundResponse(id));
+      }
+
+      res.status(200).json({
+        success: true,
+        message: ' Supplier deleted successfully',
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Error deleting supplier:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete supplier',
+        error_code: error.code,
+        error_details: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+}
+
+module.exports = CoverzySuppliersController;
@@ -0,0 +1,343 @@
+const os = require('os');
+const crypto = require('crypto');
+const pool = require('../config/db');
+const { processShipmentsForDate } = require('./coverzyCron');
+const { createJob, startJob } = require('./jobManager');
+const { isValidDate } = require('./businessTime');
+
+// Longest range a single backfill may cover
+const MAX_BACKFILL_DAYS = parseInt(process.env.BACKFILL_MAX_DAYS) || 31;
+
+// A running backfill without a heartbeat for this long is assumed to have crashed and may be resumed
+const BACKFILL_STALE_SECONDS = parseInt(process.env.BACKFILL_STALE_SECONDS) || 300;
+const HEARTBEAT_INTERVAL_MS = (parseInt(process.env.RUN_LOCK_HEARTBEAT_SECONDS) || 30) * 1000;
+
+// Every date from fromDate to toDate inclusive (YYYY-MM-DD), computed in UTC so DST never skips a day
+const listDatesInRange = (fromDate, toDate) => {
+    const dates = [];
+    const current = new Date(`${fromDate}T00:00:00Z`);
+    const end = new Date(`${toDate}T00:00:00Z`);
+
+    while (current <= end) {
+        dates.push(current.toISOString().split('T')[0]);
+        current.setUTCDate(current.getUTCDate() + 1);
+    }
+    return dates;
+};
+
+// Returns an error message for an unusable range, or null
+const validateBackfillRange = (fromDate, toDate) => {
+    if (!isValidDate(fromDate) || !isValidDate(toDate)) {
+        return 'fromdate and todate must be valid dates in YYYY-MM-DD format';
+    }
+    if (fromDate > toDate) {
+        return 'fromdate must not be after todate';
+    }
+    if (listDatesInRange(fromDate, toDate).length > MAX_BACKFILL_DAYS) {
+        return `A backfill can cover at most ${MAX_BACKFILL_DAYS} days`;
+    }
+    return null;
+};
+
+// Create a backfill with one pending checkpoint row per day, returns the backfill id.
+// source is 'manual' for backfills requested through the API and 'catch_up' for missed runs found at startup.
+// dates defaults to every day of the range; a catch-up passes only the missed ones.
+const createBackfill = async ({ fromDate, toDate, dates = listDatesInRange(fromDate, toDate), source = 'manual' }) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const [result] = await connection.execute(`
+            INSERT INTO coverzy_backfills (from_date, to_date, source, status, days_total)
+            VALUES (?, ?, ?, 'pending', ?)
+        `, [fromDate, toDate, source, dates.length]);
+
+        const backfillId = result.insertId;
+        await connection.execute(`
+            INSERT INTO coverzy_backfill_days (backfill_id, target_date)
+            VALUES ${dates.map(() => '(?, ?)').join(', ')}
+        `, dates.flatMap(date => [backfillId, date]));
+
+        await connection.commit();
+        console.log(`📒 Backfill ${backfillId} (${source}) created for ${fromDate} to ${toDate} (${dates.length} days)`);
+        return backfillId;
+    } catch (error) {
+        if (connection) {
+            await connection.rollback();
+        }
+        throw error;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+const BACKFILL_COLUMNS = `
+    id, DATE_FORMAT(from_date, '%Y-%m-%d') AS from_date, DATE_FORMAT(to_date, '%Y-%m-%d') AS to_date,
+    source, status, days_total, days_completed, owner, heartbeat_at, error_message, created_at, updated_at, finished_at
+`;
+
+// Backfill with its per-day checkpoints, or null
+const getBackfill = async (backfillId) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+
+        const [rows] = await connection.execute(`SELECT ${BACKFILL_COLUMNS} FROM coverzy_backfills WHERE id = ?`, [backfillId]);
+        if (rows.length === 0) {
+            return null;
+        }
+
+        const [days] = await connection.execute(`
+            SELECT
+                DATE_FORMAT(target_date, '%Y-%m-%d') AS target_date,
+                status, attempts, run_id,
+                total_shipments, successful_shipments, failed_shipments, skipped_shipments,
+                error_message, started_at, finished_at
+            FROM coverzy_backfill_days
+            WHERE backfill_id = ?
+            ORDER BY target_date ASC
+        `, [backfillId]);
+
+        return { ...rows[0], days };
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+const listBackfills = async ({ status, source, limit = 50, offset = 0 } = {}) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+
+        const conditions = [];
+        const params = [];
+        if (status) {
+            conditions.push('status = ?');
+            params.push(status);
+        }
+        if (source) {
+            conditions.push('source = ?');
+            params.push(source);
+        }
+
+        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const [rows] = await connection.execute(`
+            SELECT ${BACKFILL_COLUMNS}
+            FROM coverzy_backfills
+            ${whereClause}
+            ORDER BY created_at DESC, id DESC
+            LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}
+        `, params);
+
+        return rows;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+const updateBackfill = async (backfillId, setClause, params = []) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.execute(`UPDATE coverzy_backfills SET ${setClause} WHERE id = ?`, [...params, backfillId]);
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+const updateBackfillDay = async (backfillId, targetDate, setClause, params = []) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.execute(
+            `UPDATE coverzy_backfill_days SET ${setClause} WHERE backfill_id = ? AND target_date = ?`,
+            [...params, backfillId, targetDate]
+        );
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+// Mark the backfill as running on this process. Fails if it is completed or another live process is running it.
+const claimBackfill = async (backfillId) => {
+    const owner = `${os.hostname()}:${process.pid}:${crypto.randomUUID().slice(0, 8)}`;
+    let connection;
+    try {
+        connection = await pool.getConnection();
+
+        const [result] = await connection.execute(`
+            UPDATE coverzy_backfills
+            SET status = 'running', owner = ?, heartbeat_at = CURRENT_TIMESTAMP, error_message = NULL, finished_at = NULL
+            WHERE id = ?
+              AND status <> 'completed'
+              AND (status <> 'running' OR heartbeat_at IS NULL OR heartbeat_at < (CURRENT_TIMESTAMP - INTERVAL ${BACKFILL_STALE_SECONDS} SECOND))
+        `, [owner, backfillId]);
+
+        if (result.affectedRows === 0) {
+            return null;
+        }
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+
+    const heartbeat = setInterval(() => {
+        updateBackfill(backfillId, 'heartbeat_at = CURRENT_TIMESTAMP', [])
+            .catch(error => console.error(`❌ Backfill ${backfillId} heartbeat failed:`, error.message));
+    }, HEARTBEAT_INTERVAL_MS);
+    heartbeat.unref();
+
+    return {
+        owner,
+        stopHeartbeat: () => clearInterval(heartbeat)
+    };
+};
+
+// AWBs rejected by an earlier attempt of this backfill day; resuming doesn't fetch them again.
+// Accepted AWBs are not listed: the already-insured check skips them and counts them towards max_shipments.
+const loadSettledDecisions = async (backfillId, targetDate) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+
+        const [rows] = await connection.execute(`
+            SELECT DISTINCT d.awb, d.outcome
+            FROM coverzy_awb_decisions d
+            JOIN coverzy_runs r ON r.id = d.run_id
+            WHERE r.backfill_id = ? AND r.dry_run = 0 AND d.target_date = ? AND d.outcome LIKE 'rejected\\_%'
+        `, [backfillId, targetDate]);
+
+        return new Map(rows.map(row => [row.awb, row.outcome]));
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+// The kill switch stopped the backfill: it can be resumed once processing is active again
+const pauseBackfill = async (backfillId, summary, reason) => {
+    console.log(`Backfill ${backfillId} paused: ${reason}`);
+    await updateBackfill(backfillId, `status = 'paused', error_message = ?, finished_at = CURRENT_TIMESTAMP`, [reason]);
+    summary.status = 'paused';
+    return summary;
+};
+
+/**
+ * Process every day of the backfill that is not completed yet, oldest first, with the daily cron semantics.
+ * Stops at the first failed day (or on cancel, or when processing is paused) so it can be resumed from there later.
+ * Throws BACKFILL_RUNNING if the backfill is completed or still running elsewhere.
+ */
+const runBackfill = async (backfillId, options = {}) => {
+    const { job = null } = options;
+
+    const claim = await claimBackfill(backfillId);
+    if (!claim) {
+        const error = new Error(`Backfill ${backfillId} is already running or has completed`);
+        error.code = 'BACKFILL_RUNNING';
+        throw error;
+    }
+
+    const summary = { backfillId, days: [], status: 'running' };
+
+    try {
+        const backfill = await getBackfill(backfillId);
+        const trigger = backfill.source === 'catch_up' ? 'catch_up' : 'backfill';
+        const pendingDays = backfill.days.filter(day => day.status !== 'completed');
+        console.log(`Backfill ${backfillId}: ${pendingDays.length} of ${backfill.days_total} days left to process`);
+
+        for (const day of pendingDays) {
+            if (job?.isCancelled()) {
+                break;
+            }
+
+            const targetDate = day.target_date;
+            console.log(`\n=== Backfill ${backfillId}: processing ${targetDate} ===`);
+            await updateBackfillDay(backfillId, targetDate,
+                `status = 'running', attempts = attempts + 1, error_message = NULL, started_at = CURRENT_TIMESTAMP, finished_at = NULL`);
+
+            try {
+                const settledDecisions = await loadSettledDecisions(backfillId, targetDate);
+                const result = await processShipmentsForDate(targetDate, { trigger, job, backfillId, settledDecisions });
+
+                // A cancelled or paused day stays pending and picks up where it stopped on resume
+                const dayStatus = result.cancelled || result.paused ? 'pending' : 'completed';
+                await updateBackfillDay(backfillId, targetDate, `
+                    status = ?, run_id = ?, total_shipments = ?, successful_shipments = ?,
+                    failed_shipments = ?, skipped_shipments = ?, finished_at = CURRENT_TIMESTAMP
+                `, [
+                    dayStatus,
+                    result.runId,
+                    result.total || 0,
+                    result.results?.length || 0,
+                    result.errors?.length || 0,
+                    result.skipped?.length || 0
+                ]);
+                summary.days.push({ date: targetDate, status: dayStatus, runId: result.runId });
+
+                if (dayStatus === 'completed') {
+                    await updateBackfill(backfillId, 'days_completed = days_completed + 1, heartbeat_at = CURRENT_TIMESTAMP');
+                }
+
+                if (result.paused) {
+                    return await pauseBackfill(backfillId, summary, result.pauseReason);
+                }
+            } catch (error) {
+                if (error.code === 'PROCESSING_PAUSED') {
+                    await updateBackfillDay(backfillId, targetDate, `status = 'pending', finished_at = NULL`);
+                    return await pauseBackfill(backfillId, summary, error.message);
+                }
+
+                console.error(`Backfill ${backfillId}: ${targetDate} failed:`, error.message);
+                await updateBackfillDay(backfillId, targetDate,
+                    `status = 'failed', error_message = ?, finished_at = CURRENT_TIMESTAMP`, [error.message]);
+                await updateBackfill(backfillId,
+                    `status = 'failed', error_message = ?, finished_at = CURRENT_TIMESTAMP`, [`${targetDate}: ${error.message}`]);
+                summary.days.push({ date: targetDate, status: 'failed', error: error.message });
+                summary.status = 'failed';
+                return summary;
+            }
+        }
+
+        summary.status = job?.isCancelled() ? 'cancelled' : 'completed';
+        await updateBackfill(backfillId, `status = ?, finished_at = CURRENT_TIMESTAMP`, [summary.status]);
+        console.log(`Backfill ${backfillId} ${summary.status}`);
+        return summary;
+    } catch (error) {
+        await updateBackfill(backfillId, `status = 'failed', error_message = ?, finished_at = CURRENT_TIMESTAMP`, [error.message])
+            .catch(updateError => console.error(`❌ Failed to mark backfill ${backfillId} as failed:`, updateError.message));
+        throw error;
+    } finally {
+        claim.stopHeartbeat();
+    }
+};
+
+// Run the backfill as a background job (poll GET /jobs/:id), returns the job
+const queueBackfillJob = (backfillId) => {
+    const job = createJob({ type: 'coverzy_backfill', params: { backfill_id: backfillId } });
+    startJob(job, () => runBackfill(backfillId, { job }));
+    return job;
+};
+
+module.exports = {
+    MAX_BACKFILL_DAYS,
+    listDatesInRange,
+    validateBackfillRange,
+    createBackfill,
+    getBackfill,
+    listBackfills,
+    runBackfill,
+    queueBackfillJob
+};
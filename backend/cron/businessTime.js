@@ -0,0 +1,80 @@
+// Every business date in the pipeline (target dates, ETAs, error logs, emails, date filters) is a calendar
+// date in this timezone, whatever timezone the server or the database session runs in.
+const BUSINESS_TIMEZONE = process.env.BUSINESS_TIMEZONE || 'Asia/Kolkata';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// True for a real calendar date in YYYY-MM-DD format. Date.parse rolls 2025-02-30 over to March,
+// so the date must also survive the round trip
+const isValidDate = (date) => {
+    if (!DATE_PATTERN.test(date || '')) {
+        return false;
+    }
+    const parsed = Date.parse(`${date}T00:00:00Z`);
+    return !isNaN(parsed) && new Date(parsed).toISOString().slice(0, 10) === date;
+};
+
+// Date (YYYY-MM-DD) and time (HH:MM:SS) of an instant in the given timezone
+const getZonedClock = (timeZone, now = new Date()) => {
+    const parts = Object.fromEntries(
+        new Intl.DateTimeFormat('en-CA', {
+            timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(now).map(part => [part.type, part.value])
+    );
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        time: `${parts.hour}:${parts.minute}:${parts.second}`
+    };
+};
+
+// YYYY-MM-DD plus a number of days (may be negative); pure calendar arithmetic, no timezone involved
+const addDays = (date, days) => {
+    const result = new Date(`${date}T00:00:00Z`);
+    result.setUTCDate(result.getUTCDate() + days);
+    return result.toISOString().split('T')[0];
+};
+
+// Today's business date shifted by offsetDays, e.g. getBusinessDate(-1) is yesterday
+const getBusinessDate = (offsetDays = 0, now = new Date()) => addDays(getZonedClock(BUSINESS_TIMEZONE, now).date, offsetDays);
+
+// "YYYY-MM-DD HH:MM:SS (Asia/Kolkata)" for logs and emails
+const formatBusinessDateTime = (date = new Date()) => {
+    const clock = getZonedClock(BUSINESS_TIMEZONE, date);
+    return `${clock.date} ${clock.time} (${BUSINESS_TIMEZONE})`;
+};
+
+// The instant at which the given wall-clock date and time occur in timeZone
+const zonedTimeToUtc = (date, time = '00:00:00', timeZone = BUSINESS_TIMEZONE) => {
+    const wallClockAsUtc = Date.parse(`${date}T${time}Z`);
+    const offsetAt = (instant) => {
+        const clock = getZonedClock(timeZone, new Date(instant));
+        return Date.parse(`${clock.date}T${clock.time}Z`) - instant;
+    };
+    // Second pass corrects the guess when a DST change falls between the two instants
+    const firstGuess = wallClockAsUtc - offsetAt(wallClockAsUtc);
+    return new Date(wallClockAsUtc - offsetAt(firstGuess));
+};
+
+// [start, end) instants covering business dates fromDate..toDate (YYYY-MM-DD, inclusive)
+const getBusinessDayBounds = (fromDate, toDate) => ({
+    start: zonedTimeToUtc(fromDate),
+    end: zonedTimeToUtc(addDays(toDate, 1))
+});
+
+module.exports = {
+    BUSINESS_TIMEZONE,
+    isValidDate,
+    getZonedClock,
+    addDays,
+    getBusinessDate,
+    formatBusinessDateTime,
+    zonedTimeToUtc,
+    getBusinessDayBounds
+};
@@ -0,0 +1,190 @@
+const pool = require('../config/db');
+
+// Carrier routes map a destination (any of its aliases, e.g. US/USA/UNITED STATES) and a Lex service
+// type to the carrier and delivery business days sent to Covrzy. A shipment whose destination and
+// service have no active route fails the service_destination rule.
+
+const CARRIER_ROUTE_FIELDS = ['destination_aliases', 'service_type', 'carrier_code', 'delivery_days', 'active'];
+const MAX_DELIVERY_DAYS = 90;
+
+// "us, USA" or ['us', 'USA'] -> ['US', 'USA']
+const parseAliases = (value) => {
+    const aliases = Array.isArray(value) ? value : String(value || '').split(',');
+    return [...new Set(aliases.map(alias => String(alias).trim().toUpperCase()).filter(Boolean))];
+};
+
+/**
+ * Returns an error message for invalid route values, or null.
+ * With partial: true only the fields that are provided are checked (PATCH-style updates).
+ */
+const validateCarrierRoute = (values, { partial = false } = {}) => {
+    if (!partial || values.destination_aliases !== undefined) {
+        const aliases = parseAliases(values.destination_aliases);
+        if (aliases.length === 0 || aliases.join(',').length > 255) {
+            return 'destination_aliases is required: one or more destination names or codes, e.g. "US,USA,UNITED STATES"';
+        }
+    }
+    if (!partial || values.service_type !== undefined) {
+        if (typeof values.service_type !== 'string' || values.service_type.trim().length === 0 || values.service_type.length > 50) {
+            return 'service_type is required and must be at most 50 characters, e.g. "Ship+"';
+        }
+    }
+    if (!partial || values.carrier_code !== undefined) {
+        if (typeof values.carrier_code !== 'string' || values.carrier_code.trim().length === 0 || values.carrier_code.length > 100) {
+            return 'carrier_code is required and must be at most 100 characters, e.g. "USPS"';
+        }
+    }
+    if (!partial || values.delivery_days !== undefined) {
+        const days = Number(values.delivery_days);
+        if (!Number.isInteger(days) || days < 1 || days > MAX_DELIVERY_DAYS) {
+            return `delivery_days must be a whole number of business days between 1 and ${MAX_DELIVERY_DAYS}`;
+        }
+    }
+    return null;
+};
+
+const formatCarrierRouteRow = (row) => ({
+    ...row,
+    destination_aliases: parseAliases(row.destination_aliases),
+    active: Boolean(row.active)
+});
+
+// Column values for the provided fields, converted for storage
+const toColumnValues = (values) => {
+    const columns = {};
+    for (const field of CARRIER_ROUTE_FIELDS) {
+        if (values[field] === undefined) {
+            continue;
+        }
+        if (field === 'destination_aliases') {
+            columns[field] = parseAliases(values[field]).join(',');
+        } else if (field === 'delivery_days') {
+            columns[field] = Number(values[field]);
+        } else if (field === 'active') {
+            columns[field] = values[field] === true || values[field] === 'true' || values[field] === 1 ? 1 : 0;
+        } else {
+            columns[field] = String(values[field]).trim();
+        }
+    }
+    return columns;
+};
+
+const listCarrierRoutes = async ({ activeOnly = false } = {}) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [rows] = await connection.execute(`
+            SELECT * FROM coverzy_carrier_routes
+            ${activeOnly ? 'WHERE active = 1' : ''}
+            ORDER BY destination_aliases ASC, service_type ASC
+        `);
+        return rows.map(formatCarrierRouteRow);
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+const getCarrierRoute = async (routeId) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [rows] = await connection.execute('SELECT * FROM coverzy_carrier_routes WHERE id = ?', [routeId]);
+        return rows.length > 0 ? formatCarrierRouteRow(rows[0]) : null;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+/**
+ * An active route that would cover the same destination and service as the given (merged) values,
+ * or null. Two active routes for one lane would make the carrier lookup ambiguous.
+ */
+const findConflictingRoute = async (values, excludeId = null) => {
+    if (!values.active) {
+        return null;
+    }
+    const aliases = parseAliases(values.destination_aliases);
+    const service = String(values.service_type).trim().toLowerCase();
+    const routes = await listCarrierRoutes({ activeOnly: true });
+    return routes.find(route =>
+        String(route.id) !== String(excludeId) &&
+        route.service_type.toLowerCase() === service &&
+        route.destination_aliases.some(alias => aliases.includes(alias))
+    ) || null;
+};
+
+// Insert a route, returns its id
+const createCarrierRoute = async (values) => {
+    const columns = {
+        active: 1,
+        ...toColumnValues(values)
+    };
+    const names = Object.keys(columns);
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [result] = await connection.execute(`
+            INSERT INTO coverzy_carrier_routes (${names.join(', ')})
+            VALUES (${names.map(() => '?').join(', ')})
+        `, Object.values(columns));
+        return result.insertId;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+// Update the provided fields, returns false if the route does not exist
+const updateCarrierRoute = async (routeId, values) => {
+    const columns = toColumnValues(values);
+    const names = Object.keys(columns);
+    if (names.length === 0) {
+        return (await getCarrierRoute(routeId)) !== null;
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [result] = await connection.execute(`
+            UPDATE coverzy_carrier_routes
+            SET ${names.map(name => `${name} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [...Object.values(columns), routeId]);
+        return result.affectedRows > 0;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+// Returns false if the route does not exist
+const deleteCarrierRoute = async (routeId) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [result] = await connection.execute('DELETE FROM coverzy_carrier_routes WHERE id = ?', [routeId]);
+        return result.affectedRows > 0;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+module.exports = {
+    CARRIER_ROUTE_FIELDS,
+    validateCarrierRoute,
+    listCarrierRoutes,
+    getCarrierRoute,
+    findConflictingRoute,
+    createCarrierRoute,
+    updateCarrierRoute,
+    deleteCarrierRoute
+};
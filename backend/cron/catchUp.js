@@ -0,0 +1,183 @@
+const pool = require('../config/db');
+const { getCoverzySettings } = require('./coverzyCron');
+const { MAX_BACKFILL_DAYS, listDatesInRange, createBackfill, getBackfill, queueBackfillJob } = require('./backfill');
+const { BUSINESS_TIMEZONE, getZonedClock, addDays } = require('./businessTime');
+const { sendCatchUpNoticeEmail } = require('../smtp/errorEmail');
+
+// auto: process missed days at startup, confirm: wait for POST /catch-up/confirm, off: only log them
+const CATCH_UP_MODES = ['auto', 'confirm', 'off'];
+
+// Target date of the latest run that should have happened by now (each run processes the previous day)
+const getLatestExpectedTargetDate = (cipTime, now = new Date()) => {
+    const clock = getZonedClock(BUSINESS_TIMEZONE, now);
+    const [hours, minutes] = String(cipTime).split(':');
+    const dueToday = `${hours.padStart(2, '0')}:${minutes}:00`;
+    return addDays(clock.date, clock.time >= dueToday ? -1 : -2);
+};
+
+// How far back startup looks for daily runs that never completed
+const CATCH_UP_LOOKBACK_DAYS = parseInt(process.env.CATCH_UP_LOOKBACK_DAYS) || 90;
+
+// Only runs of the daily cip_time task (or catch-ups of it) stand for a day. Manual, on-demand and named-schedule
+// runs may target any date, so they neither count as the daily run nor hide a missed one.
+const DAILY_RUN_CONDITION = "status = 'completed' AND dry_run = 0 AND trigger_type IN ('cron', 'catch_up') AND schedule_id IS NULL";
+
+// First and latest target dates of successful daily runs, and the distinct successful target dates from fromDate on
+const getDailyRunHistory = async (fromDate) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [[bounds]] = await connection.execute(`
+            SELECT
+                DATE_FORMAT(MIN(target_date), '%Y-%m-%d') AS first_date,
+                DATE_FORMAT(MAX(target_date), '%Y-%m-%d') AS last_date
+            FROM coverzy_runs
+            WHERE ${DAILY_RUN_CONDITION}
+        `);
+        const [rows] = await connection.execute(`
+            SELECT DISTINCT DATE_FORMAT(target_date, '%Y-%m-%d') AS target_date
+            FROM coverzy_runs
+            WHERE ${DAILY_RUN_CONDITION} AND target_date >= ?
+        `, [fromDate]);
+        return {
+            firstDate: bounds?.first_date || null,
+            lastDate: bounds?.last_date || null,
+            successfulDates: new Set(rows.map(row => row.target_date))
+        };
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+/**
+ * Expected daily target dates (the last CATCH_UP_LOOKBACK_DAYS of them) without a successful daily run.
+ * history is the getDailyRunHistory result; before the first successful daily run there is no schedule
+ * to compare against, so nothing earlier is reported. Only the latest MAX_BACKFILL_DAYS missed dates are
+ * returned in missedDates; older ones are listed in droppedDates.
+ */
+const listMissedDates = (history, latestExpectedDate) => {
+    if (!history.firstDate || history.firstDate > latestExpectedDate) {
+        return { missedDates: [], droppedDates: [] };
+    }
+
+    const lookbackStart = addDays(latestExpectedDate, 1 - CATCH_UP_LOOKBACK_DAYS);
+    const fromDate = history.firstDate > lookbackStart ? history.firstDate : lookbackStart;
+    const dates = listDatesInRange(fromDate, latestExpectedDate).filter(date => !history.successfulDates.has(date));
+    const droppedCount = Math.max(0, dates.length - MAX_BACKFILL_DAYS);
+
+    return {
+        missedDates: dates.slice(droppedCount),
+        droppedDates: dates.slice(0, droppedCount)
+    };
+};
+
+// Dates whose daily run was due but never completed (see listMissedDates)
+const findMissedDates = async (cipTime, now = new Date()) => {
+    const latestExpectedDate = getLatestExpectedTargetDate(cipTime, now);
+    const history = await getDailyRunHistory(addDays(latestExpectedDate, 1 - CATCH_UP_LOOKBACK_DAYS));
+
+    return {
+        lastSuccessfulDate: history.lastDate,
+        latestExpectedDate,
+        ...listMissedDates(history, latestExpectedDate)
+    };
+};
+
+// Most recent catch-up backfill that has not completed yet, or null
+const getPendingCatchUp = async () => {
+    let connection;
+    let backfillId;
+    try {
+        connection = await pool.getConnection();
+        const [rows] = await connection.execute(`
+            SELECT id
+            FROM coverzy_backfills
+            WHERE source = 'catch_up' AND status <> 'completed'
+            ORDER BY id DESC
+            LIMIT 1
+        `);
+        backfillId = rows[0]?.id;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+    return backfillId ? getBackfill(backfillId) : null;
+};
+
+const getCatchUpMode = (settings) => (CATCH_UP_MODES.includes(settings.catchUpMode) ? settings.catchUpMode : 'auto');
+
+/**
+ * Called once at server startup: find daily runs missed while the server was down and
+ * record them as a catch-up backfill. In auto mode the backfill is processed right away,
+ * in confirm mode it waits for an admin. Either way the admins get a notice email.
+ * An unfinished catch-up from an earlier startup is resumed (auto) instead of creating another one.
+ */
+const runStartupCatchUp = async () => {
+    const settings = await getCoverzySettings();
+    const mode = getCatchUpMode(settings);
+
+    const pending = await getPendingCatchUp();
+    if (pending) {
+        if (mode === 'auto' && pending.status !== 'running') {
+            const job = queueBackfillJob(pending.id);
+            console.log(`🔁 Resuming unfinished catch-up backfill ${pending.id} (job ${job.id})`);
+            return { mode, action: 'resumed', backfillId: pending.id, jobId: job.id };
+        }
+        console.log(`⏸️ Catch-up backfill ${pending.id} is ${pending.status}; leaving it for an admin (mode: ${mode})`);
+        return { mode, action: 'pending', backfillId: pending.id };
+    }
+
+    const { lastSuccessfulDate, missedDates, droppedDates } = await findMissedDates(settings.cipTime);
+    if (missedDates.length === 0) {
+        console.log('No missed Coverzy runs found');
+        return { mode, action: 'none' };
+    }
+
+    console.log(`⚠️ Missed Coverzy runs for ${missedDates.length} day(s): ${missedDates[0]} to ${missedDates[missedDates.length - 1]} (last successful: ${lastSuccessfulDate})`);
+    if (droppedDates.length > 0) {
+        console.log(`⚠️ ${droppedDates.length} older missed day(s) exceed the ${MAX_BACKFILL_DAYS} day catch-up limit and need a manual backfill`);
+    }
+
+    if (mode === 'off') {
+        return { mode, action: 'disabled', missedDates, droppedDates };
+    }
+
+    const backfillId = await createBackfill({
+        fromDate: missedDates[0],
+        toDate: missedDates[missedDates.length - 1],
+        dates: missedDates,
+        source: 'catch_up'
+    });
+
+    let job = null;
+    if (mode === 'auto') {
+        job = queueBackfillJob(backfillId);
+        console.log(`🔁 Catch-up backfill ${backfillId} queued (job ${job.id})`);
+    } else {
+        console.log(`⏸️ Catch-up backfill ${backfillId} created; waiting for confirmation`);
+    }
+
+    await sendCatchUpNoticeEmail({ mode, backfillId, missedDates, lastSuccessfulDate, droppedDates });
+
+    return {
+        mode,
+        action: mode === 'auto' ? 'queued' : 'awaiting_confirmation',
+        backfillId,
+        jobId: job?.id || null,
+        missedDates,
+        droppedDates
+    };
+};
+
+module.exports = {
+    CATCH_UP_MODES,
+    getCatchUpMode,
+    getLatestExpectedTargetDate,
+    listMissedDates,
+    findMissedDates,
+    getPendingCatchUp,
+    runStartupCatchUp
+};
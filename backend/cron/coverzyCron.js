@@ -1,7 +1,33 @@
 require('dotenv').config();
-const axios = require('axios');
 const pool = require('../config/db');
 const { sendCronErrorEmail, sendDailySummaryEmail } = require('../smtp/errorEmail');
+const { createRun, finishRun } = require('./runLedger');
+const { DECISION_OUTCOMES, recordDecision } = require('./decisionLog');
+const { buildIdempotencyKey, findInsuredShipment, claimShipment, releaseShipmentClaim } = require('./shipmentGuard');
+const { acquireRunLock } = require('./runLock');
+const { publishRunEvent } = require('./runEvents');
+const { sendRequest, summarizeRetries } = require('./httpClient');
+const { configureRateLimits } = require('./rateLimiter');
+const { runWithConcurrency } = require('./workerPool');
+const { getPauseState, buildPausedError, assertProcessingActive } = require('./killSwitch');
+const { BUSINESS_TIMEZONE, isValidDate, getZonedClock, addDays, getBusinessDate } = require('./businessTime');
+const {
+    isDestinationAllowed,
+    isPickupTimeValid,
+    convertInrToUsd,
+    isShipmentValueValid,
+    getShipmentCurrency,
+    getCarrierInfo,
+    isServiceDestinationValid
+} = require('./shipmentChecks');
+const { loadRules, evaluateRules } = require('./rules');
+const { listCarrierRoutes } = require('./carrierRoutes');
+const { listSuppliers, matchSupplier } = require('./suppliers');
+const { loadSupplierUsage, applySupplierQuotas } = require('./supplierQuotas');
+const { getSelectionStrategy, orderShipments } = require('./selection');
+const { saveSkippedShipments, markSkippedShipmentInsured } = require('./skippedShipments');
+const { loadHolidayCalendars, getHolidaysForDestination, findHolidayCountry } = require('./holidays');
+const { FX_BASE_CURRENCY, createFxRateCache, ensureFxRates, findRateForDate, findUsdRate } = require('./fxRates');
 const {
    
     LEX_SHIPMENT_API,
@@ -12,7 +38,36 @@ const {
     COVRZY_BEARER_TOKEN
 } = process.env;
 
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+// Build a validation error carrying a machine-readable outcome code and the values that caused it
+const createRejection = (outcome, message, details = {}) => {
+    const error = new Error(message);
+    error.outcome = outcome;
+    error.details = details;
+    return error;
+};
+
+// Extract outcome code and details from a validation/processing error
+const describeFailure = (error) => ({
+    outcome: error.outcome || DECISION_OUTCOMES.API_ERROR,
+    details: error.details || {
+        message: error.message,
+        statusCode: error.response?.status,
+        ...describeHttpFailure(error)
+    }
+});
+
+// Retry bookkeeping attached by the HTTP client (empty for errors that never reached it)
+const describeHttpFailure = (error) => {
+    if (!error.attempts) {
+        return {};
+    }
+    return {
+        upstream: error.upstream,
+        attempts: error.attempts,
+        transient: error.transient,
+        failureReason: error.failureReason
+    };
+};
 
 // Log error to database
 const logErrorToDatabase = async (errorData) => {
@@ -25,7 +80,7 @@ const logErrorToDatabase = async (errorData) => {
             errorType,
             errorMessage,
             errorDetails,
-            executionDate,
+            executionDate = getBusinessDate(),
             shipmentAwb = null
         } = errorData;
 
@@ -71,7 +126,13 @@ const getCoverzySettings = async () => {
                 cutoff_time,
                 cip_time,
                 min_shipment_value_usd,
-                usd_to_inr_rate
+                usd_to_inr_rate,
+                processing_concurrency,
+                lex_shipment_api_rps,
+                lex_customer_api_rps,
+                covrzy_api_rps,
+                catch_up_mode,
+                selection_strategy
             FROM coverzy_settings 
             ORDER BY created_at DESC 
             LIMIT 1
@@ -80,13 +141,28 @@ const getCoverzySettings = async () => {
         if (rows.length > 0) {
             const settings = rows[0];
             return {
-                suppliers: settings.supplier_names.split(',').map(name => name.trim()),
+                suppliers: await listSuppliers({ activeOnly: true }),
                 countries: settings.destination_countries.split(',').map(country => country.trim()),
                 maxShipments: settings.max_shipments,
                 cutoffTime: settings.cutoff_time,
                 cipTime: settings.cip_time,
                 minShipmentValueUsd: settings.min_shipment_value_usd,
-                usdToInrRate: settings.usd_to_inr_rate
+                usdToInrRate: settings.usd_to_inr_rate,
+                concurrency: settings.processing_concurrency,
+                rateLimits: {
+                    lex_shipment_details: parseFloat(settings.lex_shipment_api_rps),
+                    lex_customer_details: parseFloat(settings.lex_customer_api_rps),
+                    covrzy_policy: parseFloat(settings.covrzy_api_rps)
+                },
+                catchUpMode: settings.catch_up_mode || 'auto',
+                selectionStrategy: settings.selection_strategy || 'fetch_order',
+                rules: await loadRules(),
+                carrierRoutes: await listCarrierRoutes({ activeOnly: true }),
+                holidays: await loadHolidayCalendars(),
+                // Loaded per currency and date as shipments need them (see loadShipmentFxRates)
+                fxRates: createFxRateCache(),
+                // What the run actually applied from the rate and holiday tables, for its settings snapshot
+                applied: { fxRates: new Map(), holidays: new Map() }
             };
         } else {
             throw new Error('No coverzy settings found in database');
@@ -100,7 +176,7 @@ const getCoverzySettings = async () => {
             errorType: 'database_error',
             errorMessage: `Failed to fetch coverzy settings: ${error.message}`,
             errorDetails: { function: 'getCoverzySettings', stack: error.stack },
-            executionDate: new Date().toISOString().split('T')[0]
+            executionDate: getBusinessDate()
         });
         
         throw error;
@@ -111,89 +187,56 @@ const getCoverzySettings = async () => {
     }
 };
 
-// Validate if destination country is allowed
-const isDestinationAllowed = (destinationCountry, allowedCountries) => {
-    return allowedCountries.includes(destinationCountry.toUpperCase());
-};
-
-// Validate if supplier is allowed
-const isSupplierAllowed = (companyName, allowedSuppliers) => {
-    if (!companyName) return false;
-    return allowedSuppliers.some(supplier => 
-        supplier.toLowerCase().includes(companyName.toLowerCase()) ||
-        companyName.toLowerCase().includes(supplier.toLowerCase())
-    );
-};
-
-// Validate if pickup time is within allowed time range
-const isPickupTimeValid = (pickupTime, cutoffTime, cipTime) => {
-    try {
-        // Extract time from pickup datetime (assuming format: YYYY-MM-DD HH:MM:SS)
-        const pickupTimeStr = pickupTime.split(' ')[1] || pickupTime;
-        
-        // Convert times to comparable format (minutes from midnight)
-        const timeToMinutes = (timeStr) => {
-            const [hours, minutes] = timeStr.split(':').map(Number);
-            return hours * 60 + minutes;
-        };
-        
-        const pickupMinutes = timeToMinutes(pickupTimeStr);
-        const cutoffMinutes = timeToMinutes(cutoffTime);
-        
-        // Check if pickup time is before the cutoff time
-        return pickupMinutes < cutoffMinutes;
-    } catch (error) {
-        console.error('Error validating pickup time:', error.message);
-        return false;
+// Settings as recorded in coverzy_runs.settings_snapshot: the scalar settings, the rules, the ids of the carrier
+// routes and suppliers in effect, and only the exchange rates and holidays the run actually applied
+const buildSettingsSnapshot = (settings) => {
+    if (!settings) {
+        return null;
     }
+    return {
+        countries: settings.countries,
+        maxShipments: settings.maxShipments,
+        cutoffTime: settings.cutoffTime,
+        cipTime: settings.cipTime,
+        minShipmentValueUsd: settings.minShipmentValueUsd,
+        usdToInrRate: settings.usdToInrRate,
+        concurrency: settings.concurrency,
+        rateLimits: settings.rateLimits,
+        catchUpMode: settings.catchUpMode,
+        selectionStrategy: settings.selectionStrategy,
+        rules: settings.rules.map(rule => ({ id: rule.id, enabled: rule.enabled, params: rule.params })),
+        carrierRouteIds: settings.carrierRoutes.map(route => route.id),
+        supplierIds: settings.suppliers.map(supplier => supplier.id),
+        fxRatesApplied: [...settings.applied.fxRates.values()],
+        holidaysApplied: [...settings.applied.holidays.values()]
+    };
 };
 
-// Convert INR to USD for validation purposes only
-const convertInrToUsd = (inrAmount, usdToInrRate) => {
-    try {
-        const inrValue = parseFloat(inrAmount);
-        const rate = parseFloat(usdToInrRate);
-        
-        if (isNaN(inrValue) || isNaN(rate) || rate <= 0) {
-            throw new Error('Invalid amount or exchange rate');
-        }
-        
-        return inrValue / rate;
-    } catch (error) {
-        console.error('Error converting INR to USD:', error.message);
-        return 0;
-    }
-};
+// Yesterday in the business timezone, in Lex API format (DD-MM-YYYY)
+const getPreviousDate = () => toApiDate(getBusinessDate(-1));
 
-// Validate if shipment value meets minimum USD threshold
-const isShipmentValueValid = (packageValue, minShipmentValueUsd, usdToInrRate) => {
-    try {
-        const usdValue = convertInrToUsd(packageValue, usdToInrRate);
-        const minValue = parseFloat(minShipmentValueUsd);
-        
-        return usdValue >= minValue;
-    } catch (error) {
-        console.error('Error validating shipment value:', error.message);
-        return false;
-    }
+// Convert a Lex API date (DD-MM-YYYY) to MySQL format (YYYY-MM-DD)
+const toMySQLDate = (apiDate) => {
+    if (!apiDate) return null;
+    const parts = apiDate.split('-');
+    if (parts.length !== 3) return null;
+    if (parts[0].length === 4) return apiDate; // Already YYYY-MM-DD
+    const [day, month, year] = parts;
+    return `${year}-${month}-${day}`;
 };
 
-const getPreviousDate = () => {
-    const today = new Date();
-    const yesterday = new Date(today);
-    yesterday.setDate(today.getDate() - 1);
-    
-    const day = String(yesterday.getDate()).padStart(2, '0');
-    const month = String(yesterday.getMonth() + 1).padStart(2, '0');
-    const year = yesterday.getFullYear();
-    
+// Convert a MySQL date (YYYY-MM-DD) to Lex API format (DD-MM-YYYY)
+const toApiDate = (date) => {
+    if (!date) return null;
+    const parts = date.split('-');
+    if (parts.length !== 3) return null;
+    if (parts[0].length !== 4) return date; // Already DD-MM-YYYY
+    const [year, month, day] = parts;
     return `${day}-${month}-${year}`;
 };
 
-const getDailyShipmentsData = async (fromDate, toDate = null) => {
+const getDailyShipmentsData = async (fromDate, toDate = null, options = {}) => {
     try {
-        await delay(500);
-
         // Ensure both dates are set to the same date (strictly yesterday for our use case)
         const targetDate = toDate || fromDate;
         const requestData = {
@@ -203,12 +246,15 @@ const getDailyShipmentsData = async (fromDate, toDate = null) => {
 
         console.log(`Fetching shipments from ${fromDate} to ${targetDate}`);
 
-        const response = await axios.post(LEX_DAILY_SHIPMENTS_DATA_API, requestData, {
+        const response = await sendRequest({
+            method: 'post',
+            url: LEX_DAILY_SHIPMENTS_DATA_API,
+            data: requestData,
             headers: {
                 'Authorization': `Bearer ${BEARER_TOKEN}`,
                 'Content-Type': 'application/json'
             }
-        });
+        }, { upstream: 'lex_daily_shipments', context: fromDate, retryLog: options.retryLog });
 
         // Parse the response to extract AWB numbers
         // The response contains "Customer Shipment Count X" followed by the array
@@ -235,32 +281,37 @@ const getDailyShipmentsData = async (fromDate, toDate = null) => {
     }
 };
 
-const getShipmentDetails = async (awb) => {
+const getShipmentDetails = async (awb, options = {}) => {
     try {
-        await delay(500); 
-
         const url = `${LEX_SHIPMENT_API}AWB=${awb}`;
         const headers = {
             'Authorization': `Bearer ${BEARER_TOKEN}`,
             'Content-Type': 'application/json',
         };
-        const response = await axios.get(url, { headers });
+        const response = await sendRequest(
+            { method: 'get', url, headers },
+            { upstream: 'lex_shipment_details', context: awb, retryLog: options.retryLog }
+        );
         return response.data;
     } catch (error) {
-        throw new Error(`Failed to fetch shipment details for AWB: ${awb}, Error: ${error.message}`);
+        throw createRejection(
+            DECISION_OUTCOMES.API_ERROR,
+            `Failed to fetch shipment details for AWB: ${awb}, Error: ${error.message}`,
+            { stage: 'shipment_details', statusCode: error.response?.status, message: error.message, ...describeHttpFailure(error) }
+        );
     }
 };
 
-const getCustomerDetails = async (customerId) => {
+const getCustomerDetails = async (customerId, options = {}) => {
     try {
-        await delay(500); 
-
-        const response = await axios.get(`${LEX_CUSTOMER_DETAIL_API}Customer_Id=${customerId}`, {
+        const response = await sendRequest({
+            method: 'get',
+            url: `${LEX_CUSTOMER_DETAIL_API}Customer_Id=${customerId}`,
             headers: {
                 'Authorization': `Bearer ${BEARER_TOKEN}`,
                 'Content-Type': 'application/json'
             }
-        });
+        }, { upstream: 'lex_customer_details', context: options.awb || `customer ${customerId}`, retryLog: options.retryLog });
         return response.data;
     } catch (error) {
         console.error(`Failed to fetch customer details: ${error.message}`);
@@ -268,101 +319,89 @@ const getCustomerDetails = async (customerId) => {
     }
 };
 
-// Calculate ETA based on pickup date and business days
-const calculateETA = (pickupDate, businessDays) => {
+// Add business days to the pickup date, skipping weekends and the given holidays ({ 'YYYY-MM-DD': name }).
+// Returns { eta, skippedHolidays: [{ date, name }] } where skippedHolidays are the weekday holidays that
+// pushed the ETA back, or null if the pickup date cannot be parsed.
+const calculateETADetails = (pickupDate, businessDays, holidays = {}) => {
     try {
-        // Parse the pickup date (assuming format: YYYY-MM-DD HH:MM:SS or DD-MM-YYYY HH:MM:SS)
+        // Parse the pickup date (assuming format: YYYY-MM-DD HH:MM:SS or DD-MM-YYYY HH:MM:SS).
+        // Only the calendar date matters, so the arithmetic below never goes through a timezone.
         let date;
-        if (pickupDate.includes(' ')) {
-            const dateStr = pickupDate.split(' ')[0];
-            if (dateStr.includes('-')) {
-                const parts = dateStr.split('-');
-                if (parts[0].length === 4) {
-                    // YYYY-MM-DD format
-                    date = new Date(dateStr);
-                } else {
-                    // DD-MM-YYYY format
-                    const [day, month, year] = parts;
-                    date = new Date(year, month - 1, day);
-                }
-            }
+        if (pickupDate instanceof Date || String(pickupDate).includes('T')) {
+            // A full timestamp: take its date in the business timezone
+            const timestamp = new Date(pickupDate);
+            date = isNaN(timestamp.getTime()) ? null : getZonedClock(BUSINESS_TIMEZONE, timestamp).date;
         } else {
-            date = new Date(pickupDate);
+            date = toMySQLDate(String(pickupDate).split(' ')[0]);
         }
 
-        if (isNaN(date.getTime())) {
+        if (!isValidDate(date)) {
             throw new Error('Invalid pickup date format');
         }
 
-        // Add business days (excluding weekends)
-        let currentDate = new Date(date);
+        // Add business days (excluding weekends and holidays)
+        let currentDate = date;
         let addedDays = 0;
+        const skippedHolidays = [];
         
         while (addedDays < businessDays) {
-            currentDate.setDate(currentDate.getDate() + 1);
-            const dayOfWeek = currentDate.getDay();
+            currentDate = addDays(currentDate, 1);
+            const dayOfWeek = new Date(`${currentDate}T00:00:00Z`).getUTCDay();
             
             // Skip weekends (0 = Sunday, 6 = Saturday)
-            if (dayOfWeek !== 0 && dayOfWeek !== 6) {
-                addedDays++;
+            if (dayOfWeek === 0 || dayOfWeek === 6) {
+                continue;
+            }
+            if (holidays && holidays[currentDate]) {
+                skippedHolidays.push({ date: currentDate, name: holidays[currentDate] });
+                continue;
             }
+            addedDays++;
         }
         
         // Return in YYYY-MM-DD HH:MM:SS format with static time
-        const dateStr = currentDate.toISOString().split('T')[0];
         const staticTime = "00:00:00"; // Static delivery time (midnight)
-        return `${dateStr} ${staticTime}`;
+        return { eta: `${currentDate} ${staticTime}`, skippedHolidays };
     } catch (error) {
         console.error('Error calculating ETA:', error.message);
         return null;
     }
 };
 
-// Get carrier code and delivery days based on destination and service type
-const getCarrierInfo = (destinationCountry, serviceType) => {
-    const destination = destinationCountry.toUpperCase();
-    const service = serviceType.toLowerCase();
-    
-    // USA mapping
-    if (destination === 'USA' || destination === 'US' || destination === 'UNITED STATES') {
-        if (service === 'ship+') {
-            return { carrierCode: 'USPS', deliveryDays: 15 };
-        } else if (service === 'shipd') {
-            return { carrierCode: 'USPS', deliveryDays: 12 };
-        }
-    }
-    
-    // UK/GB mapping - handle all possible variations
-    if (destination === 'UK' || 
-        destination === 'GB' || destination === 'UNITED KINGDOM') {
-        if (service === 'ship+') {
-            return { carrierCode: 'Royal Mail', deliveryDays: 10 };
-        } else if (service === 'shipd') {
-            return { carrierCode: 'Royal Mail', deliveryDays: 8 };
-        }
-    }
-    
-    return null; // Unsupported combination
+// Calculate ETA based on pickup date and business days
+const calculateETA = (pickupDate, businessDays, holidays = {}) => {
+    const details = calculateETADetails(pickupDate, businessDays, holidays);
+    return details ? details.eta : null;
 };
 
-// Validate service type and destination combination
-const isServiceDestinationValid = (destinationCountry, serviceType) => {
-    const carrierInfo = getCarrierInfo(destinationCountry, serviceType);
-    return carrierInfo !== null;
+// Carrier, delivery days and holiday-aware ETA for a shipment, or null when no carrier route covers it.
+// Each skipped holiday also names the countryCode of the calendar it came from.
+const describeShipmentETA = (shipmentDetails, carrierRoutes, holidayCalendars) => {
+    const carrierInfo = getCarrierInfo(shipmentDetails.Destination_Country, shipmentDetails.Service_Type, carrierRoutes);
+    if (!carrierInfo) {
+        return null;
+    }
+    const holidays = getHolidaysForDestination(holidayCalendars, carrierInfo.destinationAliases);
+    const details = calculateETADetails(shipmentDetails.Create_Pick_Up_Date, carrierInfo.deliveryDays, holidays);
+    return {
+        carrierCode: carrierInfo.carrierCode,
+        deliveryDays: carrierInfo.deliveryDays,
+        eta: details ? details.eta : null,
+        skippedHolidays: details
+            ? details.skippedHolidays.map(holiday => ({
+                ...holiday,
+                countryCode: findHolidayCountry(holidayCalendars, carrierInfo.destinationAliases, holiday.date)
+            }))
+            : []
+    };
 };
 
-const mapShipmentDetailsToPayload = async(shipmentDetails) => {
-    // Get customer details using Customer_ID from shipment
-    const customerDetails = await getCustomerDetails(shipmentDetails.Customer_ID);
-    
-    // Extract customer info
-    const customerInfo = customerDetails ? customerDetails[0] : {};
-    const customerAddresses = customerDetails ? customerDetails[1] : [];
+// customerInfo and customerAddresses are the customer details fetched during validation (evaluateShipment)
+const mapShipmentDetailsToPayload = (shipmentDetails, { customerInfo = {}, customerAddresses = [] }, carrierRoutes, holidayCalendars = {}) => {
     const registeredAddress = customerAddresses.find(addr => addr.label === "Registered Address") || {};
 
     // Get carrier info and calculate ETA
-    const carrierInfo = getCarrierInfo(shipmentDetails.Destination_Country, shipmentDetails.Service_Type);
-    const eta = carrierInfo ? calculateETA(shipmentDetails.Create_Pick_Up_Date, carrierInfo.deliveryDays) : null;
+    const etaInfo = describeShipmentETA(shipmentDetails, carrierRoutes, holidayCalendars);
 
     const payload = {
         "transportMode": "air",
@@ -371,11 +410,11 @@ const mapShipmentDetailsToPayload = async(shipmentDetails) => {
           "departureDate": shipmentDetails.Create_Pick_Up_Date,
           "origin": "IN",
           "destination": shipmentDetails.Destination_Country,
-          "eta": eta,
-          "carrierCode": carrierInfo ? carrierInfo.carrierCode : null,
+          "eta": etaInfo ? etaInfo.eta : null,
+          "carrierCode": etaInfo ? etaInfo.carrierCode : null,
           "value": {
             "amount": shipmentDetails.Package_Value,
-            "currency": "INR"
+            "currency": getShipmentCurrency(shipmentDetails)
           },
           "goods_description": shipmentDetails.Description
         },
@@ -387,22 +426,27 @@ const mapShipmentDetailsToPayload = async(shipmentDetails) => {
     return payload;
 }
 
-const sendToCovrzyAPI = async (payload) => {
+const sendToCovrzyAPI = async (payload, options = {}) => {
+    const { idempotencyKey = buildIdempotencyKey(payload.shipment.awb), retryLog = null } = options;
+    
     try {
-        await delay(500);
-
         const covrzyEndpoint = COVRZY_API_ENDPOINT;
         
         // Console the final payload being sent to Coverzy API
         console.log('Final payload being sent to Coverzy API:');
         console.log(JSON.stringify(payload, null, 2));
         
-        const response = await axios.post(covrzyEndpoint, payload, {
+        // Retrying the POST is safe: the idempotency key stops Covrzy issuing a second policy
+        const response = await sendRequest({
+            method: 'post',
+            url: covrzyEndpoint,
+            data: payload,
             headers: {
                 'Authorization': `Bearer ${COVRZY_BEARER_TOKEN}`,
-                'Content-Type': 'application/json'
+                'Content-Type': 'application/json',
+                'Idempotency-Key': idempotencyKey
             }
-        });
+        }, { upstream: 'covrzy_policy', context: payload.shipment.awb, retryLog });
 
         console.log('Successfully sent to Covrzy API:', response.data);
         return response.data;
@@ -417,7 +461,10 @@ const sendToCovrzyAPI = async (payload) => {
 }
 
 // Save shipment data to coverzy_shipments table
-const saveShipmentToDatabase = async (awb, supplierName, destinationCountry, coverzyResponse) => {
+const saveShipmentToDatabase = async (awb, supplierName, destinationCountry, coverzyResponse, options = {}) => {
+    // shipmentValue: { amount, currency, usdAmount } as declared and converted; fxRate: the rate used to convert it;
+    // supplierMatch: the matchSupplier result the shipment was accepted under
+    const { replacePolicy = false, fxRate = null, shipmentValue = null, supplierMatch = null } = options;
     let connection;
     try {
         connection = await pool.getConnection();
@@ -428,38 +475,94 @@ const saveShipmentToDatabase = async (awb, supplierName, destinationCountry, cov
         // Leave view_pdf empty for now
         const viewPdfUrl = null;
         
+        // A forced re-insurance supersedes the stored policy, which stays valid at Covrzy: keep it in
+        // coverzy_policy_history before the new policy and amount overwrite it
+        if (replacePolicy) {
+            await connection.beginTransaction();
+            await connection.execute(`
+                INSERT INTO coverzy_policy_history
+                (shipment_id, policy_id, amount, currency, declared_value, declared_currency, value_usd,
+                fx_rate, fx_rate_date, fx_rate_source, view_pdf, insured_at, superseded_by_policy_id)
+                SELECT shipment_id, policy_id, amount, currency, declared_value, declared_currency, value_usd,
+                fx_rate, fx_rate_date, fx_rate_source, view_pdf, updated_at, ?
+                FROM coverzy_shipments
+                WHERE shipment_id = ? AND policy_id IS NOT NULL AND policy_id <> ?
+            `, [policyId, awb, policyId]);
+        }
+        
+        // An existing policy is never replaced (policy_id is assigned last so the IF above sees the old value),
+        // except by a forced re-insurance (see above)
         const insertQuery = `
             INSERT INTO coverzy_shipments 
-            (shipment_id, supplier_name, destination_country, policy_id, amount, currency, view_pdf) 
-            VALUES (?, ?, ?, ?, ?, ?, ?)
+            (shipment_id, supplier_name, supplier_id, supplier_match_method, destination_country, policy_id, amount, currency,
+            declared_value, declared_currency, value_usd, fx_rate, fx_rate_date, fx_rate_source, view_pdf) 
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
             ON DUPLICATE KEY UPDATE
             supplier_name = VALUES(supplier_name),
+            supplier_id = VALUES(supplier_id),
+            supplier_match_method = VALUES(supplier_match_method),
             destination_country = VALUES(destination_country),
-            policy_id = VALUES(policy_id),
-            amount = VALUES(amount),
+            ${replacePolicy ? `amount = VALUES(amount),
             currency = VALUES(currency),
+            declared_value = VALUES(declared_value),
+            declared_currency = VALUES(declared_currency),
+            value_usd = VALUES(value_usd),
+            fx_rate = VALUES(fx_rate),
+            fx_rate_date = VALUES(fx_rate_date),
+            fx_rate_source = VALUES(fx_rate_source),
             view_pdf = VALUES(view_pdf),
+            policy_id = VALUES(policy_id),` : `amount = IF(policy_id IS NULL, VALUES(amount), amount),
+            currency = IF(policy_id IS NULL, VALUES(currency), currency),
+            declared_value = IF(policy_id IS NULL, VALUES(declared_value), declared_value),
+            declared_currency = IF(policy_id IS NULL, VALUES(declared_currency), declared_currency),
+            value_usd = IF(policy_id IS NULL, VALUES(value_usd), value_usd),
+            fx_rate = IF(policy_id IS NULL, VALUES(fx_rate), fx_rate),
+            fx_rate_date = IF(policy_id IS NULL, VALUES(fx_rate_date), fx_rate_date),
+            fx_rate_source = IF(policy_id IS NULL, VALUES(fx_rate_source), fx_rate_source),
+            view_pdf = COALESCE(view_pdf, VALUES(view_pdf)),
+            policy_id = COALESCE(policy_id, VALUES(policy_id)),`}
             updated_at = CURRENT_TIMESTAMP
         `;
         
         const [result] = await connection.execute(insertQuery, [
             awb,
             supplierName,
+            supplierMatch ? supplierMatch.supplier.id : null,
+            supplierMatch ? supplierMatch.method : null,
             destinationCountry,
             policyId,
             amount,
-            'INR',  // Set currency as INR
+            // Covrzy prices the policy in the currency of the insured value unless it says otherwise
+            coverzyResponse.currency || (shipmentValue ? shipmentValue.currency : 'INR'),
+            shipmentValue ? shipmentValue.amount : null,
+            shipmentValue ? shipmentValue.currency : null,
+            shipmentValue && shipmentValue.usdAmount !== null ? Number(shipmentValue.usdAmount.toFixed(2)) : null,
+            fxRate ? fxRate.rate : null,
+            fxRate ? fxRate.effectiveDate : null,
+            fxRate ? fxRate.source : null,
             viewPdfUrl
         ]);
+        if (replacePolicy) {
+            await connection.commit();
+        }
         
         console.log(`    Shipment data saved to database for AWB: ${awb}`);
         console.log(`   - Policy ID: ${policyId}`);
         console.log(`   - Amount: ${amount}`);
+        if (supplierMatch) {
+            console.log(`   - Supplier: ${supplierMatch.supplier.display_name} (matched by ${supplierMatch.method})`);
+        }
+        if (fxRate) {
+            console.log(`   - USD/${fxRate.currency} rate: ${fxRate.rate} (${fxRate.source}${fxRate.effectiveDate ? `, ${fxRate.effectiveDate}` : ''})`);
+        }
         
         
         return result;
     } catch (error) {
         console.error(`  Failed to save shipment data to database for AWB ${awb}:`, error.message);
+        if (connection && replacePolicy) {
+            await connection.rollback();
+        }
         throw error;
     } finally {
         if (connection) {
@@ -468,153 +571,215 @@ const saveShipmentToDatabase = async (awb, supplierName, destinationCountry, cov
     }
 };
 
+// Pickup date of a shipment as YYYY-MM-DD, or null when Lex sent something unparseable
+const getPickupDate = (shipmentDetails) => {
+    const pickupDate = toMySQLDate(String(shipmentDetails.Create_Pick_Up_Date || '').split(' ')[0]);
+    return isValidDate(pickupDate) ? pickupDate : null;
+};
+
+// Pickup date and time as 'YYYY-MM-DD HH:MM:SS' (midnight without a time), or null without a valid date
+const getPickupDateTime = (shipmentDetails) => {
+    const pickupDate = getPickupDate(shipmentDetails);
+    if (!pickupDate) {
+        return null;
+    }
+    const [, time = '00:00:00'] = String(shipmentDetails.Create_Pick_Up_Date).split(' ');
+    return `${pickupDate} ${time}`;
+};
+
+// Date whose exchange rates apply to a shipment: its pickup date, today's without one
+const getFxRateDate = (shipmentDetails) => getPickupDate(shipmentDetails) || getBusinessDate();
+
+// Load the rates a shipment's conversions need into settings.fxRates: its declared currency and the
+// threshold currencies of the enabled rules, on its pickup date
+const loadShipmentFxRates = async (shipmentDetails, settings) => {
+    const thresholdCurrencies = settings.rules
+        .filter(rule => rule.enabled && rule.params.thresholdCurrency)
+        .map(rule => rule.params.thresholdCurrency);
+    await ensureFxRates(settings.fxRates, [getShipmentCurrency(shipmentDetails), ...thresholdCurrencies], getFxRateDate(shipmentDetails));
+};
+
+// Exchange rate for a shipment value in currency (default: its declared currency): units of currency per 1 USD
+// effective on the pickup date (today's without one) in coverzy_fx_rates. INR falls back to the usd_to_inr_rate
+// setting while no dated rate exists; any other currency without a rate gets rate null. Only rates loaded by
+// loadShipmentFxRates are seen; every rate found is added to settings.applied for the run's snapshot.
+// Returns { currency, rate, effectiveDate, source }.
+const resolveFxRate = (shipmentDetails, settings, currency = getShipmentCurrency(shipmentDetails)) => {
+    const usdRate = findUsdRate(settings.fxRates.rates, currency, getFxRateDate(shipmentDetails));
+    let fxRate = { currency, rate: null, effectiveDate: null, source: null };
+    if (usdRate) {
+        fxRate = { currency, rate: usdRate.rate, effectiveDate: usdRate.effective_date, source: usdRate.source };
+    } else if (currency === 'INR') {
+        fxRate = { currency, rate: parseFloat(settings.usdToInrRate), effectiveDate: null, source: 'settings' };
+    }
+    if (fxRate.rate !== null && currency !== FX_BASE_CURRENCY) {
+        settings.applied.fxRates.set(`${currency}|${fxRate.effectiveDate}|${fxRate.source}`, fxRate);
+    }
+    return fxRate;
+};
+
+// Package_Value (in fxRate.currency) converted into currency through USD, or null when a rate is missing
+const convertShipmentValue = (shipmentDetails, settings, fxRate, currency) => {
+    const amount = parseFloat(shipmentDetails.Package_Value);
+    if (isNaN(amount)) {
+        return null;
+    }
+    if (currency === fxRate.currency) {
+        return amount;
+    }
+    if (!(fxRate.rate > 0)) {
+        return null;
+    }
+    const usdAmount = amount / fxRate.rate;
+    if (currency === FX_BASE_CURRENCY) {
+        return usdAmount;
+    }
+    const target = resolveFxRate(shipmentDetails, settings, currency);
+    return target.rate > 0 ? usdAmount * target.rate : null;
+};
+
+// Run the validation rules (settings.rules) for one AWB without stopping at the first failure, so the
+// caller sees the full breakdown. Each check is { rule, passed, actual, threshold, outcome, message, details };
+// outcome and message are only set for failed checks. eta is the describeShipmentETA result (null without a
+// carrier route), fxRate the resolveFxRate result and supplierMatch the matchSupplier result for the customer
+// (null when it is not a known supplier). Throws when the shipment itself cannot be fetched.
+const evaluateShipment = async (awb, settings, options = {}) => {
+    const { retryLog = null } = options;
+    const shipmentDetails = await getShipmentDetails(awb, { retryLog });
+    const customerDetails = await getCustomerDetails(shipmentDetails.Customer_ID, { awb, retryLog });
+    await loadShipmentFxRates(shipmentDetails, settings);
+    const customerInfo = customerDetails ? customerDetails[0] || {} : null;
+    const customerAddresses = customerDetails ? customerDetails[1] || [] : [];
+    
+    const fxRate = resolveFxRate(shipmentDetails, settings);
+    const convertValue = (currency) => convertShipmentValue(shipmentDetails, settings, fxRate, currency);
+    const supplierMatch = customerInfo
+        ? matchSupplier(settings.suppliers, shipmentDetails.Customer_ID, customerInfo.company_name)
+        : null;
+    const checks = evaluateRules(settings.rules, { awb, shipmentDetails, customerInfo, settings, fxRate, convertValue, supplierMatch });
+    
+    // The policy needs the customer even when no enabled rule looks at it
+    if (!customerInfo && !checks.some(check => check.details?.stage === 'customer_details')) {
+        checks.push({
+            rule: 'customer_details',
+            passed: false,
+            actual: null,
+            threshold: null,
+            outcome: DECISION_OUTCOMES.API_ERROR,
+            message: `Failed to fetch customer details for Customer_ID ${shipmentDetails.Customer_ID}`,
+            details: { stage: 'customer_details', customerId: shipmentDetails.Customer_ID }
+        });
+    }
+    
+    // ...and its carrier and ETA, so a shipment without a carrier route fails even with service_destination disabled
+    const eta = describeShipmentETA(shipmentDetails, settings.carrierRoutes, settings.holidays);
+    for (const holiday of eta ? eta.skippedHolidays : []) {
+        settings.applied.holidays.set(`${holiday.countryCode}|${holiday.date}`, holiday);
+    }
+    if (!eta && !checks.some(check => check.rule === 'service_destination' && !check.passed)) {
+        checks.push({
+            rule: 'carrier_route',
+            passed: false,
+            actual: `${shipmentDetails.Service_Type} to ${shipmentDetails.Destination_Country}`,
+            threshold: null,
+            outcome: DECISION_OUTCOMES.REJECTED_SERVICE,
+            message: `No active carrier route for service type '${shipmentDetails.Service_Type}' to '${shipmentDetails.Destination_Country}', so the policy has no carrier or ETA`,
+            details: { destinationCountry: shipmentDetails.Destination_Country, serviceType: shipmentDetails.Service_Type }
+        });
+    }
+    
+    return {
+        valid: checks.every(check => check.passed),
+        awb,
+        shipmentDetails,
+        customerInfo: customerInfo || {},
+        customerAddresses,
+        checks,
+        eta,
+        fxRate,
+        supplierMatch
+    };
+};
+
+// Rejection for a shipment that failed one or more rules: the first failure decides the outcome
+const buildRuleRejection = (checks) => {
+    const failedChecks = checks.filter(check => !check.passed);
+    const [firstFailure] = failedChecks;
+    return createRejection(firstFailure.outcome, firstFailure.message, {
+        ...firstFailure.details,
+        failedRules: failedChecks.map(check => check.rule)
+    });
+};
+
+const logPassedChecks = (checks, indent) => {
+    for (const check of checks) {
+        const actual = Array.isArray(check.actual) ? check.actual.join(', ') : check.actual;
+        console.log(`${indent}- ${check.rule}: ${actual} ✓`);
+    }
+};
+
+// Holidays that moved the ETA, e.g. "2025-12-25 Christmas Day, 2025-12-26 Boxing Day"
+const describeSkippedHolidays = (eta) => (eta && eta.skippedHolidays.length > 0
+    ? eta.skippedHolidays.map(holiday => `${holiday.date} ${holiday.name}`).join(', ')
+    : null);
+
 // Validate shipment without processing to Coverzy API
-const validateShipmentOnly = async (awb, settings) => {
+const validateShipmentOnly = async (awb, settings, options = {}) => {
+    const { retryLog = null } = options;
     try {
         console.log(`Validating shipment with AWB: ${awb}`);
         
-        // Get shipment details
-        const shipmentDetails = await getShipmentDetails(awb);
-        
-        // Validate destination country
-        if (!isDestinationAllowed(shipmentDetails.Destination_Country, settings.countries)) {
-            throw new Error(`Destination country '${shipmentDetails.Destination_Country}' not allowed. Allowed countries: ${settings.countries.join(', ')}`);
-        }
-        
-        // Validate service type and destination combination
-        if (!isServiceDestinationValid(shipmentDetails.Destination_Country, shipmentDetails.Service_Type)) {
-            throw new Error(`Service type '${shipmentDetails.Service_Type}' not supported for destination '${shipmentDetails.Destination_Country}'. Supported combinations: USA(Ship+/ShipD), UK/GB(Ship+/ShipD)`);
+        const evaluation = await evaluateShipment(awb, settings, { retryLog });
+        if (!evaluation.valid) {
+            throw buildRuleRejection(evaluation.checks);
         }
         
-        // Validate pickup time
-        if (!isPickupTimeValid(shipmentDetails.Create_Pick_Up_Date, settings.cutoffTime, settings.cipTime)) {
-            throw new Error(`Pickup time '${shipmentDetails.Create_Pick_Up_Date}' is not before cutoff time (${settings.cutoffTime})`);
-        }
-        
-        // Validate shipment value
-        if (!isShipmentValueValid(shipmentDetails.Package_Value, settings.minShipmentValueUsd, settings.usdToInrRate)) {
-            const usdValue = convertInrToUsd(shipmentDetails.Package_Value, settings.usdToInrRate);
-            throw new Error(`Shipment value ₹${shipmentDetails.Package_Value} ($${usdValue.toFixed(2)}) is below minimum threshold of $${settings.minShipmentValueUsd}`);
-        }
-        
-        // Get customer details for supplier validation
-        const customerDetails = await getCustomerDetails(shipmentDetails.Customer_ID);
-        const customerInfo = customerDetails ? customerDetails[0] : {};
-        
-        // Validate supplier
-        if (!isSupplierAllowed(customerInfo.company_name, settings.suppliers)) {
-            throw new Error(`Supplier '${customerInfo.company_name}' not allowed. Allowed suppliers: ${settings.suppliers.join(', ')}`);
-        }
-        
-        const usdValue = convertInrToUsd(shipmentDetails.Package_Value, settings.usdToInrRate);
-        const carrierInfo = getCarrierInfo(shipmentDetails.Destination_Country, shipmentDetails.Service_Type);
-        const eta = calculateETA(shipmentDetails.Create_Pick_Up_Date, carrierInfo.deliveryDays);
-        
         console.log(`   ✓ Validation passed for AWB: ${awb}`);
-        console.log(`     - Destination: ${shipmentDetails.Destination_Country} ✓`);
-        console.log(`     - Service Type: ${shipmentDetails.Service_Type} ✓`);
-        console.log(`     - Carrier: ${carrierInfo.carrierCode} (${carrierInfo.deliveryDays} business days) ✓`);
-        console.log(`     - ETA: ${eta} ✓`);
-        console.log(`     - Pickup Time: ${shipmentDetails.Create_Pick_Up_Date} ✓`);
-        console.log(`     - Shipment Value: ₹${shipmentDetails.Package_Value} ($${usdValue.toFixed(2)}) ✓`);
-        console.log(`     - Supplier: ${customerInfo.company_name} ✓`);
+        logPassedChecks(evaluation.checks, '     ');
+        const skippedHolidays = describeSkippedHolidays(evaluation.eta);
+        if (skippedHolidays) {
+            console.log(`     ETA ${evaluation.eta.eta} moved past holidays: ${skippedHolidays}`);
+        }
         
         return {
             valid: true,
             awb,
-            shipmentDetails,
-            customerInfo
+            shipmentDetails: evaluation.shipmentDetails,
+            customerInfo: evaluation.customerInfo,
+            customerAddresses: evaluation.customerAddresses,
+            eta: evaluation.eta,
+            fxRate: evaluation.fxRate,
+            supplierMatch: evaluation.supplierMatch,
+            // Used by the selection strategy when there are more valid shipments than max_shipments
+            valueUsd: convertShipmentValue(evaluation.shipmentDetails, settings, evaluation.fxRate, FX_BASE_CURRENCY),
+            pickupAt: getPickupDateTime(evaluation.shipmentDetails)
         };
     } catch (error) {
         console.log(`   ✗ Validation failed for AWB: ${awb} - ${error.message}`);
         return {
             valid: false,
             awb,
-            error: error.message
+            error: error.message,
+            ...describeFailure(error)
         };
     }
 };
 
-const processShipment = async (awb, settings) => {
+const processShipment = async (awb, settings, options = {}) => {
+    const { retryLog = null } = options;
     try {
         console.log(`Processing shipment with AWB: ${awb}`);
         
-        // Get shipment details
-        const shipmentDetails = await getShipmentDetails(awb);
-        
-        // Validate destination country
-        if (!isDestinationAllowed(shipmentDetails.Destination_Country, settings.countries)) {
-            throw new Error(`Destination country '${shipmentDetails.Destination_Country}' not allowed. Allowed countries: ${settings.countries.join(', ')}`);
-        }
-        
-        // Validate service type and destination combination
-        if (!isServiceDestinationValid(shipmentDetails.Destination_Country, shipmentDetails.Service_Type)) {
-            throw new Error(`Service type '${shipmentDetails.Service_Type}' not supported for destination '${shipmentDetails.Destination_Country}'. Supported combinations: USA(Ship+/ShipD), UK/GB(Ship+/ShipD)`);
-        }
-        
-        // Validate pickup time
-        if (!isPickupTimeValid(shipmentDetails.Create_Pick_Up_Date, settings.cutoffTime, settings.cipTime)) {
-            throw new Error(`Pickup time '${shipmentDetails.Create_Pick_Up_Date}' is not before cutoff time (${settings.cutoffTime})`);
-        }
-        
-        // Validate shipment value
-        if (!isShipmentValueValid(shipmentDetails.Package_Value, settings.minShipmentValueUsd, settings.usdToInrRate)) {
-            const usdValue = convertInrToUsd(shipmentDetails.Package_Value, settings.usdToInrRate);
-            throw new Error(`Shipment value ₹${shipmentDetails.Package_Value} ($${usdValue.toFixed(2)}) is below minimum threshold of $${settings.minShipmentValueUsd}`);
-        }
-        
-        // Get customer details for supplier validation
-        const customerDetails = await getCustomerDetails(shipmentDetails.Customer_ID);
-        const customerInfo = customerDetails ? customerDetails[0] : {};
-        
-        // Validate supplier
-        if (!isSupplierAllowed(customerInfo.company_name, settings.suppliers)) {
-            throw new Error(`Supplier '${customerInfo.company_name}' not allowed. Allowed suppliers: ${settings.suppliers.join(', ')}`);
+        const evaluation = await evaluateShipment(awb, settings, { retryLog });
+        if (!evaluation.valid) {
+            throw buildRuleRejection(evaluation.checks);
         }
         
-        const usdValue = convertInrToUsd(shipmentDetails.Package_Value, settings.usdToInrRate);
-        const carrierInfo = getCarrierInfo(shipmentDetails.Destination_Country, shipmentDetails.Service_Type);
-        const eta = calculateETA(shipmentDetails.Create_Pick_Up_Date, carrierInfo.deliveryDays);
-        
         console.log(`   All validations passed for AWB: ${awb}`);
-        console.log(`  - Destination: ${shipmentDetails.Destination_Country} ✓`);
-        console.log(`  - Service Type: ${shipmentDetails.Service_Type} ✓`);
-        console.log(`  - Carrier: ${carrierInfo.carrierCode} (${carrierInfo.deliveryDays} business days) ✓`);
-        console.log(`  - ETA: ${eta} ✓`);
-        console.log(`  - Pickup Time: ${shipmentDetails.Create_Pick_Up_Date} ✓`);
-        console.log(`  - Shipment Value: ₹${shipmentDetails.Package_Value} ($${usdValue.toFixed(2)}) ✓`);
-        console.log(`  - Supplier: ${customerInfo.company_name} ✓`);
-        
-        // Map shipment details to payload
-        const payload = await mapShipmentDetailsToPayload(shipmentDetails);
-        
-        // Send to Covrzy API
-        const coverzyResponse = await sendToCovrzyAPI(payload);
+        logPassedChecks(evaluation.checks, '  ');
+        publishRunEvent('validated', { runId: options.runId || null, awb, destination: evaluation.shipmentDetails.Destination_Country });
         
-        // Check if Coverzy API response is successful
-        if (coverzyResponse.status === 'success' && coverzyResponse.policyId) {
-            // Save shipment data to database
-            await saveShipmentToDatabase(
-                awb,
-                customerInfo.company_name,
-                shipmentDetails.Destination_Country,
-                coverzyResponse
-            );
-            
-            console.log(`    Successfully processed and saved shipment ${awb}`);
-            return {
-                coverzyResponse,
-                savedToDatabase: true,
-                pdfUrl: null // PDF URL not stored in database
-            };
-        } else {
-            console.log(`  Coverzy API response not successful for AWB ${awb}:`, coverzyResponse);
-            return {
-                coverzyResponse,
-                savedToDatabase: false,
-                error: 'Coverzy API response not successful'
-            };
-        }
+        return await processValidatedShipment(evaluation, settings, options);
     } catch (error) {
         console.error(`Error processing shipment ${awb}:`, error.message);
         throw error;
@@ -622,30 +787,96 @@ const processShipment = async (awb, settings) => {
 }
 
 // Process validated shipment (shipment details already fetched and validated)
-const processValidatedShipment = async (validationResult, settings) => {
+const processValidatedShipment = async (validationResult, settings, options = {}) => {
+    // force: the AWB is knowingly re-insured (on-demand processing), so an existing policy does not stop it
+    const { runId = null, retryLog = null, dryRun = false, force = false } = options;
+    const { awb, shipmentDetails, customerInfo } = validationResult;
+    // The rate the shipment was validated at is recorded with its policy
+    const fxRate = validationResult.fxRate || resolveFxRate(shipmentDetails, settings);
+    const supplierMatch = validationResult.supplierMatch !== undefined
+        ? validationResult.supplierMatch
+        : matchSupplier(settings.suppliers, shipmentDetails.Customer_ID, customerInfo.company_name);
+    let claimToken = null;
+    
     try {
-        const { awb, shipmentDetails, customerInfo } = validationResult;
         console.log(`Processing validated shipment with AWB: ${awb}`);
         
+        // Dry run: build the exact payload that would be sent, without claiming, submitting or saving
+        if (dryRun) {
+            const existingPolicy = force ? null : await findInsuredShipment(awb);
+            if (existingPolicy) {
+                throw createRejection(
+                    DECISION_OUTCOMES.SKIPPED_DUPLICATE,
+                    `AWB ${awb} is already insured under policy ${existingPolicy.policy_id}`,
+                    { reason: 'already_insured', policyId: existingPolicy.policy_id }
+                );
+            }
+            const payload = mapShipmentDetailsToPayload(shipmentDetails, validationResult, settings.carrierRoutes, settings.holidays);
+            console.log(`    Dry run: payload built for AWB ${awb}, not sent to Covrzy`);
+            return {
+                dryRun: true,
+                payload,
+                eta: validationResult.eta || describeShipmentETA(shipmentDetails, settings.carrierRoutes, settings.holidays),
+                fxRate,
+                savedToDatabase: false
+            };
+        }
+        
+        // Mark the AWB as in flight so a concurrent run cannot submit it too
+        const claim = await claimShipment(awb, runId);
+        if (!claim.claimToken) {
+            throw createRejection(
+                DECISION_OUTCOMES.SKIPPED_DUPLICATE,
+                `AWB ${awb} is already being submitted by another run`,
+                { reason: 'in_flight', heldBy: claim.heldBy }
+            );
+        }
+        claimToken = claim.claimToken;
+        
+        // Re-check after claiming: another run may have finished between validation and now
+        const existingPolicy = force ? null : await findInsuredShipment(awb);
+        if (existingPolicy) {
+            throw createRejection(
+                DECISION_OUTCOMES.SKIPPED_DUPLICATE,
+                `AWB ${awb} is already insured under policy ${existingPolicy.policy_id}`,
+                { reason: 'already_insured', policyId: existingPolicy.policy_id }
+            );
+        }
+        
         // Map shipment details to payload
-        const payload = await mapShipmentDetailsToPayload(shipmentDetails);
+        const payload = mapShipmentDetailsToPayload(shipmentDetails, validationResult, settings.carrierRoutes, settings.holidays);
         
-        // Send to Covrzy API
-        const coverzyResponse = await sendToCovrzyAPI(payload);
+        // Send to Covrzy API (idempotency key derived from the AWB)
+        publishRunEvent('submitted', { runId, awb });
+        const coverzyResponse = await sendToCovrzyAPI(payload, { idempotencyKey: buildIdempotencyKey(awb, force ? claimToken : null), retryLog });
         
         // Check if Coverzy API response is successful
         if (coverzyResponse.status === 'success' && coverzyResponse.policyId) {
             // Save shipment data to database
+            // Policies are filed under the supplier's display name, so they group by supplier however Lex spells it
             await saveShipmentToDatabase(
                 awb,
-                customerInfo.company_name,
+                supplierMatch ? supplierMatch.supplier.display_name : customerInfo.company_name,
                 shipmentDetails.Destination_Country,
-                coverzyResponse
+                coverzyResponse,
+                {
+                    replacePolicy: force,
+                    fxRate,
+                    supplierMatch,
+                    shipmentValue: {
+                        amount: parseFloat(shipmentDetails.Package_Value),
+                        currency: fxRate.currency,
+                        usdAmount: convertShipmentValue(shipmentDetails, settings, fxRate, FX_BASE_CURRENCY)
+                    }
+                }
             );
             
             console.log(`    Successfully processed and saved shipment ${awb}`);
+            publishRunEvent('policy_saved', { runId, awb, policyId: coverzyResponse.policyId });
             return {
                 coverzyResponse,
+                fxRate,
+                supplierMatch,
                 savedToDatabase: true,
                 pdfUrl: null // PDF URL not stored in database
             };
@@ -658,34 +889,211 @@ const processValidatedShipment = async (validationResult, settings) => {
             };
         }
     } catch (error) {
-        console.error(`Error processing validated shipment ${validationResult.awb}:`, error.message);
+        console.error(`Error processing validated shipment ${awb}:`, error.message);
+        throw error;
+    } finally {
+        if (claimToken) {
+            await releaseShipmentClaim(awb, claimToken);
+        }
+    }
+};
+
+// skipped_duplicate rejection for an AWB whose stored policy (a findInsuredShipment row) is existingPolicy
+const buildAlreadyInsuredRejection = (awb, existingPolicy) => createRejection(
+    DECISION_OUTCOMES.SKIPPED_DUPLICATE,
+    `AWB ${awb} is already insured under policy ${existingPolicy.policy_id}`,
+    { reason: 'already_insured', policyId: existingPolicy.policy_id }
+);
+
+// Return a skipped_duplicate rejection if the AWB already has a policy, otherwise null
+const checkAlreadyInsured = async (awb) => {
+    const existingPolicy = await findInsuredShipment(awb);
+    return existingPolicy ? buildAlreadyInsuredRejection(awb, existingPolicy) : null;
+};
+
+// Take the single-flight processing lock, or fail with a RUN_LOCKED error describing the holder
+const acquireProcessingLock = async (trigger) => {
+    const lock = await acquireRunLock({ trigger });
+    if (!lock.acquired) {
+        const holder = lock.holder;
+        const error = new Error(holder && holder.runId
+            ? `Another Coverzy run is already in progress (run ${holder.runId}, trigger: ${holder.trigger})`
+            : 'Another Coverzy run is already in progress');
+        error.code = 'RUN_LOCKED';
+        error.lockHolder = holder;
         throw error;
     }
+    return lock;
+};
+
+// Close the ledger entry for a run stopped by a cancel request and return the partial result
+// A run stopped by the kill switch (pauseError) is recorded as paused instead of cancelled
+const finishCancelledRun = async ({ runId, settings, retryLog = [], date, counts, results = [], errors = [], skipped = [], pauseError = null }) => {
+    const status = pauseError ? 'paused' : 'cancelled';
+    console.log(`Run ${runId} ${status} after ${counts.processed || 0} processed shipments`);
+    const retries = summarizeRetries(retryLog);
+    await finishRun(runId, { status, settings: buildSettingsSnapshot(settings), counts, retries, errorMessage: pauseError ? pauseError.message : 'Cancelled by user request' });
+    return {
+        results,
+        errors,
+        skipped,
+        total: counts.total,
+        processed: counts.processed || 0,
+        validFound: counts.valid || 0,
+        date,
+        runId,
+        retries,
+        ...(pauseError ? { paused: true, pauseReason: pauseError.message } : { cancelled: true })
+    };
+};
+
+// What a dry run reports instead of policies: the exact payloads and every shipment left out
+const buildDryRunReport = ({ results = [], rejections = [] }) => ({
+    dryRun: true,
+    payloads: results.map(({ awb, result }) => ({
+        awb,
+        payload: result.payload,
+        skippedHolidays: result.eta ? result.eta.skippedHolidays : [],
+        fxRate: result.fxRate || null
+    })),
+    rejections: rejections.map(entry => ({
+        awb: entry.awb,
+        outcome: entry.outcome || DECISION_OUTCOMES.API_ERROR,
+        reason: entry.reason || entry.error || null,
+        details: entry.details || null
+    }))
+});
+
+// Persist an AWB decision, publish it as a live event and report it to the job (if the run is tracked as a job).
+// Dry runs only publish and report it: the decision log holds what real runs decided
+const recordAwbDecision = async (job, decision, { dryRun = false } = {}) => {
+    // Accepted shipments are announced by the policy_saved event
+    if (decision.outcome !== DECISION_OUTCOMES.ACCEPTED) {
+        publishRunEvent(decision.outcome === DECISION_OUTCOMES.API_ERROR ? 'failed' : 'rejected', {
+            runId: decision.runId,
+            awb: decision.awb,
+            outcome: decision.outcome,
+            reason: decision.reason || null
+        });
+    }
+    
+    if (job) {
+        job.addResult({
+            awb: decision.awb,
+            outcome: decision.outcome,
+            reason: decision.reason || null,
+            policyId: decision.details?.policyId || null
+        });
+    }
+    if (dryRun) {
+        return null;
+    }
+    return recordDecision(decision);
 };
 
-const processPreviousDayShipments = async () => {
-    const yesterdayDate = getPreviousDate(); // DD-MM-YYYY format for API
-    const yesterdayDateMySQL = new Date(new Date().setDate(new Date().getDate() - 1)).toISOString().split('T')[0]; // YYYY-MM-DD format for database
+// Persist the decision for a shipment that went through the processing phase.
+// previousPolicyId: the policy a forced re-insurance superseded
+const recordProcessingDecision = async ({ job, runId, awb, targetDate, result, error, previousPolicyId = null, dryRun = false }) => {
+    if (error) {
+        const { outcome, details } = describeFailure(error);
+        return recordAwbDecision(job, {
+            runId,
+            awb,
+            targetDate,
+            outcome,
+            reason: error.message,
+            // Validation rejections already describe themselves; raw API errors get the stage added
+            details: error.outcome ? details : { stage: 'processing', ...details }
+        }, { dryRun });
+    }
+    
+    // Nothing was bought, so a dry-run payload is reported to the job but not logged as a decision
+    if (result.dryRun) {
+        job?.addResult({ awb, outcome: 'dry_run', reason: null, policyId: null });
+        return;
+    }
+    
+    if (result.savedToDatabase) {
+        // A shipment skipped by an earlier run for its date is no longer pending
+        await markSkippedShipmentInsured(awb, result.coverzyResponse.policyId);
+        return recordAwbDecision(job, {
+            runId,
+            awb,
+            targetDate,
+            outcome: DECISION_OUTCOMES.ACCEPTED,
+            details: {
+                policyId: result.coverzyResponse.policyId,
+                amount: result.coverzyResponse.amount,
+                fxRate: result.fxRate || null,
+                supplierId: result.supplierMatch ? result.supplierMatch.supplier.id : null,
+                supplierMatchMethod: result.supplierMatch ? result.supplierMatch.method : null,
+                ...(previousPolicyId && { previousPolicyId })
+            }
+        });
+    }
+    
+    return recordAwbDecision(job, {
+        runId,
+        awb,
+        targetDate,
+        outcome: DECISION_OUTCOMES.API_ERROR,
+        reason: result.error,
+        details: { stage: 'covrzy_response', coverzyResponse: result.coverzyResponse }
+    });
+};
+
+// Process one day's shipments: fetch, validate all, select up to max_shipments, then submit.
+// The daily cron, named schedules, manual runs for a date and backfills all go through here.
+const processShipmentsForDate = async (date, options = {}) => {
+    const { trigger = 'manual', job = null, dryRun = false, backfillId = null, scheduleId = null, settledDecisions = null } = options;
+    const apiDate = toApiDate(date); // DD-MM-YYYY format for API
+    const targetDateMySQL = toMySQLDate(date); // YYYY-MM-DD format for database
     const jobName = 'coverzy_daily_shipments';
     
+    // Nothing is bought while the kill switch is on (throws PROCESSING_PAUSED)
+    if (!dryRun) {
+        await assertProcessingActive();
+    }
+    
+    // Only one run at a time across all server instances (throws RUN_LOCKED otherwise)
+    // Dry runs never submit anything, so they neither take nor wait for the lock
+    const lock = dryRun ? null : await acquireProcessingLock(trigger);
+    
+    // Record the run in the ledger before anything can fail
+    const runId = await createRun({ trigger, targetDate: targetDateMySQL, dryRun, backfillId, scheduleId });
+    await lock?.attachRun(runId);
+    job?.setRunId(runId);
+    let settings = null;
+    // Every upstream retry during this run, reported with the run result
+    const retryLog = [];
+    
     try {
-        console.log(`Processing shipments for yesterday's date: ${yesterdayDate}`);
-        console.log(`Note: Both fromdate and todate will be set to ${yesterdayDate}`);
+        console.log(`Processing shipments for date: ${apiDate}`);
+        console.log(`Note: Both fromdate and todate will be set to ${apiDate}`);
         
         // Get coverzy settings for validation
-        const settings = await getCoverzySettings();
+        settings = await getCoverzySettings();
         console.log(` Loaded coverzy settings:`);
         console.log(`  - Max shipments: ${settings.maxShipments}`);
         console.log(`  - Allowed countries: ${settings.countries.join(', ')}`);
         console.log(`  - Pickup time validation: Before cutoff time (${settings.cutoffTime})`);
-        console.log(`  - Min shipment value: $${settings.minShipmentValueUsd} (Rate: ₹${settings.usdToInrRate}/USD)`);
-        console.log(`  - Allowed suppliers: ${settings.suppliers.length} suppliers loaded`);
-        
-        // Get all AWB numbers for yesterday only (both fromdate and todate set to yesterday)
+        await ensureFxRates(settings.fxRates, ['INR'], targetDateMySQL);
+        const dayRate = findRateForDate(settings.fxRates.rates, targetDateMySQL, FX_BASE_CURRENCY, 'INR');
+        console.log(`  - Min shipment value: $${settings.minShipmentValueUsd} (Rate: ₹${dayRate ? `${dayRate.rate}/USD from ${dayRate.effective_date}` : `${settings.usdToInrRate}/USD from settings`})`);
+        console.log(`  - Allowed suppliers: ${settings.suppliers.length} active suppliers loaded`);
+        console.log(`  - Concurrency: ${settings.concurrency} workers (rate limits/s: Lex shipment ${settings.rateLimits.lex_shipment_details}, Lex customer ${settings.rateLimits.lex_customer_details}, Covrzy ${settings.rateLimits.covrzy_policy})`);
+        configureRateLimits(settings.rateLimits);
+        
+        // Get all AWB numbers for this date only (both fromdate and todate set to it)
+        job?.setPhase('fetching');
         let awbNumbers;
         try {
-            awbNumbers = await getDailyShipmentsData(yesterdayDate, yesterdayDate);
+            awbNumbers = await getDailyShipmentsData(apiDate, apiDate, { retryLog });
         } catch (error) {
+            if (dryRun) {
+                throw error;
+            }
+            
             // Log API failures that prevent the cron from running
             await logErrorToDatabase({
                 jobName,
@@ -693,11 +1101,12 @@ const processPreviousDayShipments = async () => {
                 errorMessage: `Failed to fetch daily shipments data: ${error.message}`,
                 errorDetails: { 
                     function: 'getDailyShipmentsData', 
-                    date: yesterdayDate,
+                    date: apiDate,
                     stack: error.stack,
-                    statusCode: error.response?.status 
+                    statusCode: error.response?.status,
+                    attempts: error.attempts
                 },
-                executionDate: yesterdayDateMySQL
+                executionDate: targetDateMySQL
             });
             
             // Send critical error email for API failures
@@ -705,13 +1114,14 @@ const processPreviousDayShipments = async () => {
                 jobName,
                 errorType: 'api_error',
                 errorMessage: `Critical API Failure: Unable to fetch shipments data - ${error.message}`,
-                executionDate: yesterdayDate,
+                executionDate: apiDate,
                 totalShipments: 0,
                 processedShipments: 0,
                 failedShipments: 0,
                 errorDetails: { 
                     apiEndpoint: 'LEX_DAILY_SHIPMENTS_DATA_API',
                     statusCode: error.response?.status,
+                    attempts: error.attempts,
                     function: 'getDailyShipmentsData'
                 }
             });
@@ -720,9 +1130,18 @@ const processPreviousDayShipments = async () => {
         }
         
         if (awbNumbers.length === 0) {
-            console.log('No shipments found for yesterday');
+            console.log(`No shipments found for date: ${apiDate}`);
             // Don't log this as an error - it's normal business flow
-            return { results: [], errors: [], total: 0, date: yesterdayDate };
+            await finishRun(runId, { status: 'completed', settings: buildSettingsSnapshot(settings), retries: summarizeRetries(retryLog) });
+            return {
+                results: [],
+                errors: [],
+                total: 0,
+                date: apiDate,
+                runId,
+                retries: summarizeRetries(retryLog),
+                ...(dryRun && buildDryRunReport({}))
+            };
         }
         
         console.log(`\n=== Starting Validation Phase ===`);
@@ -730,81 +1149,250 @@ const processPreviousDayShipments = async () => {
         
         const validShipments = [];
         const invalidShipments = [];
+        const skippedDuplicates = [];
+        let validCount = 0;
         
-        // First pass: Validate all shipments
-        for (let i = 0; i < awbNumbers.length; i++) {
-            const awb = awbNumbers[i];
+        job?.setPhase('validating', awbNumbers.length);
+        
+        // First pass: Validate all shipments (upstream load is bounded by the rate limiters)
+        // Cancellation is only honoured between shipments
+        const validationResults = await runWithConcurrency(awbNumbers, settings.concurrency, async (awb, i) => {
             console.log(`\n[${i + 1}/${awbNumbers.length}] Validating AWB: ${awb}`);
+            let validShipment = null;
+            
+            // Resumed backfill day: a rejection from an earlier attempt stands, don't evaluate the AWB again
+            const settledOutcome = settledDecisions?.get(awb);
+            if (settledOutcome) {
+                console.log(`   ↷ Skipping AWB ${awb}: already ${settledOutcome} in an earlier attempt`);
+                invalidShipments.push({
+                    valid: false,
+                    awb,
+                    error: `Already ${settledOutcome} in an earlier attempt`,
+                    outcome: settledOutcome,
+                    details: { resumed: true }
+                });
+                job?.advance();
+                return null;
+            }
             
             try {
-                const validationResult = await validateShipmentOnly(awb, settings);
+                // Never re-insure an AWB that already has a policy
+                const duplicate = await checkAlreadyInsured(awb);
+                if (duplicate) {
+                    console.log(`   ↷ Skipping AWB ${awb}: ${duplicate.message}`);
+                    skippedDuplicates.push({ awb, outcome: duplicate.outcome, reason: duplicate.message, details: duplicate.details });
+                    await recordAwbDecision(job, {
+                        runId,
+                        awb,
+                        targetDate: targetDateMySQL,
+                        outcome: duplicate.outcome,
+                        reason: duplicate.message,
+                        details: duplicate.details
+                    }, { dryRun });
+                    job?.advance();
+                    return null;
+                }
+                
+                const validationResult = await validateShipmentOnly(awb, settings, { retryLog });
                 
                 if (validationResult.valid) {
-                    validShipments.push(validationResult);
-                    console.log(`     ✓ Valid shipment added to processing queue (${validShipments.length} valid so far)`);
+                    validCount++;
+                    job?.addResult({ awb, outcome: 'validated', reason: null, policyId: null });
+                    publishRunEvent('validated', { runId, awb, destination: validationResult.shipmentDetails.Destination_Country });
+                    console.log(`     ✓ Valid shipment added to processing queue (${validCount} valid so far)`);
+                    validShipment = validationResult;
                 } else {
                     invalidShipments.push(validationResult);
-                    // Don't log individual validation errors to database
+                    // Individual validation failures go to the decision log, not the error log
+                    await recordAwbDecision(job, {
+                        runId,
+                        awb,
+                        targetDate: targetDateMySQL,
+                        outcome: validationResult.outcome,
+                        reason: validationResult.error,
+                        details: validationResult.details
+                    }, { dryRun });
                 }
-                
-                // Add delay between validations
-                await delay(500);
-                
             } catch (error) {
                 console.error(`   ✗ Error during validation for AWB ${awb}:`, error.message);
                 const errorData = {
                     valid: false,
                     awb,
-                    error: error.message
+                    error: error.message,
+                    ...describeFailure(error)
                 };
                 invalidShipments.push(errorData);
                 // Don't log individual API errors during validation - only log if it's a systematic failure
+                await recordAwbDecision(job, {
+                    runId,
+                    awb,
+                    targetDate: targetDateMySQL,
+                    ...describeFailure(error),
+                    reason: error.message
+                }, { dryRun });
             }
+            
+            job?.advance();
+            return validShipment;
+        }, { shouldStop: () => Boolean(job?.isCancelled()) });
+        
+        // Keep the fetch order so the selection strategy breaks ties the same way on every run
+        validShipments.push(...validationResults.filter(Boolean));
+        
+        if (job?.isCancelled()) {
+            console.log('Cancellation requested - stopped validation phase');
+            return await finishCancelledRun({
+                runId,
+                settings,
+                retryLog,
+                date: apiDate,
+                counts: { total: awbNumbers.length, valid: validShipments.length, failed: invalidShipments.length }
+            });
         }
         
         console.log(`\n=== Validation Phase Complete ===`);
         console.log(`Total shipments checked: ${awbNumbers.length}`);
         console.log(`Valid shipments found: ${validShipments.length}`);
         console.log(`Invalid shipments: ${invalidShipments.length}`);
+        console.log(`Already insured (skipped): ${skippedDuplicates.length}`);
         
         if (validShipments.length === 0) {
             console.log('No valid shipments found to process');
             // Don't log this as an error - it's normal business flow when no shipments meet criteria
+            await finishRun(runId, {
+                status: 'completed',
+                settings: buildSettingsSnapshot(settings),
+                counts: { total: awbNumbers.length, failed: invalidShipments.length },
+                retries: summarizeRetries(retryLog)
+            });
             return { 
                 results: [], 
                 errors: invalidShipments.map(inv => ({ awb: inv.awb, error: inv.error })), 
+                skipped: skippedDuplicates,
                 total: awbNumbers.length, 
                 processed: 0,
                 validFound: 0,
-                date: yesterdayDate 
+                date: apiDate,
+                runId,
+                retries: summarizeRetries(retryLog),
+                ...(dryRun && buildDryRunReport({ rejections: [...invalidShipments, ...skippedDuplicates] }))
             };
         }
         
+        // The selection strategy orders the valid shipments, then per-supplier daily/monthly quotas and max_shipments keep
+        // the first ones. Policies bought earlier for this day and month count against the quotas
+        const selectionStrategy = getSelectionStrategy(settings);
+        const supplierUsage = await loadSupplierUsage(targetDateMySQL);
+        const orderedShipments = orderShipments(validShipments, selectionStrategy, supplierUsage);
+        const { withinQuota, overQuota } = applySupplierQuotas(orderedShipments, supplierUsage);
+        const quotaSkippedShipments = overQuota.map(({ shipment, supplier, period, quota, used }) => ({
+            awb: shipment.awb,
+            outcome: DECISION_OUTCOMES.SKIPPED_LIMIT,
+            reason: `Valid shipment skipped: ${period} quota of ${quota} for supplier ${supplier.display_name} reached`,
+            details: { reason: 'supplier_quota', supplierId: supplier.id, period, quota, used, valueUsd: shipment.valueUsd }
+        }));
+        
         // Limit valid shipments based on max_shipments setting
-        const shipmentsToProcess = validShipments.slice(0, settings.maxShipments);
+        // Shipments of this day already insured by an earlier run (e.g. a resumed backfill) use up the limit too
+        const alreadyInsured = skippedDuplicates.filter(entry => entry.details?.reason === 'already_insured').length;
+        const remainingLimit = Math.max(0, settings.maxShipments - alreadyInsured);
+        const shipmentsToProcess = withinQuota.slice(0, remainingLimit);
+        const skippedShipments = [...quotaSkippedShipments, ...withinQuota.slice(remainingLimit).map((validationResult, i) => ({
+            awb: validationResult.awb,
+            outcome: DECISION_OUTCOMES.SKIPPED_LIMIT,
+            reason: `Valid shipment skipped: max_shipments limit of ${settings.maxShipments} reached (${selectionStrategy} selection)`,
+            details: {
+                reason: 'max_shipments',
+                maxShipments: settings.maxShipments,
+                selectionStrategy,
+                alreadyInsured,
+                position: remainingLimit + i + 1,
+                validFound: validShipments.length,
+                supplierId: validationResult.supplierMatch ? validationResult.supplierMatch.supplier.id : null,
+                valueUsd: validationResult.valueUsd
+            }
+        }))];
+        
+        for (const skippedShipment of skippedShipments) {
+            await recordAwbDecision(job, { runId, targetDate: targetDateMySQL, ...skippedShipment }, { dryRun });
+        }
+        // Kept so they can be insured by a later run for this date once the cap allows it
+        if (!dryRun) {
+            await saveSkippedShipments({
+                runId,
+                targetDate: targetDateMySQL,
+                strategy: selectionStrategy,
+                shipments: skippedShipments.map(({ awb, details }) => ({
+                    awb,
+                    reason: details.reason,
+                    supplierId: details.supplierId,
+                    valueUsd: details.valueUsd
+                }))
+            });
+        }
         
         console.log(`\n=== Starting Processing Phase ===`);
-        console.log(`Processing ${shipmentsToProcess.length} valid shipments (limited by max_shipments: ${settings.maxShipments})`);
+        console.log(`Processing ${shipmentsToProcess.length} valid shipments (limited by max_shipments: ${settings.maxShipments}, ${selectionStrategy} selection${overQuota.length > 0 ? `, ${overQuota.length} over supplier quotas` : ''})`);
         
         const results = [];
         const processingErrors = [];
+        // Set once the kill switch is seen on; no further shipment is submitted
+        let pauseError = null;
+        
+        job?.setPhase('processing', shipmentsToProcess.length);
         
         // Second pass: Process only valid shipments up to the limit
-        for (let i = 0; i < shipmentsToProcess.length; i++) {
-            const validationResult = shipmentsToProcess[i];
+        // The kill switch is checked before every submission so a pause takes effect mid-run
+        await runWithConcurrency(shipmentsToProcess, settings.concurrency, async (validationResult, i) => {
+            if (!dryRun && !pauseError) {
+                const pauseState = await getPauseState();
+                if (pauseState.paused) {
+                    pauseError = buildPausedError(pauseState);
+                }
+            }
+            if (pauseError) {
+                return;
+            }
+            
             console.log(`\n[${i + 1}/${shipmentsToProcess.length}] Processing AWB: ${validationResult.awb}`);
             
             try {
-                const result = await processValidatedShipment(validationResult, settings);
+                const result = await processValidatedShipment(validationResult, settings, { runId, retryLog, dryRun });
                 results.push({ awb: validationResult.awb, success: true, result });
+                await recordProcessingDecision({ job, runId, awb: validationResult.awb, targetDate: targetDateMySQL, result, dryRun });
             } catch (error) {
                 console.error(`Failed to process validated shipment ${validationResult.awb}:`, error.message);
-                processingErrors.push({ awb: validationResult.awb, error: error.message });
+                if (error.outcome === DECISION_OUTCOMES.SKIPPED_DUPLICATE) {
+                    skippedDuplicates.push({ awb: validationResult.awb, outcome: error.outcome, reason: error.message });
+                } else {
+                    processingErrors.push({ awb: validationResult.awb, error: error.message, ...describeFailure(error) });
+                }
                 // Don't log individual processing errors - only log systematic failures
+                await recordProcessingDecision({ job, runId, awb: validationResult.awb, targetDate: targetDateMySQL, error, dryRun });
             }
             
-            // Add a delay between processing shipments
-            await delay(1000);
+            job?.advance();
+        }, { shouldStop: () => Boolean(pauseError || job?.isCancelled()) });
+        
+        if (pauseError || job?.isCancelled()) {
+            console.log(pauseError ? `${pauseError.message} - stopped processing phase` : 'Cancellation requested - stopped processing phase');
+            return await finishCancelledRun({
+                pauseError,
+                runId,
+                settings,
+                retryLog,
+                date: apiDate,
+                counts: {
+                    total: awbNumbers.length,
+                    valid: validShipments.length,
+                    processed: results.length + processingErrors.length,
+                    successful: results.length,
+                    failed: invalidShipments.length + processingErrors.length
+                },
+                results,
+                errors: [...invalidShipments.map(inv => ({ awb: inv.awb, error: inv.error })), ...processingErrors],
+                skipped: skippedDuplicates
+            });
         }
         
         // Combine validation errors and processing errors
@@ -813,13 +1401,14 @@ const processPreviousDayShipments = async () => {
             ...processingErrors
         ];
         
-        console.log(`\n=== Processing Summary for ${yesterdayDate} ===`);
+        console.log(`\n=== Processing Summary for ${apiDate} ===`);
         console.log(`Total shipments found: ${awbNumbers.length}`);
         console.log(`Valid shipments found: ${validShipments.length}`);
         console.log(`Processed (limited by settings): ${shipmentsToProcess.length}`);
         console.log(`Successfully processed: ${results.length}`);
         console.log(`Failed validation: ${invalidShipments.length}`);
         console.log(`Failed processing: ${processingErrors.length}`);
+        console.log(`Skipped (already insured or in flight): ${skippedDuplicates.length}`);
         console.log(`Skipped valid shipments due to limit: ${validShipments.length - shipmentsToProcess.length}`);
         
         if (invalidShipments.length > 0) {
@@ -836,38 +1425,66 @@ const processPreviousDayShipments = async () => {
         // as those are business logic issues, not system failures
         const successRate = shipmentsToProcess.length > 0 ? (results.length / shipmentsToProcess.length) * 100 : 0;
         
-        if (successRate >= 80) {
+        if (successRate >= 80 && !dryRun) {
             // Send daily summary email for successful runs
             await sendDailySummaryEmail({
-                executionDate: yesterdayDate,
+                executionDate: apiDate,
                 totalShipments: awbNumbers.length,
                 validShipments: validShipments.length,
                 processedShipments: shipmentsToProcess.length,
                 successfulShipments: results.length,
                 failedValidation: invalidShipments.length,
-                failedProcessing: processingErrors.length
+                failedProcessing: processingErrors.length,
+                cipTime: settings.cipTime
             });
         }
         // Don't send error emails for low success rates - that's normal business flow
         
+        await finishRun(runId, {
+            status: 'completed',
+            settings: buildSettingsSnapshot(settings),
+            counts: {
+                total: awbNumbers.length,
+                valid: validShipments.length,
+                processed: shipmentsToProcess.length,
+                successful: results.length,
+                failed: allErrors.length
+            },
+            retries: summarizeRetries(retryLog)
+        });
+        
         return { 
             results, 
             errors: allErrors, 
+            skipped: skippedDuplicates,
             total: awbNumbers.length, 
             processed: shipmentsToProcess.length,
             validFound: validShipments.length,
-            date: yesterdayDate 
+            date: apiDate,
+            runId,
+            retries: summarizeRetries(retryLog),
+            ...(dryRun && buildDryRunReport({
+                results,
+                rejections: [...invalidShipments, ...processingErrors, ...skippedDuplicates, ...skippedShipments]
+            }))
         };
     } catch (error) {
-        console.error('Critical error processing previous day shipments:', error.message);
+        console.error(`Critical error processing shipments for date ${apiDate}:`, error.message);
+        
+        await finishRun(runId, { status: 'failed', settings: buildSettingsSnapshot(settings), retries: summarizeRetries(retryLog), errorMessage: error.message });
+        
+        // A failed dry run is reported to the caller only
+        if (dryRun) {
+            throw error;
+        }
         
         // Log critical error to database
         await logErrorToDatabase({
             jobName,
             errorType: 'cron_failure',
             errorMessage: `Critical cron failure: ${error.message}`,
-            errorDetails: { function: 'processPreviousDayShipments', stack: error.stack },
-            executionDate: yesterdayDateMySQL
+            errorDetails: { function: 'processShipmentsForDate', date: apiDate, stack: error.stack },
+            executionDate: targetDateMySQL
         });
         
         // Send critical error email
@@ -875,86 +1492,118 @@ const processPreviousDayShipments = async () => {
             jobName,
             errorType: 'cron_failure',
             errorMessage: `Critical cron job failure: ${error.message}`,
-            executionDate: yesterdayDate,
+            executionDate: apiDate,
             totalShipments: 0,
             processedShipments: 0,
             failedShipments: 0,
             errorDetails: { 
-                function: 'processPreviousDayShipments',
+                function: 'processShipmentsForDate',
+                date: apiDate,
                 timestamp: new Date().toISOString(),
                 stack: error.stack
             }
         });
         
         throw error;
+    } finally {
+        await lock?.release();
     }
 }
 
-const processShipmentsForDate = async (date) => {
-    try {
-        console.log(`Processing shipments for date: ${date}`);
-        
-        // Get coverzy settings for validation
-        const settings = await getCoverzySettings();
-        console.log(`    Loaded coverzy settings:`);
-        console.log(`  - Max shipments: ${settings.maxShipments}`);
-        console.log(`  - Allowed countries: ${settings.countries.join(', ')}`);
-        console.log(`  - Pickup time validation: Before cutoff time (${settings.cutoffTime})`);
-        console.log(`  - Min shipment value: $${settings.minShipmentValueUsd} (Rate: ₹${settings.usdToInrRate}/USD)`);
-        console.log(`  - Allowed suppliers: ${settings.suppliers.length} suppliers loaded`);
-        
-        // Get all AWB numbers for the specified date
-        const awbNumbers = await getDailyShipmentsData(date);
-        
-        if (awbNumbers.length === 0) {
-            console.log(`No shipments found for date: ${date}`);
-            return { results: [], errors: [], total: 0, processed: 0 };
-        }
-        
-        // Limit shipments based on max_shipments setting
-        const limitedAwbNumbers = awbNumbers.slice(0, settings.maxShipments);
-        if (awbNumbers.length > settings.maxShipments) {
-            console.log(`  Limited processing to ${settings.maxShipments} shipments (found ${awbNumbers.length} total)`);
+// Daily cron entry point: process yesterday's shipments
+const processPreviousDayShipments = async (options = {}) => {
+    return processShipmentsForDate(getPreviousDate(), { trigger: 'cron', ...options });
+};
+
+// Validate and insure a single AWB outside any run (POST /shipments/:awb/process), e.g. to fix one missed shipment.
+// An AWB that already has a policy is refused with SKIPPED_DUPLICATE unless force is set; a forced AWB is
+// submitted under a new idempotency key and its new policy replaces the stored one, which is kept in
+// coverzy_policy_history and named in the accepted decision.
+// Resolves with status 'insured', 'rejected' (validation), 'skipped' (in flight elsewhere), 'failed' or 'dry_run'.
+const processShipmentOnDemand = async (awb, options = {}) => {
+    const { force = false, dryRun = false } = options;
+    
+    // Nothing is bought while the kill switch is on (throws PROCESSING_PAUSED)
+    if (!dryRun) {
+        await assertProcessingActive();
+    }
+    
+    const existingPolicy = await findInsuredShipment(awb);
+    if (existingPolicy && !force) {
+        throw buildAlreadyInsuredRejection(awb, existingPolicy);
+    }
+    
+    const settings = await getCoverzySettings();
+    configureRateLimits(settings.rateLimits);
+    const retryLog = [];
+    
+    console.log(`Processing single shipment ${awb} on demand${force ? ' (forced)' : ''}${dryRun ? ' (dry run)' : ''}`);
+    const evaluation = await evaluateShipment(awb, settings, { retryLog });
+    
+    // Decisions are filed under the pickup date, like the shipment's daily run would have done
+    const pickupDate = toMySQLDate(String(evaluation.shipmentDetails.Create_Pick_Up_Date || '').split(' ')[0]);
+    const targetDate = isValidDate(pickupDate) ? pickupDate : getBusinessDate();
+    
+    const response = {
+        awb,
+        dryRun,
+        forced: Boolean(existingPolicy),
+        previousPolicyId: existingPolicy ? existingPolicy.policy_id : null,
+        validation: evaluation.checks,
+        eta: evaluation.eta,
+        fxRate: evaluation.fxRate,
+        supplierMatch: evaluation.supplierMatch
+    };
+    
+    if (!evaluation.valid) {
+        const rejection = buildRuleRejection(evaluation.checks);
+        if (!dryRun) {
+            await recordAwbDecision(null, {
+                runId: null,
+                awb,
+                targetDate,
+                outcome: rejection.outcome,
+                reason: rejection.message,
+                details: rejection.details
+            });
         }
+        return { ...response, status: 'rejected', outcome: rejection.outcome, error: rejection.message, retries: summarizeRetries(retryLog) };
+    }
+    
+    try {
+        const result = await processValidatedShipment(evaluation, settings, { retryLog, dryRun, force: Boolean(existingPolicy) });
+        await recordProcessingDecision({ job: null, runId: null, awb, targetDate, result, previousPolicyId: response.previousPolicyId });
         
-        const results = [];
-        const errors = [];
-        
-        // Process each shipment
-        for (const awb of limitedAwbNumbers) {
-            try {
-                const result = await processShipment(awb, settings);
-                results.push({ awb, success: true, result });
-            } catch (error) {
-                console.error(`Failed to process shipment ${awb}:`, error.message);
-                errors.push({ awb, error: error.message });
-            }
-            
-            // Add a small delay between processing shipments
-            await delay(1000);
+        if (result.dryRun) {
+            return { ...response, status: 'dry_run', payload: result.payload, retries: summarizeRetries(retryLog) };
         }
-        
-        console.log(`\n=== Processing Summary for ${date} ===`);
-        console.log(`Total shipments found: ${awbNumbers.length}`);
-        console.log(`Processed (limited by settings): ${limitedAwbNumbers.length}`);
-        console.log(`Successfully processed: ${results.length}`);
-        console.log(`Failed validation/processing: ${errors.length}`);
-        console.log(`Skipped due to limit: ${awbNumbers.length - limitedAwbNumbers.length}`);
-        
-        return { 
-            results, 
-            errors, 
-            total: awbNumbers.length, 
-            processed: limitedAwbNumbers.length 
+        return {
+            ...response,
+            status: result.savedToDatabase ? 'insured' : 'failed',
+            coverzyResponse: result.coverzyResponse,
+            error: result.error || null,
+            retries: summarizeRetries(retryLog)
         };
     } catch (error) {
-        console.error(`Error processing shipments for date ${date}:`, error.message);
-        throw error;
+        if (!dryRun) {
+            await recordProcessingDecision({ job: null, runId: null, awb, targetDate, error });
+        }
+        const { outcome, details } = describeFailure(error);
+        return {
+            ...response,
+            status: outcome === DECISION_OUTCOMES.SKIPPED_DUPLICATE ? 'skipped' : 'failed',
+            outcome,
+            error: error.message,
+            details,
+            retries: summarizeRetries(retryLog)
+        };
     }
-}
+};
 
 module.exports = {
     processShipment,
+    processShipmentOnDemand,
+    evaluateShipment,
     processPreviousDayShipments,
     processShipmentsForDate,
     getDailyShipmentsData,
@@ -964,16 +1613,21 @@ module.exports = {
     sendToCovrzyAPI,
     saveShipmentToDatabase,
     getPreviousDate,
+    toMySQLDate,
+    toApiDate,
     getCoverzySettings,
     isDestinationAllowed,
-    isSupplierAllowed,
     isPickupTimeValid,
     isShipmentValueValid,
     convertInrToUsd,
     validateShipmentOnly,
     processValidatedShipment,
+    checkAlreadyInsured,
     logErrorToDatabase,
     calculateETA,
+    calculateETADetails,
+    resolveFxRate,
+    convertShipmentValue,
     getCarrierInfo,
     isServiceDestinationValid
 };
\ No newline at end of file
@@ -0,0 +1,103 @@
+const pool = require('../config/db');
+const { parseJsonColumn } = require('./runLedger');
+
+// Machine-readable outcome codes stored for every evaluated AWB
+const DECISION_OUTCOMES = {
+    ACCEPTED: 'accepted',
+    REJECTED_COUNTRY: 'rejected_country',
+    REJECTED_SERVICE: 'rejected_service',
+    REJECTED_CUTOFF: 'rejected_cutoff',
+    REJECTED_VALUE: 'rejected_value',
+    REJECTED_SUPPLIER: 'rejected_supplier',
+    API_ERROR: 'api_error',
+    SKIPPED_LIMIT: 'skipped_limit',
+    SKIPPED_DUPLICATE: 'skipped_duplicate'
+};
+
+// Persist the outcome for a single AWB
+const recordDecision = async ({ runId = null, awb, targetDate, outcome, reason = null, details = null }) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+
+        const [result] = await connection.execute(`
+            INSERT INTO coverzy_awb_decisions
+            (run_id, awb, target_date, outcome, reason, details)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [
+            runId,
+            awb,
+            targetDate,
+            outcome,
+            reason,
+            details ? JSON.stringify(details) : null
+        ]);
+
+        return result.insertId;
+    } catch (error) {
+        console.error(`❌ Failed to record decision for AWB ${awb}:`, error.message);
+        // Don't fail the run because the decision log is unavailable
+        return null;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+// Query decisions by target date, outcome, run or AWB (newest first)
+const listDecisions = async ({ date, outcome, runId, awb } = {}) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+
+        const conditions = [];
+        const params = [];
+
+        if (date) {
+            conditions.push('target_date = ?');
+            params.push(date);
+        }
+        if (outcome) {
+            conditions.push('outcome = ?');
+            params.push(outcome);
+        }
+        if (runId) {
+            conditions.push('run_id = ?');
+            params.push(runId);
+        }
+        if (awb) {
+            conditions.push('awb = ?');
+            params.push(awb);
+        }
+
+        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const [rows] = await connection.execute(`
+            SELECT * FROM coverzy_awb_decisions
+            ${whereClause}
+            ORDER BY created_at DESC, id DESC
+        `, params);
+
+        return rows.map(row => ({ ...row, details: parseJsonColumn(row.details) }));
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+// Count decisions per outcome
+const countByOutcome = (decisions) => {
+    return decisions.reduce((counts, decision) => {
+        counts[decision.outcome] = (counts[decision.outcome] || 0) + 1;
+        return counts;
+    }, {});
+};
+
+module.exports = {
+    DECISION_OUTCOMES,
+    recordDecision,
+    listDecisions,
+    countByOutcome
+};
@@ -0,0 +1,117 @@
+const { getCoverzySettings, getDailyShipmentsData, evaluateShipment, toApiDate } = require('./coverzyCron');
+const { findInsuredShipment } = require('./shipmentGuard');
+const { configureRateLimits } = require('./rateLimiter');
+const { runWithConcurrency } = require('./workerPool');
+const { summarizeRetries } = require('./httpClient');
+const { loadSupplierUsage, applySupplierQuotas } = require('./supplierQuotas');
+
+// Eligibility preview: evaluate every rule for each of a day's AWBs with the current settings.
+// Read-only: nothing is claimed, submitted, saved or written to the decision log. Each AWB costs two
+// rate-limited Lex calls, so the preview runs as a background job (see the eligibility controller).
+
+// Pass/fail totals per rule across all evaluated AWBs
+const countByRule = (shipments) => {
+    const counts = {};
+    for (const shipment of shipments) {
+        for (const check of shipment.checks || []) {
+            counts[check.rule] = counts[check.rule] || { passed: 0, failed: 0 };
+            counts[check.rule][check.passed ? 'passed' : 'failed'] += 1;
+        }
+    }
+    return counts;
+};
+
+const evaluateForPreview = async (awb, settings, retryLog) => {
+    try {
+        const evaluation = await evaluateShipment(awb, settings, { retryLog });
+        const existingPolicy = await findInsuredShipment(awb);
+        return {
+            awb,
+            eligible: evaluation.valid,
+            alreadyInsured: Boolean(existingPolicy),
+            policyId: existingPolicy ? existingPolicy.policy_id : null,
+            checks: evaluation.checks.map(({ rule, passed, actual, threshold, message }) => ({ rule, passed, actual, threshold, message })),
+            eta: evaluation.eta,
+            fxRate: evaluation.fxRate,
+            supplier: evaluation.supplierMatch ? {
+                id: evaluation.supplierMatch.supplier.id,
+                displayName: evaluation.supplierMatch.supplier.display_name,
+                matchMethod: evaluation.supplierMatch.method
+            } : null
+        };
+    } catch (error) {
+        // The shipment itself could not be fetched, so no rule could be evaluated
+        return {
+            awb,
+            eligible: false,
+            alreadyInsured: false,
+            policyId: null,
+            error: error.message,
+            checks: [],
+            eta: null,
+            fxRate: null,
+            supplier: null
+        };
+    }
+};
+
+// date is YYYY-MM-DD; job (optional) gets the progress and can cancel the preview between AWBs
+const previewEligibility = async (date, { job = null } = {}) => {
+    const settings = await getCoverzySettings();
+    configureRateLimits(settings.rateLimits);
+    const retryLog = [];
+
+    const apiDate = toApiDate(date);
+    const awbNumbers = await getDailyShipmentsData(apiDate, apiDate, { retryLog });
+    job?.setPhase('evaluating', awbNumbers.length);
+    const evaluated = await runWithConcurrency(awbNumbers, settings.concurrency, async (awb) => {
+        const shipment = await evaluateForPreview(awb, settings, retryLog);
+        job?.advance();
+        return shipment;
+    }, { shouldStop: () => Boolean(job?.isCancelled()) });
+    // A cancelled preview covers the AWBs evaluated so far
+    const shipments = evaluated.filter(Boolean);
+
+    const eligible = shipments.filter(shipment => shipment.eligible);
+    const newlyEligible = eligible.filter(shipment => !shipment.alreadyInsured);
+    // As in a real run, the day's already insured AWBs use up max_shipments too
+    const alreadyInsured = shipments.filter(shipment => shipment.alreadyInsured).length;
+    // ...and supplier quotas apply before it
+    const suppliersById = new Map(settings.suppliers.map(supplier => [supplier.id, supplier]));
+    const { withinQuota, overQuota } = applySupplierQuotas(
+        newlyEligible,
+        await loadSupplierUsage(date),
+        shipment => (shipment.supplier ? suppliersById.get(shipment.supplier.id) || null : null)
+    );
+
+    return {
+        date,
+        cancelled: shipments.length < awbNumbers.length,
+        settings: {
+            countries: settings.countries,
+            suppliers: settings.suppliers.map(supplier => supplier.display_name),
+            cutoffTime: settings.cutoffTime,
+            minShipmentValueUsd: settings.minShipmentValueUsd,
+            usdToInrRate: settings.usdToInrRate,
+            maxShipments: settings.maxShipments,
+            selectionStrategy: settings.selectionStrategy
+        },
+        counts: {
+            total: shipments.length,
+            eligible: eligible.length,
+            ineligible: shipments.length - eligible.length,
+            errors: shipments.filter(shipment => shipment.error).length,
+            alreadyInsured,
+            overSupplierQuota: overQuota.length,
+            // What a real run would submit: eligible, not yet insured and within supplier quotas, up to the remaining max_shipments
+            wouldSubmit: Math.min(withinQuota.length, Math.max(0, settings.maxShipments - alreadyInsured))
+        },
+        ruleCounts: countByRule(shipments),
+        shipments,
+        retries: summarizeRetries(retryLog)
+    };
+};
+
+module.exports = {
+    previewEligibility
+};
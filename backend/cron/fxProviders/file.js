@@ -0,0 +1,13 @@
+const fs = require('fs');
+
+// Rate documents read from a local JSON file (FX_RATES_FILE), for testing and offline setups
+const FX_RATES_FILE = process.env.FX_RATES_FILE || '';
+
+module.exports = {
+    id: 'file',
+    description: 'Rate documents read from FX_RATES_FILE',
+
+    isConfigured: () => FX_RATES_FILE.length > 0,
+
+    fetchRates: async () => JSON.parse(await fs.promises.readFile(FX_RATES_FILE, 'utf8'))
+};
@@ -0,0 +1,22 @@
+const { sendRequest } = require('../httpClient');
+
+// Any HTTP endpoint returning rate documents, e.g. https://api.frankfurter.app/latest?from={base}
+// or a local stand-in serving a JSON file. {base} in FX_RATES_URL is replaced with the base currency.
+const FX_RATES_URL = process.env.FX_RATES_URL || '';
+
+module.exports = {
+    id: 'http',
+    description: 'Rate documents fetched from FX_RATES_URL',
+
+    isConfigured: () => FX_RATES_URL.length > 0,
+
+    fetchRates: async ({ base, retryLog = null }) => {
+        const url = FX_RATES_URL.replace(/\{base\}/g, encodeURIComponent(base));
+        const response = await sendRequest({
+            method: 'get',
+            url,
+            headers: { 'Accept': 'application/json' }
+        }, { upstream: 'fx_rates', context: base, retryLog });
+        return response.data;
+    }
+};
@@ -0,0 +1,48 @@
+const { isValidDate } = require('../businessTime');
+
+// Exchange-rate sources for the scheduled refresh (see fxRates.js). Every provider is a module registered below with:
+//   id, description, isConfigured() and fetchRates({ base }) -> rate documents.
+// A rate document is { base, date: 'YYYY-MM-DD', rates: { QUOTE: rate } } (the shape returned by ECB-style
+// APIs such as Frankfurter); a provider may resolve with one document or an array of them (a history).
+// FX_RATE_PROVIDER selects the provider; without one, rates are only entered manually.
+const FX_PROVIDERS = [
+    require('./http'),
+    require('./file')
+];
+
+const FX_RATE_PROVIDER = (process.env.FX_RATE_PROVIDER || '').trim().toLowerCase();
+
+const findFxProvider = (id) => FX_PROVIDERS.find(provider => provider.id === id) || null;
+
+// The configured provider, or null when FX_RATE_PROVIDER is unset, unknown or missing its settings
+const getFxProvider = () => {
+    const provider = findFxProvider(FX_RATE_PROVIDER);
+    return provider && provider.isConfigured() ? provider : null;
+};
+
+/**
+ * Flatten rate documents into { base_currency, quote_currency, effective_date, rate } rows for the base currency.
+ * Documents for another base, invalid dates and non-positive rates are skipped.
+ */
+const parseRateDocuments = (documents, base) => {
+    const rows = [];
+    for (const document of Array.isArray(documents) ? documents : [documents]) {
+        if (!document || String(document.base || '').toUpperCase() !== base || !isValidDate(document.date)) {
+            continue;
+        }
+        for (const [quote, value] of Object.entries(document.rates || {})) {
+            const rate = parseFloat(value);
+            if (rate > 0 && quote.toUpperCase() !== base) {
+                rows.push({ base_currency: base, quote_currency: quote.toUpperCase(), effective_date: document.date, rate });
+            }
+        }
+    }
+    return rows;
+};
+
+module.exports = {
+    FX_PROVIDERS,
+    FX_RATE_PROVIDER,
+    getFxProvider,
+    parseRateDocuments
+};
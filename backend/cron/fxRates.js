@@ -0,0 +1,316 @@
+const cron = require('node-cron');
+const pool = require('../config/db');
+const { BUSINESS_TIMEZONE, isValidDate, getBusinessDate } = require('./businessTime');
+const { FX_RATE_PROVIDER, getFxProvider, parseRateDocuments } = require('./fxProviders');
+
+// Dated exchange rates (coverzy_fx_rates): rate = units of quote_currency per 1 base_currency, e.g. USD/INR 83.25.
+// A shipment is converted at the rate effective on its pickup date, i.e. the latest rate dated on or before it.
+// Rates come from the configured provider (refreshed on FX_RATES_CRON) or are entered manually; a manual rate
+// overrides the provider's rate for the same date and is never overwritten by a refresh.
+const FX_BASE_CURRENCY = 'USD';
+const FX_RATES_CRON = process.env.FX_RATES_CRON || '0 9 * * *';
+const MANUAL_SOURCE = 'manual';
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+let refreshTask = null;
+
+const normalizeCurrency = (value) => String(value || '').trim().toUpperCase();
+
+// Returns an error message for an unusable manual rate, or null
+const validateFxRate = (values) => {
+    const rate = parseFloat(values.rate);
+    if (isNaN(rate) || rate <= 0) {
+        return 'rate must be a positive number (units of quote_currency per 1 base_currency)';
+    }
+    if (values.effective_date !== undefined && !isValidDate(values.effective_date)) {
+        return 'effective_date must be a valid date in YYYY-MM-DD format';
+    }
+    for (const field of ['base_currency', 'quote_currency']) {
+        if (values[field] !== undefined && !CURRENCY_PATTERN.test(normalizeCurrency(values[field]))) {
+            return `${field} must be a three-letter currency code, e.g. "INR"`;
+        }
+    }
+    if (values.base_currency !== undefined && values.quote_currency !== undefined
+        && normalizeCurrency(values.base_currency) === normalizeCurrency(values.quote_currency)) {
+        return 'base_currency and quote_currency must differ';
+    }
+    return null;
+};
+
+const formatFxRateRow = (row) => ({
+    ...row,
+    rate: parseFloat(row.rate)
+});
+
+const FX_RATE_COLUMNS = `id, base_currency, quote_currency, DATE_FORMAT(effective_date, '%Y-%m-%d') AS effective_date,
+            rate, source, created_at, updated_at`;
+
+// Rates, newest first; filters: base, quote, from/to (YYYY-MM-DD) and limit
+const listFxRates = async ({ base = null, quote = null, from = null, to = null, limit = null } = {}) => {
+    const conditions = [];
+    const params = [];
+    if (base) {
+        conditions.push('base_currency = ?');
+        params.push(normalizeCurrency(base));
+    }
+    if (quote) {
+        conditions.push('quote_currency = ?');
+        params.push(normalizeCurrency(quote));
+    }
+    if (from) {
+        conditions.push('effective_date >= ?');
+        params.push(from);
+    }
+    if (to) {
+        conditions.push('effective_date <= ?');
+        params.push(to);
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [rows] = await connection.execute(`
+            SELECT ${FX_RATE_COLUMNS}
+            FROM coverzy_fx_rates
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY effective_date DESC, base_currency ASC, quote_currency ASC
+            ${limit ? `LIMIT ${parseInt(limit)}` : ''}
+        `, params);
+        return rows.map(formatFxRateRow);
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+/**
+ * Store rate rows ({ base_currency, quote_currency, effective_date, rate }) from source.
+ * A manual rate replaces whatever is stored for its date; a provider rate never replaces a manual one.
+ */
+const saveFxRates = async (rows, source) => {
+    if (rows.length === 0) {
+        return;
+    }
+    const keepManual = source !== MANUAL_SOURCE;
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        for (const row of rows) {
+            // rate is assigned before source, so both IFs still see the stored source
+            await connection.execute(`
+                INSERT INTO coverzy_fx_rates (base_currency, quote_currency, effective_date, rate, source)
+                VALUES (?, ?, ?, ?, ?)
+                ON DUPLICATE KEY UPDATE
+                    ${keepManual ? `rate = IF(source = '${MANUAL_SOURCE}', rate, VALUES(rate)),
+                    source = IF(source = '${MANUAL_SOURCE}', source, VALUES(source)),` : `rate = VALUES(rate),
+                    source = VALUES(source),`}
+                    updated_at = CURRENT_TIMESTAMP
+            `, [row.base_currency, row.quote_currency, row.effective_date, row.rate, source]);
+        }
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+// Manual override: the rate applies from effective_date (default: today) until a later dated rate
+const setManualFxRate = async (values) => {
+    const row = {
+        base_currency: normalizeCurrency(values.base_currency || FX_BASE_CURRENCY),
+        quote_currency: normalizeCurrency(values.quote_currency || 'INR'),
+        effective_date: values.effective_date || getBusinessDate(),
+        rate: parseFloat(values.rate)
+    };
+    await saveFxRates([row], MANUAL_SOURCE);
+    console.log(`Manual FX rate set: 1 ${row.base_currency} = ${row.rate} ${row.quote_currency} from ${row.effective_date}`);
+    return row;
+};
+
+// Returns false if the rate does not exist
+const deleteFxRate = async (rateId) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [result] = await connection.execute('DELETE FROM coverzy_fx_rates WHERE id = ?', [rateId]);
+        return result.affectedRows > 0;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+/**
+ * Fetch the latest rates from the configured provider and store them.
+ * Throws an error with code FX_PROVIDER_NOT_CONFIGURED when there is no usable provider.
+ */
+const refreshFxRates = async () => {
+    const provider = getFxProvider();
+    if (!provider) {
+        const error = new Error(FX_RATE_PROVIDER
+            ? `FX rate provider '${FX_RATE_PROVIDER}' is unknown or not configured`
+            : 'No FX rate provider configured (set FX_RATE_PROVIDER)');
+        error.code = 'FX_PROVIDER_NOT_CONFIGURED';
+        throw error;
+    }
+
+    const retryLog = [];
+    const documents = await provider.fetchRates({ base: FX_BASE_CURRENCY, retryLog });
+    const rows = parseRateDocuments(documents, FX_BASE_CURRENCY);
+    if (rows.length === 0) {
+        throw new Error(`FX rate provider '${provider.id}' returned no usable ${FX_BASE_CURRENCY} rates`);
+    }
+
+    await saveFxRates(rows, provider.id);
+    console.log(`FX rates refreshed from '${provider.id}': ${rows.length} rates, latest ${rows.map(row => row.effective_date).sort().pop()}`);
+    return { provider: provider.id, saved: rows.length, rates: rows, retries: retryLog.length };
+};
+
+/**
+ * The rates findUsdRate needs for currencies on date: per currency, the latest USD/currency and currency/USD
+ * rate dated on or before it. Returns at most two rows per currency, whatever the size of the rate history.
+ */
+const loadFxRatesForDate = async (currencies, date) => {
+    const quoted = [...new Set(currencies.map(normalizeCurrency))].filter(currency => currency !== FX_BASE_CURRENCY);
+    if (quoted.length === 0) {
+        return [];
+    }
+    const placeholders = quoted.map(() => '?').join(', ');
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [rows] = await connection.execute(`
+            SELECT ${FX_RATE_COLUMNS}
+            FROM coverzy_fx_rates r
+            WHERE ((r.base_currency = ? AND r.quote_currency IN (${placeholders}))
+                OR (r.quote_currency = ? AND r.base_currency IN (${placeholders})))
+            AND r.effective_date = (
+                SELECT MAX(latest.effective_date)
+                FROM coverzy_fx_rates latest
+                WHERE latest.base_currency = r.base_currency
+                AND latest.quote_currency = r.quote_currency
+                AND latest.effective_date <= ?
+            )
+        `, [FX_BASE_CURRENCY, ...quoted, FX_BASE_CURRENCY, ...quoted, date]);
+        return rows.map(formatFxRateRow);
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+// The rates of one run: rates holds what ensureFxRates loaded so far, loaded the pending or finished
+// load per 'CURRENCY|YYYY-MM-DD', so concurrent workers never query the same currency and date twice
+const createFxRateCache = () => ({ rates: [], loaded: new Map() });
+
+/**
+ * Load into cache the rates needed to convert currencies on date (see loadFxRatesForDate). Every rate in cache
+ * is a stored row and the rates for each loaded date are complete, so findRateForDate and findUsdRate over
+ * cache.rates give the same result as over the whole table for any date that was loaded.
+ */
+const ensureFxRates = async (cache, currencies, date) => {
+    const keyOf = (currency) => `${normalizeCurrency(currency)}|${date}`;
+    const missing = [...new Set(currencies.map(normalizeCurrency))].filter(currency => !cache.loaded.has(keyOf(currency)));
+    if (missing.length > 0) {
+        const load = loadFxRatesForDate(missing, date).then((rows) => {
+            for (const row of rows) {
+                if (!cache.rates.some(rate => rate.base_currency === row.base_currency
+                    && rate.quote_currency === row.quote_currency && rate.effective_date === row.effective_date)) {
+                    cache.rates.push(row);
+                }
+            }
+        });
+        // A failed load is retried by the next caller instead of leaving the cache without its rates
+        load.catch(() => missing.forEach(currency => cache.loaded.delete(keyOf(currency))));
+        missing.forEach(currency => cache.loaded.set(keyOf(currency), load));
+    }
+    await Promise.all(currencies.map(currency => cache.loaded.get(keyOf(currency))));
+};
+
+/**
+ * The rate effective on date (YYYY-MM-DD) for base -> quote among rates loaded by ensureFxRates:
+ * the latest one dated on or before it, or null when there is none.
+ */
+const findRateForDate = (rates, date, base = FX_BASE_CURRENCY, quote = 'INR') => {
+    let effective = null;
+    for (const rate of rates || []) {
+        if (rate.base_currency === base && rate.quote_currency === quote && rate.effective_date <= date
+            && (!effective || rate.effective_date > effective.effective_date)) {
+            effective = rate;
+        }
+    }
+    return effective;
+};
+
+/**
+ * Units of currency per 1 USD effective on date: a USD/currency rate, or the inverse of a currency/USD rate,
+ * whichever is dated later. Returns { rate, effective_date, source } or null; USD itself is 1.
+ */
+const findUsdRate = (rates, currency, date) => {
+    if (currency === FX_BASE_CURRENCY) {
+        return { rate: 1, effective_date: null, source: 'identity' };
+    }
+    const direct = findRateForDate(rates, date, FX_BASE_CURRENCY, currency);
+    const inverse = findRateForDate(rates, date, currency, FX_BASE_CURRENCY);
+    if (inverse && (!direct || inverse.effective_date > direct.effective_date)) {
+        return { ...inverse, rate: 1 / inverse.rate };
+    }
+    return direct;
+};
+
+const runScheduledRefresh = async () => {
+    try {
+        await refreshFxRates();
+    } catch (error) {
+        // The previous rates stay in effect until the next refresh succeeds
+        console.error('Scheduled FX rate refresh failed:', error.message);
+    }
+};
+
+/**
+ * Register the daily refresh (FX_RATES_CRON, business timezone) when a provider is configured,
+ * and refresh right away if no rate is dated today yet. Returns false when there is no provider.
+ */
+const scheduleFxRateRefresh = async () => {
+    const provider = getFxProvider();
+    if (!provider) {
+        console.log('FX rate refresh not scheduled: no provider configured, rates are entered manually');
+        return false;
+    }
+
+    if (refreshTask) {
+        refreshTask.destroy();
+    }
+    refreshTask = cron.schedule(FX_RATES_CRON, runScheduledRefresh, {
+        name: 'coverzy-fx-rates',
+        timezone: BUSINESS_TIMEZONE
+    });
+    console.log(`FX rate refresh scheduled from '${provider.id}': ${FX_RATES_CRON} (${BUSINESS_TIMEZONE})`);
+
+    const [latest] = await listFxRates({ base: FX_BASE_CURRENCY, limit: 1 });
+    if (!latest || latest.effective_date < getBusinessDate()) {
+        await runScheduledRefresh();
+    }
+    return true;
+};
+
+module.exports = {
+    FX_BASE_CURRENCY,
+    validateFxRate,
+    listFxRates,
+    setManualFxRate,
+    deleteFxRate,
+    refreshFxRates,
+    loadFxRatesForDate,
+    createFxRateCache,
+    ensureFxRates,
+    findRateForDate,
+    findUsdRate,
+    scheduleFxRateRefresh
+};
@@ -0,0 +1,401 @@
+const pool = require('../config/db');
+const { isValidDate, addDays } = require('./businessTime');
+
+// Public holidays per destination country, skipped by calculateETA like weekends. country_code is matched
+// against the destination aliases of the shipment's carrier route, so 'US' applies to US, USA and UNITED STATES.
+// Calendars are imported from iCal (.ics) or CSV files or edited one holiday at a time.
+
+const HOLIDAY_FIELDS = ['country_code', 'holiday_date', 'name'];
+const HOLIDAY_IMPORT_FORMATS = ['ical', 'csv'];
+// A multi-day iCal event longer than this is treated as a mistake rather than a holiday
+const MAX_EVENT_DAYS = 31;
+
+const normalizeCountryCode = (value) => String(value || '').trim().toUpperCase();
+
+/**
+ * Returns an error message for invalid holiday values, or null.
+ * With partial: true only the fields that are provided are checked (PATCH-style updates).
+ */
+const validateHoliday = (values, { partial = false } = {}) => {
+    if (!partial || values.country_code !== undefined) {
+        const countryCode = normalizeCountryCode(values.country_code);
+        if (countryCode.length === 0 || countryCode.length > 50) {
+            return 'country_code is required and must be at most 50 characters, e.g. "US"';
+        }
+    }
+    if (!partial || values.holiday_date !== undefined) {
+        if (!isValidDate(values.holiday_date)) {
+            return 'holiday_date must be a valid date in YYYY-MM-DD format';
+        }
+    }
+    if (!partial || values.name !== undefined) {
+        if (typeof values.name !== 'string' || values.name.trim().length === 0 || values.name.length > 255) {
+            return 'name is required and must be at most 255 characters';
+        }
+    }
+    return null;
+};
+
+// Column values for the provided fields, converted for storage
+const toColumnValues = (values) => {
+    const columns = {};
+    for (const field of HOLIDAY_FIELDS) {
+        if (values[field] === undefined) {
+            continue;
+        }
+        columns[field] = field === 'country_code' ? normalizeCountryCode(values[field]) : String(values[field]).trim();
+    }
+    return columns;
+};
+
+// "20251225" or "20251225T000000Z" -> "2025-12-25"
+const parseICalDate = (value) => {
+    const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+};
+
+const unescapeICalText = (value) => value
+    .replace(/\\n/gi, ' ')
+    .replace(/\\([,;\\])/g, '$1')
+    .trim();
+
+/**
+ * Holidays from an iCal (.ics) calendar: one per VEVENT day, named after its SUMMARY.
+ * DTEND of an all-day event is exclusive, so a one-day holiday has DTEND = DTSTART + 1.
+ * Returns { holidays: [{ holiday_date, name }], errors: [message] }.
+ */
+const parseICalHolidays = (content) => {
+    // Long lines are folded onto continuation lines that start with a space or tab
+    const lines = String(content || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const holidays = [];
+    const errors = [];
+    let event = null;
+
+    lines.forEach((line, index) => {
+        if (line === 'BEGIN:VEVENT') {
+            event = { line: index + 1 };
+            return;
+        }
+        if (line === 'END:VEVENT') {
+            const start = parseICalDate(event && event.start);
+            if (!start || !isValidDate(start)) {
+                errors.push(`Event at line ${event ? event.line : index + 1}: missing or invalid DTSTART`);
+            } else {
+                const name = event.summary ? unescapeICalText(event.summary) : 'Holiday';
+                const end = parseICalDate(event.end);
+                let date = start;
+                let days = 0;
+                do {
+                    holidays.push({ holiday_date: date, name });
+                    date = addDays(date, 1);
+                    days++;
+                } while (end && date < end && days < MAX_EVENT_DAYS);
+            }
+            event = null;
+            return;
+        }
+        if (!event) {
+            return;
+        }
+
+        // NAME;PARAM=VALUE:value
+        const separator = line.indexOf(':');
+        if (separator === -1) {
+            return;
+        }
+        const property = line.slice(0, separator).split(';')[0].toUpperCase();
+        const value = line.slice(separator + 1);
+        if (property === 'DTSTART') {
+            event.start = value;
+        } else if (property === 'DTEND') {
+            event.end = value;
+        } else if (property === 'SUMMARY') {
+            event.summary = value;
+        }
+    });
+
+    return { holidays, errors };
+};
+
+// One CSV line into fields, honouring double-quoted fields with "" escapes
+const parseCsvLine = (line) => {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field.trim());
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field.trim());
+    return fields;
+};
+
+/**
+ * Holidays from CSV rows of date (YYYY-MM-DD), name and optionally country_code, in that order or as named
+ * by a header row. Rows without a country get the country the import is for.
+ * Returns { holidays: [{ holiday_date, name, country_code }], errors: [message] }.
+ */
+const parseHolidayCsv = (content) => {
+    const lines = String(content || '').split(/\r?\n/);
+    const holidays = [];
+    const errors = [];
+    let columns = { date: 0, name: 1, country: 2 };
+    let firstRow = true;
+
+    for (const [index, line] of lines.entries()) {
+        if (line.trim().length === 0) {
+            continue;
+        }
+        const fields = parseCsvLine(line);
+
+        // A first row that does not start with a date is a header naming the columns
+        if (firstRow && !isValidDate(fields[0])) {
+            firstRow = false;
+            const header = fields.map(field => field.toLowerCase());
+            const find = (...names) => header.findIndex(field => names.includes(field));
+            columns = {
+                date: find('date', 'holiday_date'),
+                name: find('name', 'holiday', 'description', 'summary'),
+                country: find('country', 'country_code')
+            };
+            if (columns.date === -1) {
+                errors.push(`Line ${index + 1}: header has no date column`);
+                break;
+            }
+            continue;
+        }
+        firstRow = false;
+
+        const date = fields[columns.date];
+        if (!isValidDate(date)) {
+            errors.push(`Line ${index + 1}: invalid date '${date || ''}', expected YYYY-MM-DD`);
+            continue;
+        }
+        holidays.push({
+            holiday_date: date,
+            name: (columns.name !== -1 && fields[columns.name]) || 'Holiday',
+            country_code: columns.country !== -1 && fields[columns.country] ? normalizeCountryCode(fields[columns.country]) : null
+        });
+    }
+
+    return { holidays, errors };
+};
+
+const listHolidays = async ({ countryCode = null, year = null } = {}) => {
+    const conditions = [];
+    const params = [];
+    if (countryCode) {
+        conditions.push('country_code = ?');
+        params.push(normalizeCountryCode(countryCode));
+    }
+    if (year) {
+        conditions.push('YEAR(holiday_date) = ?');
+        params.push(Number(year));
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [rows] = await connection.execute(`
+            SELECT id, country_code, DATE_FORMAT(holiday_date, '%Y-%m-%d') AS holiday_date, name, source, created_at, updated_at
+            FROM coverzy_holidays
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY country_code ASC, holiday_date ASC
+        `, params);
+        return rows;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+const getHoliday = async (holidayId) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [rows] = await connection.execute(`
+            SELECT id, country_code, DATE_FORMAT(holiday_date, '%Y-%m-%d') AS holiday_date, name, source, created_at, updated_at
+            FROM coverzy_holidays WHERE id = ?
+        `, [holidayId]);
+        return rows.length > 0 ? rows[0] : null;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+// Insert a holiday, returns its id (a second holiday on the same date for a country fails with ER_DUP_ENTRY)
+const createHoliday = async (values) => {
+    const columns = {
+        ...toColumnValues(values),
+        source: 'manual'
+    };
+    const names = Object.keys(columns);
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [result] = await connection.execute(`
+            INSERT INTO coverzy_holidays (${names.join(', ')})
+            VALUES (${names.map(() => '?').join(', ')})
+        `, Object.values(columns));
+        return result.insertId;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+// Update the provided fields, returns false if the holiday does not exist
+const updateHoliday = async (holidayId, values) => {
+    const columns = toColumnValues(values);
+    const names = Object.keys(columns);
+    if (names.length === 0) {
+        return (await getHoliday(holidayId)) !== null;
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [result] = await connection.execute(`
+            UPDATE coverzy_holidays
+            SET ${names.map(name => `${name} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [...Object.values(columns), holidayId]);
+        return result.affectedRows > 0;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+// Returns false if the holiday does not exist
+const deleteHoliday = async (holidayId) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [result] = await connection.execute('DELETE FROM coverzy_holidays WHERE id = ?', [holidayId]);
+        return result.affectedRows > 0;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+/**
+ * Store parsed holidays (see parseICalHolidays / parseHolidayCsv) for countryCode; holidays that name their
+ * own country keep it. A holiday already stored for the same country and date is renamed, not duplicated.
+ * replace: true first removes the stored holidays of every imported country in the imported years.
+ * Returns { imported, countries, replaced }.
+ */
+const importHolidays = async (countryCode, holidays, { format, replace = false } = {}) => {
+    const rows = holidays.map(holiday => ({
+        country_code: holiday.country_code || normalizeCountryCode(countryCode),
+        holiday_date: holiday.holiday_date,
+        name: String(holiday.name).trim().slice(0, 255)
+    }));
+    const countries = [...new Set(rows.map(row => row.country_code))];
+    const years = [...new Set(rows.map(row => Number(row.holiday_date.slice(0, 4))))];
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        let replaced = 0;
+        if (replace && rows.length > 0) {
+            const [result] = await connection.execute(`
+                DELETE FROM coverzy_holidays
+                WHERE country_code IN (${countries.map(() => '?').join(', ')})
+                AND YEAR(holiday_date) IN (${years.map(() => '?').join(', ')})
+            `, [...countries, ...years]);
+            replaced = result.affectedRows;
+        }
+
+        for (const row of rows) {
+            await connection.execute(`
+                INSERT INTO coverzy_holidays (country_code, holiday_date, name, source)
+                VALUES (?, ?, ?, ?)
+                ON DUPLICATE KEY UPDATE
+                    name = VALUES(name),
+                    source = VALUES(source),
+                    updated_at = CURRENT_TIMESTAMP
+            `, [row.country_code, row.holiday_date, row.name, format]);
+        }
+
+        await connection.commit();
+        console.log(`Imported ${rows.length} holidays (${format}) for ${countries.join(', ') || 'no countries'}${replace ? `, replacing ${replaced}` : ''}`);
+        return { imported: rows.length, countries, replaced };
+    } catch (error) {
+        if (connection) {
+            await connection.rollback();
+        }
+        throw error;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+// All stored holidays as { COUNTRY_CODE: { 'YYYY-MM-DD': name } }, loaded with the settings for each run
+const loadHolidayCalendars = async () => {
+    const calendars = {};
+    for (const holiday of await listHolidays()) {
+        calendars[holiday.country_code] = calendars[holiday.country_code] || {};
+        calendars[holiday.country_code][holiday.holiday_date] = holiday.name;
+    }
+    return calendars;
+};
+
+// The holidays of every country code among a route's destination aliases, merged into one calendar
+const getHolidaysForDestination = (calendars, destinationAliases) => {
+    const holidays = {};
+    for (const alias of destinationAliases || []) {
+        Object.assign(holidays, (calendars || {})[alias]);
+    }
+    return holidays;
+};
+
+// Country code of the calendar that getHolidaysForDestination took the holiday on date from (later aliases win)
+const findHolidayCountry = (calendars, destinationAliases, date) => [...(destinationAliases || [])]
+    .reverse()
+    .find(alias => Boolean((calendars || {})[alias]?.[date])) || null;
+
+module.exports = {
+    HOLIDAY_FIELDS,
+    HOLIDAY_IMPORT_FORMATS,
+    validateHoliday,
+    parseICalHolidays,
+    parseHolidayCsv,
+    listHolidays,
+    getHoliday,
+    createHoliday,
+    updateHoliday,
+    deleteHoliday,
+    importHolidays,
+    loadHolidayCalendars,
+    getHolidaysForDestination,
+    findHolidayCountry
+};
@@ -0,0 +1,147 @@
+const axios = require('axios');
+const { acquireUpstreamSlot } = require('./rateLimiter');
+
+const REQUEST_TIMEOUT_MS = parseInt(process.env.HTTP_TIMEOUT_MS) || 30000;
+const MAX_RETRIES = parseInt(process.env.HTTP_MAX_RETRIES) >= 0 ? parseInt(process.env.HTTP_MAX_RETRIES) : 3;
+const RETRY_BASE_DELAY_MS = parseInt(process.env.HTTP_RETRY_BASE_DELAY_MS) || 1000;
+const RETRY_MAX_DELAY_MS = parseInt(process.env.HTTP_RETRY_MAX_DELAY_MS) || 30000;
+// A Retry-After longer than this is treated as "not today" instead of stalling the whole run
+const RETRY_AFTER_MAX_MS = parseInt(process.env.HTTP_RETRY_AFTER_MAX_MS) || 120000;
+
+// Socket-level failures worth another attempt (DNS lookups failing outright are not)
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH'];
+const PERMANENT_ERROR_CODES = ['ENOTFOUND', 'ERR_INVALID_URL', 'CERT_HAS_EXPIRED', 'DEPTH_ZERO_SELF_SIGNED_CERT'];
+const TRANSIENT_STATUS_CODES = [408, 425, 429, 500, 502, 503, 504];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Decide whether a failed request is worth retrying
+const classifyHttpError = (error) => {
+    const statusCode = error.response?.status;
+
+    if (statusCode) {
+        if (statusCode === 429) {
+            return { transient: true, reason: 'rate_limited', statusCode };
+        }
+        if (TRANSIENT_STATUS_CODES.includes(statusCode)) {
+            return { transient: true, reason: statusCode >= 500 ? 'server_error' : statusCode === 408 ? 'timeout' : 'client_error', statusCode };
+        }
+        return { transient: false, reason: statusCode >= 500 ? 'server_error' : 'client_error', statusCode };
+    }
+
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+        return { transient: true, reason: 'timeout', code: error.code };
+    }
+    if (TRANSIENT_ERROR_CODES.includes(error.code)) {
+        return { transient: true, reason: 'network', code: error.code };
+    }
+    if (PERMANENT_ERROR_CODES.includes(error.code)) {
+        return { transient: false, reason: 'request_error', code: error.code };
+    }
+    if (error.request) {
+        // Request went out but nothing came back
+        return { transient: true, reason: 'network', code: error.code || null };
+    }
+    return { transient: false, reason: 'request_error', code: error.code || null };
+};
+
+// Retry-After is either a number of seconds or an HTTP date
+const parseRetryAfter = (headerValue) => {
+    if (!headerValue) {
+        return null;
+    }
+    const seconds = Number(headerValue);
+    if (!isNaN(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+    const retryAt = Date.parse(headerValue);
+    if (!isNaN(retryAt)) {
+        return Math.max(0, retryAt - Date.now());
+    }
+    return null;
+};
+
+// Exponential backoff with full jitter
+const computeBackoffDelay = (attempt, baseDelayMs = RETRY_BASE_DELAY_MS, maxDelayMs = RETRY_MAX_DELAY_MS) => {
+    const ceiling = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt - 1));
+    return Math.round(Math.random() * ceiling);
+};
+
+/**
+ * Send an HTTP request with timeout and retries for transient failures.
+ * Each attempt (retries included) first waits for a slot from the upstream's rate limiter.
+ * Every retry is appended to options.retryLog (when given) so callers can report flaky upstreams.
+ * The final error carries `attempts`, `transient`, `failureReason` and `upstream`.
+ */
+const sendRequest = async (requestConfig, options = {}) => {
+    const {
+        upstream = 'unknown',
+        context = null,
+        retryLog = null,
+        maxRetries = MAX_RETRIES,
+        timeout = REQUEST_TIMEOUT_MS
+    } = options;
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            await acquireUpstreamSlot(upstream);
+            const response = await axios.request({ timeout, ...requestConfig });
+            if (attempt > 1) {
+                console.log(`   ↻ ${upstream} succeeded on attempt ${attempt}${context ? ` (${context})` : ''}`);
+            }
+            return response;
+        } catch (error) {
+            const classification = classifyHttpError(error);
+            const retryAfterMs = parseRetryAfter(error.response?.headers?.['retry-after']);
+            const retryAfterTooLong = retryAfterMs !== null && retryAfterMs > RETRY_AFTER_MAX_MS;
+
+            if (!classification.transient || attempt > maxRetries || retryAfterTooLong) {
+                error.attempts = attempt;
+                error.transient = classification.transient;
+                error.failureReason = classification.reason;
+                error.upstream = upstream;
+                throw error;
+            }
+
+            const delayMs = retryAfterMs !== null ? retryAfterMs : computeBackoffDelay(attempt);
+            console.warn(`   ↻ ${upstream} ${classification.reason} (${classification.statusCode || classification.code || error.message}), retry ${attempt}/${maxRetries} in ${delayMs}ms${context ? ` (${context})` : ''}`);
+
+            if (retryLog) {
+                retryLog.push({
+                    upstream,
+                    context,
+                    attempt,
+                    reason: classification.reason,
+                    statusCode: classification.statusCode || null,
+                    code: classification.code || null,
+                    delayMs,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            await sleep(delayMs);
+        }
+    }
+};
+
+// Retry counts per upstream (and which AWBs needed them) for the run summary
+const summarizeRetries = (retryLog = []) => {
+    return retryLog.reduce((summary, entry) => {
+        const upstream = summary[entry.upstream] || { retries: 0, reasons: {}, contexts: [] };
+        upstream.retries += 1;
+        upstream.reasons[entry.reason] = (upstream.reasons[entry.reason] || 0) + 1;
+        if (entry.context && !upstream.contexts.includes(entry.context)) {
+            upstream.contexts.push(entry.context);
+        }
+        summary[entry.upstream] = upstream;
+        return summary;
+    }, {});
+};
+
+module.exports = {
+    sendRequest,
+    classifyHttpError,
+    parseRetryAfter,
+    computeBackoffDelay,
+    summarizeRetries
+};
@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+
+// Jobs live in memory on the instance that accepted them; poll the same instance for status.
+// Finished jobs are kept for inspection until the history limit is exceeded.
+const MAX_FINISHED_JOBS = parseInt(process.env.MAX_FINISHED_JOBS) || 100;
+
+const jobs = new Map();
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+const pruneFinishedJobs = () => {
+    const finished = [...jobs.values()].filter(job => FINISHED_STATUSES.includes(job.status));
+    const excess = finished.length - MAX_FINISHED_JOBS;
+    for (let i = 0; i < excess; i++) {
+        jobs.delete(finished[i].id);
+    }
+};
+
+// Create a job handle. The pipeline reports progress through its methods.
+const createJob = ({ type, params = {} }) => {
+    const job = {
+        id: crypto.randomUUID(),
+        type,
+        params,
+        status: 'queued',
+        phase: 'queued',
+        runId: null,
+        progress: { processed: 0, total: 0 },
+        results: [],
+        outcome: null,
+        error: null,
+        cancelRequested: false,
+        createdAt: new Date(),
+        startedAt: null,
+        finishedAt: null,
+
+        setRunId(runId) {
+            job.runId = runId;
+        },
+        setPhase(phase, total = 0) {
+            job.phase = phase;
+            job.progress = { processed: 0, total };
+        },
+        advance() {
+            job.progress.processed += 1;
+        },
+        addResult(result) {
+            job.results.push({ ...result, phase: job.phase, at: new Date() });
+        },
+        isCancelled() {
+            return job.cancelRequested;
+        }
+    };
+
+    jobs.set(job.id, job);
+    return job;
+};
+
+// Run the job in the background; work(job) resolves with the final outcome
+const startJob = (job, work) => {
+    setImmediate(async () => {
+        job.status = 'running';
+        job.startedAt = new Date();
+
+        try {
+            job.outcome = await work(job);
+            job.status = job.cancelRequested ? 'cancelled' : 'completed';
+        } catch (error) {
+            console.error(`Job ${job.id} failed:`, error.message);
+            job.status = 'failed';
+            job.error = { message: error.message, code: error.code || null };
+        } finally {
+            job.phase = 'finished';
+            job.finishedAt = new Date();
+            pruneFinishedJobs();
+        }
+    });
+
+    return job;
+};
+
+const getJob = (jobId) => jobs.get(jobId) || null;
+
+const listJobs = () => [...jobs.values()].sort((a, b) => b.createdAt - a.createdAt);
+
+// Ask a running job to stop; the pipeline checks between shipments
+const cancelJob = (jobId) => {
+    const job = jobs.get(jobId);
+    if (!job || FINISHED_STATUSES.includes(job.status)) {
+        return job || null;
+    }
+    job.cancelRequested = true;
+    return job;
+};
+
+// Public representation of a job for API responses
+const serializeJob = (job, { includeResults = true } = {}) => ({
+    job_id: job.id,
+    type: job.type,
+    params: job.params,
+    status: job.status,
+    phase: job.phase,
+    run_id: job.runId,
+    progress: job.progress,
+    results_so_far: includeResults ? job.results : job.results.length,
+    outcome: job.outcome,
+    error: job.error,
+    cancel_requested: job.cancelRequested,
+    created_at: job.createdAt,
+    started_at: job.startedAt,
+    finished_at: job.finishedAt
+});
+
+module.exports = {
+    createJob,
+    startJob,
+    getJob,
+    listJobs,
+    cancelJob,
+    serializeJob
+};
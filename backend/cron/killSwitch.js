@@ -0,0 +1,98 @@
+const pool = require('../config/db');
+
+// Global kill switch for automated insurance purchasing, stored on the coverzy_settings row.
+// While paused no run submits anything to Covrzy: new runs are refused and running ones stop before the next shipment.
+// Dry runs are unaffected because they never buy policies.
+
+const formatPauseState = (row) => ({
+    paused: Boolean(row?.processing_paused),
+    pausedBy: row?.paused_by || null,
+    reason: row?.pause_reason || null,
+    pausedAt: row?.paused_at || null
+});
+
+const getPauseState = async () => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [rows] = await connection.execute(`
+            SELECT processing_paused, paused_by, pause_reason, paused_at
+            FROM coverzy_settings
+            ORDER BY created_at DESC
+            LIMIT 1
+        `);
+        return formatPauseState(rows[0]);
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+// Pause or resume purchasing; returns the new state, or null if there is no settings row
+const setPauseState = async ({ paused, pausedBy = null, reason = null }) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [result] = await connection.execute(`
+            UPDATE coverzy_settings
+            SET processing_paused = ?, paused_by = ?, pause_reason = ?, paused_at = ${paused ? 'CURRENT_TIMESTAMP' : 'NULL'}, updated_at = CURRENT_TIMESTAMP
+            ORDER BY created_at DESC
+            LIMIT 1
+        `, [paused ? 1 : 0, paused ? pausedBy : null, paused ? reason : null]);
+
+        if (result.affectedRows === 0) {
+            return null;
+        }
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+
+    console.log(paused
+        ? `⏸️ Automated processing paused by ${pausedBy}: ${reason}`
+        : `▶️ Automated processing resumed${pausedBy ? ` by ${pausedBy}` : ''}`);
+    return getPauseState();
+};
+
+const buildPausedError = (state) => {
+    const error = new Error(`Automated processing is paused by ${state.pausedBy || 'an admin'}${state.reason ? `: ${state.reason}` : ''}`);
+    error.code = 'PROCESSING_PAUSED';
+    error.pause = state;
+    return error;
+};
+
+// Kill switch state as returned by the API
+const serializePauseState = (state) => ({
+    paused: state.paused,
+    status: state.paused ? 'paused' : 'active',
+    paused_by: state.pausedBy,
+    reason: state.reason,
+    paused_at: state.pausedAt
+});
+
+// 409 body for API requests that would start processing while the kill switch is on
+const buildPausedResponse = (state) => ({
+    success: false,
+    message: `${buildPausedError(state).message}. Resume it with POST /api/v1/processing/resume first.`,
+    pause: serializePauseState(state),
+    timestamp: new Date().toISOString()
+});
+
+// Throws PROCESSING_PAUSED while the kill switch is on
+const assertProcessingActive = async () => {
+    const state = await getPauseState();
+    if (state.paused) {
+        throw buildPausedError(state);
+    }
+};
+
+module.exports = {
+    getPauseState,
+    setPauseState,
+    buildPausedError,
+    assertProcessingActive,
+    serializePauseState,
+    buildPausedResponse
+};
@@ -0,0 +1,76 @@
+// Requests-per-second limits per upstream, shared by every caller in this process.
+// Defaults apply until a run loads the configured limits from coverzy_settings.
+const DEFAULT_RATE_LIMITS = {
+    lex_shipment_details: 2,
+    lex_customer_details: 2,
+    covrzy_policy: 1
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Spaces calls evenly: each acquire() reserves the next free slot and waits for it
+const createRateLimiter = (requestsPerSecond) => {
+    let intervalMs = 1000 / requestsPerSecond;
+    let nextSlotAt = 0;
+
+    return {
+        async acquire() {
+            const now = Date.now();
+            const slot = Math.max(now, nextSlotAt);
+            nextSlotAt = slot + intervalMs;
+            if (slot > now) {
+                await sleep(slot - now);
+            }
+        },
+        setRate(newRequestsPerSecond) {
+            intervalMs = 1000 / newRequestsPerSecond;
+        },
+        getRate() {
+            return 1000 / intervalMs;
+        }
+    };
+};
+
+const limiters = new Map(
+    Object.entries(DEFAULT_RATE_LIMITS).map(([upstream, rps]) => [upstream, createRateLimiter(rps)])
+);
+
+// Wait for a request slot; upstreams without a configured limit pass straight through
+const acquireUpstreamSlot = async (upstream) => {
+    const limiter = limiters.get(upstream);
+    if (limiter) {
+        await limiter.acquire();
+    }
+};
+
+// Apply limits from settings ({ upstream: requestsPerSecond }); invalid values keep the current rate
+const configureRateLimits = (rateLimits = {}) => {
+    for (const [upstream, rps] of Object.entries(rateLimits)) {
+        const requestsPerSecond = parseFloat(rps);
+        if (!(requestsPerSecond > 0)) {
+            continue;
+        }
+        const limiter = limiters.get(upstream);
+        if (limiter) {
+            limiter.setRate(requestsPerSecond);
+        } else {
+            limiters.set(upstream, createRateLimiter(requestsPerSecond));
+        }
+    }
+};
+
+const getRateLimits = () => {
+    const rateLimits = {};
+    for (const [upstream, limiter] of limiters) {
+        rateLimits[upstream] = limiter.getRate();
+    }
+    return rateLimits;
+};
+
+module.exports = {
+    DEFAULT_RATE_LIMITS,
+    createRateLimiter,
+    acquireUpstreamSlot,
+    configureRateLimits,
+    getRateLimits
+};
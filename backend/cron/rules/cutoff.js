@@ -0,0 +1,30 @@
+const { DECISION_OUTCOMES } = require('../decisionLog');
+const { isPickupTimeValid } = require('../shipmentChecks');
+
+const TIME_PATTERN = /^\d{2}:\d{2}(:\d{2})?$/;
+
+// params.cutoffTime ("HH:MM:SS") overrides the cutoff_time setting
+module.exports = {
+    id: 'cutoff',
+    description: 'Pickup time must be before the cutoff time',
+    outcome: DECISION_OUTCOMES.REJECTED_CUTOFF,
+    defaultParams: { cutoffTime: null },
+
+    validateParams: (params) => {
+        if (params.cutoffTime !== null && params.cutoffTime !== undefined && !TIME_PATTERN.test(params.cutoffTime)) {
+            return 'cutoffTime must be in HH:MM:SS format or null';
+        }
+        return null;
+    },
+
+    evaluate: ({ shipmentDetails, settings }, params) => {
+        const cutoffTime = params.cutoffTime || settings.cutoffTime;
+        return {
+            passed: isPickupTimeValid(shipmentDetails.Create_Pick_Up_Date, cutoffTime, settings.cipTime),
+            actual: shipmentDetails.Create_Pick_Up_Date,
+            threshold: cutoffTime,
+            message: `Pickup time '${shipmentDetails.Create_Pick_Up_Date}' is not before cutoff time (${cutoffTime})`,
+            details: { pickupTime: shipmentDetails.Create_Pick_Up_Date, cutoffTime }
+        };
+    }
+};
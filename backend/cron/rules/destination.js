@@ -0,0 +1,38 @@
+const { DECISION_OUTCOMES } = require('../decisionLog');
+const { isDestinationAllowed } = require('../shipmentChecks');
+
+// params.countries overrides the destination_countries setting; a matched supplier's allowed_countries narrow it further
+module.exports = {
+    id: 'destination',
+    description: 'Destination country must be one of the allowed countries',
+    outcome: DECISION_OUTCOMES.REJECTED_COUNTRY,
+    defaultParams: { countries: null },
+
+    validateParams: (params) => {
+        if (params.countries !== null && params.countries !== undefined
+            && (!Array.isArray(params.countries) || params.countries.some(country => typeof country !== 'string'))) {
+            return 'countries must be an array of country codes or null';
+        }
+        return null;
+    },
+
+    evaluate: ({ shipmentDetails, settings, supplierMatch }, params) => {
+        const countries = params.countries ? params.countries.map(country => country.toUpperCase()) : settings.countries;
+        const supplier = supplierMatch ? supplierMatch.supplier : null;
+        const supplierCountries = supplier ? supplier.allowed_countries : null;
+        const allowedCountries = supplierCountries ? countries.filter(country => supplierCountries.includes(country)) : countries;
+        return {
+            passed: isDestinationAllowed(shipmentDetails.Destination_Country, allowedCountries),
+            actual: shipmentDetails.Destination_Country,
+            threshold: allowedCountries,
+            message: supplierCountries
+                ? `Destination country '${shipmentDetails.Destination_Country}' not allowed for supplier ${supplier.display_name}. Allowed countries: ${allowedCountries.join(', ') || 'none'}`
+                : `Destination country '${shipmentDetails.Destination_Country}' not allowed. Allowed countries: ${countries.join(', ')}`,
+            details: {
+                destinationCountry: shipmentDetails.Destination_Country,
+                allowedCountries,
+                ...(supplierCountries && { supplierId: supplier.id, supplierCountries })
+            }
+        };
+    }
+};
@@ -0,0 +1,179 @@
+const pool = require('../../config/db');
+const { DECISION_OUTCOMES } = require('../decisionLog');
+
+// Validation rule pipeline. Every rule is a module registered below with:
+//   id, description, outcome (decision outcome when it fails), defaultParams,
+//   evaluate(context, params) -> { passed, actual, threshold, message, details },
+//   and optionally validateParams(params), requiresCustomer, enabledByDefault (true when omitted).
+// The enabled flag, order and parameters of each rule live in coverzy_rules; a rule without a row
+// uses its defaults. Adding a rule means adding a module and registering it here.
+const RULE_MODULES = [
+    require('./destination'),
+    require('./serviceDestination'),
+    require('./cutoff'),
+    require('./minValue'),
+    require('./supplier'),
+    require('./maxValue')
+];
+
+const RULE_FIELDS = ['enabled', 'sort_order', 'params'];
+
+const findRuleModule = (id) => RULE_MODULES.find(rule => rule.id === id) || null;
+
+const parseParams = (value) => {
+    if (typeof value !== 'string') {
+        return value || {};
+    }
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return {};
+    }
+};
+
+// Registered rules merged with their stored configuration, in evaluation order
+const loadRules = async () => {
+    let connection;
+    let rows;
+    try {
+        connection = await pool.getConnection();
+        [rows] = await connection.execute('SELECT id, enabled, sort_order, params, updated_at FROM coverzy_rules');
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+
+    return RULE_MODULES.map((rule, index) => {
+        const row = rows.find(stored => stored.id === rule.id);
+        return {
+            id: rule.id,
+            description: rule.description,
+            enabled: row ? Boolean(row.enabled) : rule.enabledByDefault !== false,
+            sortOrder: row ? row.sort_order : (index + 1) * 10,
+            params: { ...rule.defaultParams, ...(row ? parseParams(row.params) : {}) },
+            defaultParams: rule.defaultParams,
+            updatedAt: row ? row.updated_at : null
+        };
+    }).sort((a, b) => a.sortOrder - b.sortOrder);
+};
+
+const buildResult = (rule, result) => ({
+    rule: rule.id,
+    passed: result.passed,
+    actual: result.actual,
+    threshold: result.threshold,
+    outcome: result.passed ? null : rule.outcome,
+    message: result.passed ? null : result.message,
+    details: result.details
+});
+
+/**
+ * Evaluate the enabled rules in order and collect every result (no short-circuit).
+ * context: { awb, shipmentDetails, customerInfo, settings, fxRate, convertValue, supplierMatch }; customerInfo is
+ * null when the customer lookup failed, which fails every rule that needs it. fxRate is the USD rate of the
+ * declared currency for the pickup date, convertValue(currency) the declared value in currency and
+ * supplierMatch the supplier master entry the customer matched (see evaluateShipment).
+ */
+const evaluateRules = (rules, context) => {
+    const checks = [];
+
+    for (const config of rules.filter(rule => rule.enabled)) {
+        const rule = findRuleModule(config.id);
+        if (!rule) {
+            continue;
+        }
+
+        if (rule.requiresCustomer && !context.customerInfo) {
+            checks.push({
+                rule: rule.id,
+                passed: false,
+                actual: null,
+                threshold: null,
+                outcome: DECISION_OUTCOMES.API_ERROR,
+                message: `Failed to fetch customer details for Customer_ID ${context.shipmentDetails.Customer_ID}`,
+                details: { stage: 'customer_details', customerId: context.shipmentDetails.Customer_ID }
+            });
+            continue;
+        }
+
+        try {
+            checks.push(buildResult(rule, rule.evaluate(context, config.params)));
+        } catch (error) {
+            // A rule that cannot decide rejects the shipment rather than letting it through
+            checks.push(buildResult(rule, {
+                passed: false,
+                actual: null,
+                threshold: null,
+                message: `Rule '${rule.id}' could not be evaluated: ${error.message}`,
+                details: { error: error.message }
+            }));
+        }
+    }
+
+    return checks;
+};
+
+// Returns an error message for an unusable rule update, or null
+const validateRuleUpdate = (id, values) => {
+    const rule = findRuleModule(id);
+    if (!rule) {
+        return `Unknown rule: ${id}`;
+    }
+    if (values.enabled !== undefined && typeof values.enabled !== 'boolean') {
+        return 'enabled must be true or false';
+    }
+    if (values.sort_order !== undefined && !Number.isInteger(values.sort_order)) {
+        return 'sort_order must be an integer';
+    }
+    if (values.params !== undefined) {
+        if (!values.params || typeof values.params !== 'object' || Array.isArray(values.params)) {
+            return 'params must be an object';
+        }
+        const unknownParams = Object.keys(values.params).filter(key => !(key in rule.defaultParams));
+        if (unknownParams.length > 0) {
+            return `Unknown params for rule '${id}': ${unknownParams.join(', ')}. Allowed: ${Object.keys(rule.defaultParams).join(', ') || 'none'}`;
+        }
+        if (rule.validateParams) {
+            return rule.validateParams(values.params);
+        }
+    }
+    return null;
+};
+
+// Save the provided fields of a rule's configuration; params replace the stored params
+const updateRule = async (id, values) => {
+    const current = (await loadRules()).find(rule => rule.id === id);
+    const enabled = values.enabled !== undefined ? values.enabled : current.enabled;
+    const sortOrder = values.sort_order !== undefined ? values.sort_order : current.sortOrder;
+    const params = values.params !== undefined ? values.params : current.params;
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.execute(`
+            INSERT INTO coverzy_rules (id, enabled, sort_order, params)
+            VALUES (?, ?, ?, ?)
+            ON DUPLICATE KEY UPDATE
+                enabled = VALUES(enabled),
+                sort_order = VALUES(sort_order),
+                params = VALUES(params),
+                updated_at = CURRENT_TIMESTAMP
+        `, [id, enabled ? 1 : 0, sortOrder, JSON.stringify(params)]);
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+
+    console.log(`Validation rule '${id}' updated: ${enabled ? 'enabled' : 'disabled'}, order ${sortOrder}, params ${JSON.stringify(params)}`);
+    return (await loadRules()).find(rule => rule.id === id);
+};
+
+module.exports = {
+    RULE_FIELDS,
+    loadRules,
+    evaluateRules,
+    validateRuleUpdate,
+    updateRule
+};
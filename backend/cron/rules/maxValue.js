@@ -0,0 +1,65 @@
+const { DECISION_OUTCOMES } = require('../decisionLog');
+const { formatAmount } = require('../shipmentChecks');
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+// Caps the insured value; off by default because there is no matching setting.
+// params.maximum is an amount in params.thresholdCurrency (USD when null).
+module.exports = {
+    id: 'max_value',
+    description: 'Shipment value must not exceed the maximum',
+    outcome: DECISION_OUTCOMES.REJECTED_VALUE,
+    enabledByDefault: false,
+    defaultParams: { maximum: null, thresholdCurrency: null },
+
+    validateParams: (params) => {
+        const value = params.maximum;
+        if (value !== null && value !== undefined && (isNaN(parseFloat(value)) || parseFloat(value) <= 0)) {
+            return 'maximum must be a positive number or null';
+        }
+        if (params.thresholdCurrency !== null && params.thresholdCurrency !== undefined && !CURRENCY_PATTERN.test(params.thresholdCurrency)) {
+            return 'thresholdCurrency must be a three-letter currency code, e.g. "USD", or null';
+        }
+        return null;
+    },
+
+    // fxRate is the rate of the declared currency effective on the pickup date (see resolveFxRate)
+    evaluate: ({ shipmentDetails, fxRate, convertValue }, params) => {
+        const thresholdCurrency = params.thresholdCurrency || 'USD';
+        const maximum = params.maximum === null || params.maximum === undefined
+            ? null
+            : parseFloat(params.maximum);
+        const value = convertValue(thresholdCurrency);
+        const details = {
+            declaredValue: shipmentDetails.Package_Value,
+            declaredCurrency: fxRate.currency,
+            convertedValue: value === null ? null : Number(value.toFixed(2)),
+            thresholdCurrency,
+            maximum,
+            usdRate: fxRate.rate,
+            fxRateDate: fxRate.effectiveDate,
+            fxRateSource: fxRate.source
+        };
+
+        // Without a configured maximum there is nothing to enforce
+        if (maximum === null) {
+            return { passed: true, actual: details.convertedValue, threshold: null, message: null, details };
+        }
+        if (value === null) {
+            return {
+                passed: false,
+                actual: null,
+                threshold: maximum,
+                message: `Shipment value ${shipmentDetails.Package_Value} ${fxRate.currency} cannot be converted to ${thresholdCurrency}: no exchange rate for the pickup date`,
+                details
+            };
+        }
+        return {
+            passed: value <= maximum,
+            actual: Number(value.toFixed(2)),
+            threshold: maximum,
+            message: `Shipment value ${formatAmount(shipmentDetails.Package_Value, fxRate.currency)} (${formatAmount(value, thresholdCurrency)}) is above maximum of ${formatAmount(maximum, thresholdCurrency)}`,
+            details
+        };
+    }
+};
@@ -0,0 +1,64 @@
+const { DECISION_OUTCOMES } = require('../decisionLog');
+const { formatAmount } = require('../shipmentChecks');
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+// params.minimum overrides the min_shipment_value_usd setting. It is an amount in params.thresholdCurrency
+// (USD when null, as is the setting); the declared shipment value is converted into it.
+// A matched supplier's own min_shipment_value_usd (always USD) takes precedence over both.
+module.exports = {
+    id: 'min_value',
+    description: 'Shipment value must be at least the minimum',
+    outcome: DECISION_OUTCOMES.REJECTED_VALUE,
+    defaultParams: { minimum: null, thresholdCurrency: null },
+
+    validateParams: (params) => {
+        const value = params.minimum;
+        if (value !== null && value !== undefined && (isNaN(parseFloat(value)) || parseFloat(value) < 0)) {
+            return 'minimum must be a non-negative number or null';
+        }
+        if (params.thresholdCurrency !== null && params.thresholdCurrency !== undefined && !CURRENCY_PATTERN.test(params.thresholdCurrency)) {
+            return 'thresholdCurrency must be a three-letter currency code, e.g. "USD", or null';
+        }
+        return null;
+    },
+
+    // fxRate is the rate of the declared currency effective on the pickup date (see resolveFxRate)
+    evaluate: ({ shipmentDetails, settings, fxRate, convertValue, supplierMatch }, params) => {
+        const supplierMinimum = supplierMatch ? supplierMatch.supplier.min_shipment_value_usd : null;
+        const hasSupplierMinimum = supplierMinimum !== null && supplierMinimum !== undefined;
+        const hasRuleMinimum = params.minimum !== null && params.minimum !== undefined;
+        // The setting is always USD; the rule's own minimum is in thresholdCurrency
+        const thresholdCurrency = hasSupplierMinimum || !hasRuleMinimum ? 'USD' : params.thresholdCurrency || 'USD';
+        const minimum = parseFloat(hasSupplierMinimum ? supplierMinimum : hasRuleMinimum ? params.minimum : settings.minShipmentValueUsd);
+        const value = convertValue(thresholdCurrency);
+        const details = {
+            declaredValue: shipmentDetails.Package_Value,
+            declaredCurrency: fxRate.currency,
+            convertedValue: value === null ? null : Number(value.toFixed(2)),
+            thresholdCurrency,
+            minimum,
+            minimumSource: hasSupplierMinimum ? 'supplier' : hasRuleMinimum ? 'rule' : 'settings',
+            usdRate: fxRate.rate,
+            fxRateDate: fxRate.effectiveDate,
+            fxRateSource: fxRate.source
+        };
+
+        if (value === null) {
+            return {
+                passed: false,
+                actual: null,
+                threshold: minimum,
+                message: `Shipment value ${shipmentDetails.Package_Value} ${fxRate.currency} cannot be converted to ${thresholdCurrency}: no exchange rate for the pickup date`,
+                details
+            };
+        }
+        return {
+            passed: value >= minimum,
+            actual: Number(value.toFixed(2)),
+            threshold: minimum,
+            message: `Shipment value ${formatAmount(shipmentDetails.Package_Value, fxRate.currency)} (${formatAmount(value, thresholdCurrency)}) is below minimum threshold of ${formatAmount(minimum, thresholdCurrency)}`,
+            details
+        };
+    }
+};
@@ -0,0 +1,37 @@
+const { DECISION_OUTCOMES } = require('../decisionLog');
+const { isServiceDestinationValid, describeCarrierRoutes } = require('../shipmentChecks');
+
+// Only service/destination pairs with an active carrier route (coverzy_carrier_routes) can be insured,
+// and only the service types a matched supplier allows when it restricts them (allowed_service_types)
+module.exports = {
+    id: 'service_destination',
+    description: 'Service type must have an active carrier route for the destination',
+    outcome: DECISION_OUTCOMES.REJECTED_SERVICE,
+    defaultParams: {},
+
+    evaluate: ({ shipmentDetails, settings, supplierMatch }) => {
+        const supportedCombinations = describeCarrierRoutes(settings.carrierRoutes);
+        const supplier = supplierMatch ? supplierMatch.supplier : null;
+        const supplierServices = supplier ? supplier.allowed_service_types : null;
+        const serviceAllowed = !supplierServices || supplierServices
+            .some(service => service.toLowerCase() === String(shipmentDetails.Service_Type || '').toLowerCase());
+        const details = { destinationCountry: shipmentDetails.Destination_Country, serviceType: shipmentDetails.Service_Type };
+
+        if (!serviceAllowed) {
+            return {
+                passed: false,
+                actual: shipmentDetails.Service_Type,
+                threshold: supplierServices,
+                message: `Service type '${shipmentDetails.Service_Type}' not allowed for supplier ${supplier.display_name}. Allowed service types: ${supplierServices.join(', ')}`,
+                details: { ...details, supplierId: supplier.id, supplierServiceTypes: supplierServices }
+            };
+        }
+        return {
+            passed: isServiceDestinationValid(shipmentDetails.Destination_Country, shipmentDetails.Service_Type, settings.carrierRoutes),
+            actual: `${shipmentDetails.Service_Type} to ${shipmentDetails.Destination_Country}`,
+            threshold: supportedCombinations,
+            message: `Service type '${shipmentDetails.Service_Type}' not supported for destination '${shipmentDetails.Destination_Country}'. Supported combinations: ${supportedCombinations}`,
+            details
+        };
+    }
+};
@@ -0,0 +1,43 @@
+const { DECISION_OUTCOMES } = require('../decisionLog');
+const { matchSupplier } = require('../suppliers');
+
+// The customer must be an active supplier in the supplier master, matched by Customer_ID, then by exact
+// (normalized) display name or alias. params.suppliers replaces the master with a list of names matched the same way.
+module.exports = {
+    id: 'supplier',
+    description: 'Customer must be an active supplier, matched by customer ID or exact alias',
+    outcome: DECISION_OUTCOMES.REJECTED_SUPPLIER,
+    requiresCustomer: true,
+    defaultParams: { suppliers: null },
+
+    validateParams: (params) => {
+        if (params.suppliers !== null && params.suppliers !== undefined
+            && (!Array.isArray(params.suppliers) || params.suppliers.some(supplier => typeof supplier !== 'string'))) {
+            return 'suppliers must be an array of supplier names or null';
+        }
+        return null;
+    },
+
+    // supplierMatch is the matchSupplier result against the supplier master (settings.suppliers)
+    evaluate: ({ shipmentDetails, customerInfo, settings, supplierMatch }, params) => {
+        const suppliers = params.suppliers
+            ? params.suppliers.map(name => ({ id: null, customer_id: null, display_name: name, aliases: [], active: true }))
+            : settings.suppliers;
+        const match = params.suppliers
+            ? matchSupplier(suppliers, null, customerInfo.company_name)
+            : supplierMatch;
+        return {
+            passed: Boolean(match),
+            actual: customerInfo.company_name || null,
+            threshold: suppliers.map(supplier => supplier.display_name),
+            message: `Supplier '${customerInfo.company_name}' (Customer_ID ${shipmentDetails.Customer_ID}) does not match any active supplier by customer ID or alias`,
+            details: {
+                customerId: shipmentDetails.Customer_ID,
+                companyName: customerInfo.company_name || null,
+                supplierId: match ? match.supplier.id : null,
+                supplierName: match ? match.supplier.display_name : null,
+                matchMethod: match ? match.method : null
+            }
+        };
+    }
+};
@@ -0,0 +1,49 @@
+const { EventEmitter } = require('events');
+
+// Recent events are kept so reconnecting SSE clients can catch up via Last-Event-ID
+const EVENT_HISTORY_LIMIT = 200;
+
+const runEvents = new EventEmitter();
+// One listener per connected dashboard, don't warn when several operators are watching
+runEvents.setMaxListeners(0);
+
+const recentEvents = [];
+let sequence = 0;
+
+// Publish a pipeline event (validated, rejected, submitted, policy_saved, failed, run_started, run_finished)
+const publishRunEvent = (type, data = {}) => {
+    const event = {
+        id: ++sequence,
+        type,
+        data,
+        timestamp: new Date().toISOString()
+    };
+
+    recentEvents.push(event);
+    if (recentEvents.length > EVENT_HISTORY_LIMIT) {
+        recentEvents.shift();
+    }
+
+    runEvents.emit('event', event);
+    return event;
+};
+
+// Events published after the given id (for reconnecting clients)
+const getEventsSince = (lastEventId) => {
+    const id = parseInt(lastEventId);
+    if (isNaN(id)) {
+        return [];
+    }
+    return recentEvents.filter(event => event.id > id);
+};
+
+const subscribeToRunEvents = (listener) => {
+    runEvents.on('event', listener);
+    return () => runEvents.off('event', listener);
+};
+
+module.exports = {
+    publishRunEvent,
+    getEventsSince,
+    subscribeToRunEvents
+};
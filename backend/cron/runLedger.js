@@ -0,0 +1,166 @@
+const pool = require('../config/db');
+const { publishRunEvent } = require('./runEvents');
+
+// JSON columns come back as strings on servers without a native JSON type
+const parseJsonColumn = (value) => {
+    if (typeof value !== 'string') {
+        return value;
+    }
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return value;
+    }
+};
+
+const formatRunRow = (row) => ({
+    ...row,
+    dry_run: Boolean(row.dry_run),
+    settings_snapshot: parseJsonColumn(row.settings_snapshot),
+    retry_summary: parseJsonColumn(row.retry_summary)
+});
+
+// Record the start of a processing run, returns the run id (or null if the ledger is unavailable)
+const createRun = async ({ trigger, targetDate, dryRun = false, backfillId = null, scheduleId = null }) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+
+        const [result] = await connection.execute(`
+            INSERT INTO coverzy_runs (trigger_type, dry_run, backfill_id, schedule_id, target_date, status, started_at)
+            VALUES (?, ?, ?, ?, ?, 'running', CURRENT_TIMESTAMP)
+        `, [trigger, dryRun ? 1 : 0, backfillId, scheduleId, targetDate]);
+
+        console.log(`📒 Run ${result.insertId} recorded (trigger: ${trigger}, target date: ${targetDate}${dryRun ? ', dry run' : ''})`);
+        publishRunEvent('run_started', { runId: result.insertId, trigger, targetDate, dryRun });
+        return result.insertId;
+    } catch (error) {
+        console.error('❌ Failed to record run in ledger:', error.message);
+        // Don't fail the run itself because the ledger is unavailable
+        publishRunEvent('run_started', { runId: null, trigger, targetDate, dryRun });
+        return null;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+// Record the outcome of a processing run
+const finishRun = async (runId, { status, settings = null, counts = {}, retries = null, errorMessage = null }) => {
+    publishRunEvent('run_finished', { runId, status, counts, errorMessage });
+
+    if (!runId) {
+        return;
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+
+        await connection.execute(`
+            UPDATE coverzy_runs
+            SET
+                status = ?,
+                settings_snapshot = ?,
+                total_shipments = ?,
+                valid_shipments = ?,
+                processed_shipments = ?,
+                successful_shipments = ?,
+                failed_shipments = ?,
+                retry_summary = ?,
+                error_message = ?,
+                finished_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [
+            status,
+            settings ? JSON.stringify(settings) : null,
+            counts.total || 0,
+            counts.valid || 0,
+            counts.processed || 0,
+            counts.successful || 0,
+            counts.failed || 0,
+            retries && Object.keys(retries).length > 0 ? JSON.stringify(retries) : null,
+            errorMessage,
+            runId
+        ]);
+
+        console.log(`📒 Run ${runId} marked as ${status}`);
+    } catch (error) {
+        console.error(`❌ Failed to update run ${runId} in ledger:`, error.message);
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+// List runs, newest first, with optional filters
+const listRuns = async ({ status, trigger, dryRun, fromDate, toDate, limit = 50, offset = 0 } = {}) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+
+        const conditions = [];
+        const params = [];
+
+        if (status) {
+            conditions.push('status = ?');
+            params.push(status);
+        }
+        if (trigger) {
+            conditions.push('trigger_type = ?');
+            params.push(trigger);
+        }
+        if (dryRun !== undefined) {
+            conditions.push('dry_run = ?');
+            params.push(dryRun ? 1 : 0);
+        }
+        if (fromDate) {
+            conditions.push('target_date >= ?');
+            params.push(fromDate);
+        }
+        if (toDate) {
+            conditions.push('target_date <= ?');
+            params.push(toDate);
+        }
+
+        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        // LIMIT/OFFSET are inlined because prepared statements reject them as strings
+        const [rows] = await connection.execute(`
+            SELECT * FROM coverzy_runs
+            ${whereClause}
+            ORDER BY started_at DESC, id DESC
+            LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}
+        `, params);
+
+        return rows.map(formatRunRow);
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+const getRunById = async (runId) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+
+        const [rows] = await connection.execute('SELECT * FROM coverzy_runs WHERE id = ?', [runId]);
+        return rows.length > 0 ? formatRunRow(rows[0]) : null;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+module.exports = {
+    parseJsonColumn,
+    createRun,
+    finishRun,
+    listRuns,
+    getRunById
+};
@@ -0,0 +1,154 @@
+const os = require('os');
+const crypto = require('crypto');
+const pool = require('../config/db');
+
+const LOCK_NAME = 'coverzy_processing';
+
+// A holder that has not sent a heartbeat for this long is considered dead and can be taken over
+const LOCK_STALE_SECONDS = parseInt(process.env.RUN_LOCK_STALE_SECONDS) || 300;
+const HEARTBEAT_INTERVAL_MS = (parseInt(process.env.RUN_LOCK_HEARTBEAT_SECONDS) || 30) * 1000;
+
+const formatHolder = (row) => ({
+    owner: row.owner,
+    runId: row.run_id,
+    trigger: row.trigger_type,
+    acquiredAt: row.acquired_at,
+    heartbeatAt: row.heartbeat_at
+});
+
+// Current (non-stale) lock holder, or null when the lock is free
+const getRunLockHolder = async () => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+
+        const [rows] = await connection.execute(`
+            SELECT owner, run_id, trigger_type, acquired_at, heartbeat_at
+            FROM coverzy_run_lock
+            WHERE lock_name = ? AND heartbeat_at >= (CURRENT_TIMESTAMP - INTERVAL ${LOCK_STALE_SECONDS} SECOND)
+        `, [LOCK_NAME]);
+
+        return rows.length > 0 ? formatHolder(rows[0]) : null;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+const updateLock = async (owner, setClause, params = []) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.execute(
+            `UPDATE coverzy_run_lock SET ${setClause} WHERE lock_name = ? AND owner = ?`,
+            [...params, LOCK_NAME, owner]
+        );
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+// Try to take the processing lock. Returns { acquired: true, attachRun, release } or { acquired: false, holder }
+const acquireRunLock = async ({ trigger }) => {
+    const owner = `${os.hostname()}:${process.pid}:${crypto.randomUUID().slice(0, 8)}`;
+    let connection;
+    let holderRow;
+
+    try {
+        connection = await pool.getConnection();
+
+        // heartbeat_at is assigned last so the staleness checks above it see the old value
+        const staleCondition = `heartbeat_at < (CURRENT_TIMESTAMP - INTERVAL ${LOCK_STALE_SECONDS} SECOND)`;
+        await connection.execute(`
+            INSERT INTO coverzy_run_lock (lock_name, owner, run_id, trigger_type, acquired_at, heartbeat_at)
+            VALUES (?, ?, NULL, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+            ON DUPLICATE KEY UPDATE
+                owner = IF(${staleCondition}, VALUES(owner), owner),
+                run_id = IF(${staleCondition}, NULL, run_id),
+                trigger_type = IF(${staleCondition}, VALUES(trigger_type), trigger_type),
+                acquired_at = IF(${staleCondition}, VALUES(acquired_at), acquired_at),
+                heartbeat_at = IF(${staleCondition}, VALUES(heartbeat_at), heartbeat_at)
+        `, [LOCK_NAME, owner, trigger]);
+
+        const [rows] = await connection.execute(`
+            SELECT owner, run_id, trigger_type, acquired_at, heartbeat_at
+            FROM coverzy_run_lock
+            WHERE lock_name = ?
+        `, [LOCK_NAME]);
+        holderRow = rows[0];
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+
+    if (!holderRow || holderRow.owner !== owner) {
+        return { acquired: false, holder: holderRow ? formatHolder(holderRow) : null };
+    }
+
+    console.log(`🔒 Processing lock acquired by ${owner} (trigger: ${trigger})`);
+
+    const heartbeat = setInterval(() => {
+        updateLock(owner, 'heartbeat_at = CURRENT_TIMESTAMP').catch(error => {
+            console.error('❌ Failed to refresh processing lock heartbeat:', error.message);
+        });
+    }, HEARTBEAT_INTERVAL_MS);
+    // Don't keep the process alive just for the heartbeat
+    heartbeat.unref();
+
+    return {
+        acquired: true,
+        owner,
+        // Record which ledger run holds the lock so callers refused with 409 can see it
+        attachRun: async (runId) => {
+            try {
+                await updateLock(owner, 'run_id = ?', [runId]);
+            } catch (error) {
+                console.error('❌ Failed to attach run to processing lock:', error.message);
+            }
+        },
+        release: async () => {
+            clearInterval(heartbeat);
+            let releaseConnection;
+            try {
+                releaseConnection = await pool.getConnection();
+                await releaseConnection.execute(
+                    'DELETE FROM coverzy_run_lock WHERE lock_name = ? AND owner = ?',
+                    [LOCK_NAME, owner]
+                );
+                console.log(`🔓 Processing lock released by ${owner}`);
+            } catch (error) {
+                // The lock expires on its own once the heartbeat stops
+                console.error('❌ Failed to release processing lock:', error.message);
+            } finally {
+                if (releaseConnection) {
+                    releaseConnection.release();
+                }
+            }
+        }
+    };
+};
+
+// 409 body for API requests that would start processing while another run holds the lock
+const buildLockConflictResponse = (holder) => ({
+    success: false,
+    message: `Another Coverzy run is already in progress (run ${holder.runId}, trigger: ${holder.trigger}). Try again once it has finished.`,
+    current_run: {
+        run_id: holder.runId,
+        trigger: holder.trigger,
+        owner: holder.owner,
+        acquired_at: holder.acquiredAt,
+        heartbeat_at: holder.heartbeatAt
+    },
+    timestamp: new Date().toISOString()
+});
+
+module.exports = {
+    LOCK_STALE_SECONDS,
+    acquireRunLock,
+    getRunLockHolder,
+    buildLockConflictResponse
+};
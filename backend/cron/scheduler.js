@@ -0,0 +1,178 @@
+const cron = require('node-cron');
+const { processPreviousDayShipments, processShipmentsForDate, getCoverzySettings } = require('./coverzyCron');
+const { listSchedules } = require('./schedules');
+const { BUSINESS_TIMEZONE, getZonedClock, addDays, formatBusinessDateTime } = require('./businessTime');
+
+// The daily run fires at cip_time in the business timezone
+const SCHEDULE_TIMEZONE = BUSINESS_TIMEZONE;
+
+const CIP_TIME_PATTERN = /^\d{2}:\d{2}(:\d{2})?$/;
+
+// The daily cip_time task owned by this process; replaced whenever cip_time changes
+let scheduledTask = null;
+let scheduledCipTime = null;
+let cronExpression = null;
+
+// Tasks for the enabled coverzy_schedules rows, by schedule id; rebuilt whenever schedules change
+const namedTasks = new Map();
+
+// "HH:MM[:SS]" -> "MM HH * * *" (seconds are ignored), or null for an unusable time
+const buildCronExpression = (cipTime) => {
+    if (!cipTime || !CIP_TIME_PATTERN.test(cipTime)) {
+        return null;
+    }
+    const [hours, minutes] = cipTime.split(':').map(part => parseInt(part));
+    if (hours > 23 || minutes > 59) {
+        return null;
+    }
+    return `${minutes} ${hours} * * *`;
+};
+
+const runScheduledProcess = async (label, runProcess) => {
+    console.log('======================================');
+    console.log(`Running Coverzy cron job at ${formatBusinessDateTime()} (${label})`);
+    console.log('======================================');
+
+    try {
+        const result = await runProcess();
+        console.log(`Cron completed: Processed ${result.processed} shipments, with ${result.results.length} successful and ${result.errors.length} failed`);
+    } catch (error) {
+        if (error.code === 'RUN_LOCKED' || error.code === 'PROCESSING_PAUSED') {
+            // Another instance (or a manual run) is already processing, or the kill switch is on
+            console.log(`Cron run skipped: ${error.message}`);
+        } else {
+            console.error('Cron job failed:', error.message);
+        }
+    }
+
+    console.log('======================================');
+};
+
+// Stop the daily cip_time task, if any
+const stopDailyRun = () => {
+    if (scheduledTask) {
+        scheduledTask.destroy();
+        scheduledTask = null;
+    }
+    scheduledCipTime = null;
+    cronExpression = null;
+};
+
+const stopNamedSchedules = () => {
+    for (const { task } of namedTasks.values()) {
+        task.destroy();
+    }
+    namedTasks.clear();
+};
+
+// Stop every task registered by this process
+const stopSchedule = () => {
+    stopDailyRun();
+    stopNamedSchedules();
+};
+
+/**
+ * Register the daily run for cipTime ("HH:MM:SS"), replacing any existing task.
+ * Returns false (keeping the current schedule) when cipTime is invalid.
+ */
+const scheduleDailyRun = (cipTime) => {
+    const expression = buildCronExpression(cipTime);
+    if (!expression) {
+        console.error(`Invalid cip_time "${cipTime}". Expected format: HH:MM:SS`);
+        return false;
+    }
+
+    if (scheduledTask && expression === cronExpression) {
+        scheduledCipTime = cipTime;
+        return true;
+    }
+
+    stopDailyRun();
+    scheduledTask = cron.schedule(expression, () => runScheduledProcess(`cip_time: ${scheduledCipTime}`, () => processPreviousDayShipments()), {
+        name: 'coverzy-daily',
+        timezone: SCHEDULE_TIMEZONE
+    });
+    scheduledCipTime = cipTime;
+    cronExpression = expression;
+
+    console.log(`Coverzy cron job scheduled for ${cipTime} daily (${SCHEDULE_TIMEZONE}), cron expression: ${expression}`);
+    return true;
+};
+
+// Runs the schedule for the date it fires on (in its own timezone) shifted by target_date_offset
+const runNamedSchedule = (schedule) => {
+    const targetDate = addDays(getZonedClock(schedule.timezone).date, schedule.target_date_offset);
+    return runScheduledProcess(
+        `schedule "${schedule.name}", target date ${targetDate}`,
+        () => processShipmentsForDate(targetDate, { trigger: 'cron', scheduleId: schedule.id })
+    );
+};
+
+// Replace the named schedule tasks with one task per given (enabled) schedule; invalid rows are skipped
+const registerNamedSchedules = (schedules) => {
+    stopNamedSchedules();
+
+    for (const schedule of schedules) {
+        try {
+            const task = cron.schedule(schedule.cron_expression, () => runNamedSchedule(schedule), {
+                name: `coverzy-schedule-${schedule.id}`,
+                timezone: schedule.timezone
+            });
+            namedTasks.set(schedule.id, { task, schedule });
+            console.log(`Coverzy schedule "${schedule.name}" registered: ${schedule.cron_expression} (${schedule.timezone}), target date offset ${schedule.target_date_offset}`);
+        } catch (error) {
+            console.error(`Failed to register Coverzy schedule "${schedule.name}":`, error.message);
+        }
+    }
+};
+
+// Re-read the enabled coverzy_schedules rows and re-register their tasks
+const refreshNamedSchedules = async () => {
+    registerNamedSchedules(await listSchedules({ enabledOnly: true }));
+    return getScheduleStatus();
+};
+
+// Re-read cip_time and the named schedules and reschedule everything that changed
+const refreshSchedule = async () => {
+    const settings = await getCoverzySettings();
+    scheduleDailyRun(settings.cipTime);
+    return refreshNamedSchedules();
+};
+
+const toIsoString = (date) => (date ? date.toISOString() : null);
+
+const getScheduleStatus = () => {
+    const schedules = [...namedTasks.values()].map(({ task, schedule }) => ({
+        id: schedule.id,
+        name: schedule.name,
+        cronExpression: schedule.cron_expression,
+        timezone: schedule.timezone,
+        targetDateOffset: schedule.target_date_offset,
+        nextRunAt: toIsoString(task.getNextRun())
+    }));
+
+    // Earliest upcoming run across the daily run and all named schedules
+    const nextRuns = [
+        scheduledTask ? toIsoString(scheduledTask.getNextRun()) : null,
+        ...schedules.map(schedule => schedule.nextRunAt)
+    ].filter(Boolean).sort();
+
+    return {
+        scheduled: Boolean(scheduledTask) || schedules.length > 0,
+        cipTime: scheduledCipTime,
+        cronExpression,
+        timezone: SCHEDULE_TIMEZONE,
+        nextRunAt: nextRuns[0] || null,
+        schedules
+    };
+};
+
+module.exports = {
+    SCHEDULE_TIMEZONE,
+    buildCronExpression,
+    scheduleDailyRun,
+    refreshSchedule,
+    refreshNamedSchedules,
+    stopSchedule,
+    getScheduleStatus
+};
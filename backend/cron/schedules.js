@@ -0,0 +1,173 @@
+const cron = require('node-cron');
+const pool = require('../config/db');
+const { BUSINESS_TIMEZONE } = require('./businessTime');
+
+// Named schedules run in addition to the daily cip_time run, e.g. an evening top-up for late manifests.
+// target_date_offset is in days relative to the date the schedule fires (in its timezone): -1 = previous day.
+const DEFAULT_SCHEDULE_TIMEZONE = BUSINESS_TIMEZONE;
+const MAX_TARGET_DATE_OFFSET_DAYS = 31;
+
+const SCHEDULE_FIELDS = ['name', 'cron_expression', 'timezone', 'target_date_offset', 'enabled'];
+
+const isValidTimezone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return typeof timeZone === 'string' && timeZone.length > 0;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Returns an error message for invalid schedule values, or null.
+ * With partial: true only the fields that are provided are checked (PATCH-style updates).
+ */
+const validateSchedule = (values, { partial = false } = {}) => {
+    if (!partial || values.name !== undefined) {
+        if (typeof values.name !== 'string' || values.name.trim().length === 0 || values.name.length > 100) {
+            return 'name is required and must be at most 100 characters';
+        }
+    }
+    if (!partial || values.cron_expression !== undefined) {
+        if (typeof values.cron_expression !== 'string' || !cron.validate(values.cron_expression)) {
+            return 'cron_expression must be a valid cron expression, e.g. "0 11 * * *"';
+        }
+    }
+    if (values.timezone !== undefined && !isValidTimezone(values.timezone)) {
+        return 'timezone must be a valid IANA timezone, e.g. "Asia/Kolkata"';
+    }
+    if (values.target_date_offset !== undefined) {
+        const offset = Number(values.target_date_offset);
+        if (!Number.isInteger(offset) || offset > 0 || offset < -MAX_TARGET_DATE_OFFSET_DAYS) {
+            return `target_date_offset must be a whole number of days between -${MAX_TARGET_DATE_OFFSET_DAYS} and 0`;
+        }
+    }
+    return null;
+};
+
+const formatScheduleRow = (row) => ({
+    ...row,
+    enabled: Boolean(row.enabled)
+});
+
+// Column values for the provided fields, converted for storage
+const toColumnValues = (values) => {
+    const columns = {};
+    for (const field of SCHEDULE_FIELDS) {
+        if (values[field] === undefined) {
+            continue;
+        }
+        if (field === 'target_date_offset') {
+            columns[field] = Number(values[field]);
+        } else if (field === 'enabled') {
+            columns[field] = values[field] === true || values[field] === 'true' || values[field] === 1 ? 1 : 0;
+        } else {
+            columns[field] = String(values[field]).trim();
+        }
+    }
+    return columns;
+};
+
+const listSchedules = async ({ enabledOnly = false } = {}) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [rows] = await connection.execute(`
+            SELECT * FROM coverzy_schedules
+            ${enabledOnly ? 'WHERE enabled = 1' : ''}
+            ORDER BY name ASC
+        `);
+        return rows.map(formatScheduleRow);
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+const getSchedule = async (scheduleId) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [rows] = await connection.execute('SELECT * FROM coverzy_schedules WHERE id = ?', [scheduleId]);
+        return rows.length > 0 ? formatScheduleRow(rows[0]) : null;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+// Insert a schedule, returns its id (duplicate names fail with ER_DUP_ENTRY)
+const createSchedule = async (values) => {
+    const columns = {
+        timezone: DEFAULT_SCHEDULE_TIMEZONE,
+        target_date_offset: -1,
+        enabled: 1,
+        ...toColumnValues(values)
+    };
+    const names = Object.keys(columns);
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [result] = await connection.execute(`
+            INSERT INTO coverzy_schedules (${names.join(', ')})
+            VALUES (${names.map(() => '?').join(', ')})
+        `, Object.values(columns));
+        return result.insertId;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+// Update the provided fields, returns false if the schedule does not exist
+const updateSchedule = async (scheduleId, values) => {
+    const columns = toColumnValues(values);
+    const names = Object.keys(columns);
+    if (names.length === 0) {
+        return (await getSchedule(scheduleId)) !== null;
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [result] = await connection.execute(`
+            UPDATE coverzy_schedules
+            SET ${names.map(name => `${name} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [...Object.values(columns), scheduleId]);
+        return result.affectedRows > 0;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+// Returns false if the schedule does not exist
+const deleteSchedule = async (scheduleId) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [result] = await connection.execute('DELETE FROM coverzy_schedules WHERE id = ?', [scheduleId]);
+        return result.affectedRows > 0;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+module.exports = {
+    DEFAULT_SCHEDULE_TIMEZONE,
+    SCHEDULE_FIELDS,
+    validateSchedule,
+    listSchedules,
+    getSchedule,
+    createSchedule,
+    updateSchedule,
+    deleteSchedule
+};
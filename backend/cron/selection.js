@@ -0,0 +1,80 @@
+// Selection strategies (coverzy_settings.selection_strategy) decide which valid shipments get a policy when a day
+// has more of them than max_shipments allows. Shipments are validateShipmentOnly results; the strategy only orders
+// them and the caller keeps the first max_shipments, so the rest are the ones skipped.
+//
+// fetch_order: the order Lex lists the AWBs in (the original behaviour)
+// highest_value: highest declared value in USD first; shipments whose value cannot be converted go last
+// fair_share: one shipment per supplier in turn, starting with the suppliers that have the fewest policies
+//             for the day so far; shipments without a supplier share one turn
+// oldest_pickup: earliest pickup first; shipments without a pickup time go last
+// Ties always keep the fetch order, so a re-run of the same day picks the same shipments.
+
+const SELECTION_STRATEGIES = ['fetch_order', 'highest_value', 'fair_share', 'oldest_pickup'];
+const DEFAULT_SELECTION_STRATEGY = 'fetch_order';
+
+const getSelectionStrategy = (settings) => (SELECTION_STRATEGIES.includes(settings.selectionStrategy)
+    ? settings.selectionStrategy
+    : DEFAULT_SELECTION_STRATEGY);
+
+// Sort by key ascending with missing (null) keys last; Array.prototype.sort is stable so ties keep their order
+const sortByKey = (shipments, getKey) => [...shipments].sort((a, b) => {
+    const keyA = getKey(a);
+    const keyB = getKey(b);
+    if (keyA === null || keyB === null) {
+        return (keyA === null) - (keyB === null);
+    }
+    return keyA < keyB ? -1 : keyA > keyB ? 1 : 0;
+});
+
+const getSupplierKey = (shipment) => (shipment.supplierMatch ? shipment.supplierMatch.supplier.id : null);
+
+// Round-robin over suppliers; usage (loadSupplierUsage) gives each supplier's policies already bought for the day
+const orderByFairShare = (shipments, usage) => {
+    const queues = new Map();
+    for (const shipment of shipments) {
+        const key = getSupplierKey(shipment);
+        if (!queues.has(key)) {
+            queues.set(key, []);
+        }
+        queues.get(key).push(shipment);
+    }
+
+    const counts = new Map([...queues.keys()].map(key => [key, key === null ? 0 : (usage.get(Number(key)) || { day: 0 }).day]));
+    const ordered = [];
+    while (ordered.length < shipments.length) {
+        // Map iteration follows first appearance, so suppliers with equal counts take turns in fetch order
+        let nextKey;
+        for (const [key, queue] of queues) {
+            if (queue.length > 0 && (nextKey === undefined || counts.get(key) < counts.get(nextKey))) {
+                nextKey = key;
+            }
+        }
+        ordered.push(queues.get(nextKey).shift());
+        counts.set(nextKey, counts.get(nextKey) + 1);
+    }
+    return ordered;
+};
+
+/**
+ * Valid shipments in the order the strategy insures them. usage is the loadSupplierUsage result for the day
+ * (only fair_share uses it). An unknown strategy keeps the fetch order.
+ */
+const orderShipments = (shipments, strategy, usage = new Map()) => {
+    switch (strategy) {
+        case 'highest_value':
+            return sortByKey(shipments, shipment => (shipment.valueUsd === null || shipment.valueUsd === undefined ? null : -shipment.valueUsd));
+        case 'oldest_pickup':
+            return sortByKey(shipments, shipment => shipment.pickupAt || null);
+        case 'fair_share':
+            return orderByFairShare(shipments, usage);
+        default:
+            return [...shipments];
+    }
+};
+
+module.exports = {
+    SELECTION_STRATEGIES,
+    DEFAULT_SELECTION_STRATEGY,
+    getSelectionStrategy,
+    orderShipments
+};
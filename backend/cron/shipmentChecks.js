@@ -0,0 +1,126 @@
+// Pure shipment checks shared by the validation rules (cron/rules) and payload mapping in coverzyCron
+
+// Validate if destination country is allowed
+const isDestinationAllowed = (destinationCountry, allowedCountries) => {
+    return allowedCountries.includes(destinationCountry.toUpperCase());
+};
+
+// Validate if pickup time is within allowed time range
+const isPickupTimeValid = (pickupTime, cutoffTime, cipTime) => {
+    try {
+        // Extract time from pickup datetime (assuming format: YYYY-MM-DD HH:MM:SS)
+        const pickupTimeStr = pickupTime.split(' ')[1] || pickupTime;
+        
+        // Convert times to comparable format (minutes from midnight)
+        const timeToMinutes = (timeStr) => {
+            const [hours, minutes] = timeStr.split(':').map(Number);
+            return hours * 60 + minutes;
+        };
+        
+        const pickupMinutes = timeToMinutes(pickupTimeStr);
+        const cutoffMinutes = timeToMinutes(cutoffTime);
+        
+        // Check if pickup time is before the cutoff time
+        return pickupMinutes < cutoffMinutes;
+    } catch (error) {
+        console.error('Error validating pickup time:', error.message);
+        return false;
+    }
+};
+
+// Convert INR to USD for validation purposes only
+const convertInrToUsd = (inrAmount, usdToInrRate) => {
+    try {
+        const inrValue = parseFloat(inrAmount);
+        const rate = parseFloat(usdToInrRate);
+        
+        if (isNaN(inrValue) || isNaN(rate) || rate <= 0) {
+            throw new Error('Invalid amount or exchange rate');
+        }
+        
+        return inrValue / rate;
+    } catch (error) {
+        console.error('Error converting INR to USD:', error.message);
+        return 0;
+    }
+};
+
+// Validate if shipment value meets minimum USD threshold
+const isShipmentValueValid = (packageValue, minShipmentValueUsd, usdToInrRate) => {
+    try {
+        const usdValue = convertInrToUsd(packageValue, usdToInrRate);
+        const minValue = parseFloat(minShipmentValueUsd);
+        
+        return usdValue >= minValue;
+    } catch (error) {
+        console.error('Error validating shipment value:', error.message);
+        return false;
+    }
+};
+
+// Lex fields that may carry the declared currency of Package_Value, in order of preference
+const SHIPMENT_CURRENCY_FIELDS = ['Package_Currency', 'Currency'];
+// Shipments that do not declare a currency are valued in INR, as every shipment was before Lex sent one
+const DEFAULT_SHIPMENT_CURRENCY = 'INR';
+
+// Declared currency of a shipment's Package_Value, e.g. 'EUR'
+const getShipmentCurrency = (shipmentDetails) => {
+    const field = SHIPMENT_CURRENCY_FIELDS.find(name => String(shipmentDetails[name] || '').trim().length > 0);
+    return field ? String(shipmentDetails[field]).trim().toUpperCase() : DEFAULT_SHIPMENT_CURRENCY;
+};
+
+const CURRENCY_SYMBOLS = { INR: '₹', USD: '$', EUR: '€', GBP: '£' };
+
+// 1234.5, 'EUR' -> "€1234.50"; currencies without a symbol are prefixed with their code
+const formatAmount = (amount, currency) => {
+    const value = Number(amount).toFixed(2);
+    return CURRENCY_SYMBOLS[currency] ? `${CURRENCY_SYMBOLS[currency]}${value}` : `${currency} ${value}`;
+};
+
+// Carrier code and delivery business days for a destination and service type, looked up in the
+// active coverzy_carrier_routes rows (see carrierRoutes.js); null when no route covers the combination
+const getCarrierInfo = (destinationCountry, serviceType, routes) => {
+    const destination = String(destinationCountry || '').trim().toUpperCase();
+    const service = String(serviceType || '').trim().toLowerCase();
+    
+    const route = (routes || []).find(candidate =>
+        candidate.active &&
+        candidate.service_type.toLowerCase() === service &&
+        candidate.destination_aliases.includes(destination)
+    );
+    
+    return route
+        ? { carrierCode: route.carrier_code, deliveryDays: route.delivery_days, destinationAliases: route.destination_aliases }
+        : null;
+};
+
+// Validate service type and destination combination
+const isServiceDestinationValid = (destinationCountry, serviceType, routes) => {
+    const carrierInfo = getCarrierInfo(destinationCountry, serviceType, routes);
+    return carrierInfo !== null;
+};
+
+// Supported combinations for messages, e.g. "US/USA(Ship+/ShipD), UK/GB(Ship+)"
+const describeCarrierRoutes = (routes) => {
+    const servicesByDestination = new Map();
+    for (const route of (routes || []).filter(candidate => candidate.active)) {
+        const destination = route.destination_aliases.join('/');
+        servicesByDestination.set(destination, [...(servicesByDestination.get(destination) || []), route.service_type]);
+    }
+    if (servicesByDestination.size === 0) {
+        return 'none configured';
+    }
+    return [...servicesByDestination].map(([destination, services]) => `${destination}(${services.join('/')})`).join(', ');
+};
+
+module.exports = {
+    isDestinationAllowed,
+    isPickupTimeValid,
+    convertInrToUsd,
+    isShipmentValueValid,
+    getShipmentCurrency,
+    formatAmount,
+    getCarrierInfo,
+    isServiceDestinationValid,
+    describeCarrierRoutes
+};
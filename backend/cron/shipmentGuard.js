@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const pool = require('../config/db');
+
+// Claims older than this are treated as abandoned (crashed process) and can be taken over.
+// Takeover is safe because Covrzy receives the same idempotency key for the AWB.
+const INFLIGHT_STALE_MINUTES = parseInt(process.env.INFLIGHT_STALE_MINUTES) || 30;
+
+// Idempotency key sent to Covrzy, derived only from the AWB so retries map to the same policy.
+// A forced re-insurance passes a nonce so Covrzy issues a new policy instead of returning the old one.
+const buildIdempotencyKey = (awb, nonce = null) => {
+    const source = String(awb).trim().toUpperCase() + (nonce ? `:${nonce}` : '');
+    return `coverzy-${crypto.createHash('sha256').update(source).digest('hex').slice(0, 32)}`;
+};
+
+// Return the existing policy row for an AWB, or null if it has never been insured
+const findInsuredShipment = async (awb) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+
+        const [rows] = await connection.execute(`
+            SELECT shipment_id, policy_id, amount, created_at
+            FROM coverzy_shipments
+            WHERE shipment_id = ? AND policy_id IS NOT NULL
+            LIMIT 1
+        `, [awb]);
+
+        return rows.length > 0 ? rows[0] : null;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+// Mark an AWB as in flight. Returns a claim token, or null when another run holds the claim.
+const claimShipment = async (awb, runId = null) => {
+    const claimToken = crypto.randomUUID();
+    let connection;
+    try {
+        connection = await pool.getConnection();
+
+        // claimed_at is assigned last so the staleness checks above it see the old value
+        await connection.execute(`
+            INSERT INTO coverzy_inflight_shipments (awb, run_id, claim_token, claimed_at)
+            VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+            ON DUPLICATE KEY UPDATE
+                run_id = IF(claimed_at < (CURRENT_TIMESTAMP - INTERVAL ${INFLIGHT_STALE_MINUTES} MINUTE), VALUES(run_id), run_id),
+                claim_token = IF(claimed_at < (CURRENT_TIMESTAMP - INTERVAL ${INFLIGHT_STALE_MINUTES} MINUTE), VALUES(claim_token), claim_token),
+                claimed_at = IF(claimed_at < (CURRENT_TIMESTAMP - INTERVAL ${INFLIGHT_STALE_MINUTES} MINUTE), VALUES(claimed_at), claimed_at)
+        `, [awb, runId, claimToken]);
+
+        const [rows] = await connection.execute(
+            'SELECT claim_token, run_id, claimed_at FROM coverzy_inflight_shipments WHERE awb = ?',
+            [awb]
+        );
+
+        if (rows.length > 0 && rows[0].claim_token === claimToken) {
+            return { claimToken };
+        }
+
+        return { claimToken: null, heldBy: rows[0] ? { runId: rows[0].run_id, claimedAt: rows[0].claimed_at } : null };
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+// Remove the in-flight marker for an AWB (only if we still own it)
+const releaseShipmentClaim = async (awb, claimToken) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.execute(
+            'DELETE FROM coverzy_inflight_shipments WHERE awb = ? AND claim_token = ?',
+            [awb, claimToken]
+        );
+    } catch (error) {
+        // A leftover marker only blocks the AWB until it goes stale
+        console.error(`❌ Failed to release in-flight marker for AWB ${awb}:`, error.message);
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+module.exports = {
+    buildIdempotencyKey,
+    findInsuredShipment,
+    claimShipment,
+    releaseShipmentClaim
+};
@@ -0,0 +1,130 @@
+const pool = require('../config/db');
+
+// Valid shipments a run left uninsured because of max_shipments or a supplier quota (coverzy_skipped_shipments).
+// They stay pending until a later run for their date insures them, e.g. after the cap was raised; an AWB is
+// recorded once and its latest skip wins.
+
+const SKIPPED_SHIPMENT_STATUSES = {
+    PENDING: 'pending',
+    INSURED: 'insured'
+};
+
+/**
+ * Record the skipped shipments of a run. Each entry is { awb, reason, supplierId, valueUsd }, reason being
+ * 'max_shipments' or 'supplier_quota'. An AWB that was insured in the meantime stays insured.
+ */
+const saveSkippedShipments = async ({ runId, targetDate, strategy, shipments }) => {
+    if (shipments.length === 0) {
+        return;
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+
+        for (const shipment of shipments) {
+            await connection.execute(`
+                INSERT INTO coverzy_skipped_shipments (awb, target_date, run_id, reason, selection_strategy, supplier_id, value_usd)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+                ON DUPLICATE KEY UPDATE
+                    target_date = VALUES(target_date),
+                    run_id = VALUES(run_id),
+                    reason = VALUES(reason),
+                    selection_strategy = VALUES(selection_strategy),
+                    supplier_id = VALUES(supplier_id),
+                    value_usd = VALUES(value_usd),
+                    updated_at = CURRENT_TIMESTAMP
+            `, [
+                shipment.awb,
+                targetDate,
+                runId,
+                shipment.reason,
+                strategy,
+                shipment.supplierId ?? null,
+                shipment.valueUsd ?? null
+            ]);
+        }
+    } catch (error) {
+        console.error(`❌ Failed to record skipped shipments for ${targetDate}:`, error.message);
+        // The skip is also in the decision log, so the run goes on
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+// Mark a previously skipped AWB as insured under policyId (no-op for AWBs that were never skipped)
+const markSkippedShipmentInsured = async (awb, policyId) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.execute(`
+            UPDATE coverzy_skipped_shipments
+            SET status = ?, policy_id = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE awb = ?
+        `, [SKIPPED_SHIPMENT_STATUSES.INSURED, policyId, awb]);
+    } catch (error) {
+        console.error(`❌ Failed to mark skipped shipment ${awb} as insured:`, error.message);
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+// Query skipped shipments by target date and status (highest value first within a date, newest date first)
+const listSkippedShipments = async ({ date, status } = {}) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+
+        const conditions = [];
+        const params = [];
+
+        if (date) {
+            conditions.push('s.target_date = ?');
+            params.push(date);
+        }
+        if (status) {
+            conditions.push('s.status = ?');
+            params.push(status);
+        }
+
+        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const [rows] = await connection.execute(`
+            SELECT
+                s.id,
+                s.awb,
+                DATE_FORMAT(s.target_date, '%Y-%m-%d') AS target_date,
+                s.run_id,
+                s.reason,
+                s.selection_strategy,
+                s.supplier_id,
+                sup.display_name AS supplier_name,
+                s.value_usd,
+                s.status,
+                s.policy_id,
+                s.created_at,
+                s.updated_at
+            FROM coverzy_skipped_shipments s
+            LEFT JOIN coverzy_suppliers sup ON sup.id = s.supplier_id
+            ${whereClause}
+            ORDER BY s.target_date DESC, s.value_usd IS NULL, s.value_usd DESC, s.id ASC
+        `, params);
+
+        return rows.map(row => ({ ...row, value_usd: row.value_usd === null ? null : parseFloat(row.value_usd) }));
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+module.exports = {
+    SKIPPED_SHIPMENT_STATUSES,
+    saveSkippedShipments,
+    markSkippedShipmentInsured,
+    listSkippedShipments
+};
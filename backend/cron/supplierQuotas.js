@@ -0,0 +1,97 @@
+const pool = require('../config/db');
+const { addDays } = require('./businessTime');
+const { DECISION_OUTCOMES } = require('./decisionLog');
+
+// Per-supplier quotas (coverzy_suppliers.daily_quota / monthly_quota): the number of policies a supplier can get
+// for shipments of one day and of that day's calendar month. Policies already bought for those dates (accepted
+// decisions recorded with the supplier) count against them. Quotas are applied before the global max_shipments.
+
+const QUOTA_PERIODS = {
+    DAILY: 'daily',
+    MONTHLY: 'monthly'
+};
+
+// First day of date's month and of the month after it, e.g. 2025-12-15 -> ['2025-12-01', '2026-01-01']
+const getMonthBounds = (date) => {
+    const monthStart = `${date.slice(0, 7)}-01`;
+    return [monthStart, `${addDays(monthStart, 31).slice(0, 7)}-01`];
+};
+
+/**
+ * Policies already bought per supplier for shipments of date (YYYY-MM-DD) and of its month:
+ * Map of supplier id -> { day, month }. Suppliers without policies are absent.
+ */
+const loadSupplierUsage = async (date) => {
+    const [monthStart, nextMonthStart] = getMonthBounds(date);
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [rows] = await connection.execute(`
+            SELECT
+                JSON_EXTRACT(details, '$.supplierId') AS supplier_id,
+                COUNT(DISTINCT CASE WHEN target_date = ? THEN awb END) AS day_count,
+                COUNT(DISTINCT awb) AS month_count
+            FROM coverzy_awb_decisions
+            WHERE outcome = ?
+                AND target_date >= ? AND target_date < ?
+                AND JSON_TYPE(JSON_EXTRACT(details, '$.supplierId')) = 'INTEGER'
+            GROUP BY supplier_id
+        `, [date, DECISION_OUTCOMES.ACCEPTED, monthStart, nextMonthStart]);
+        return new Map(rows.map(row => [Number(row.supplier_id), { day: Number(row.day_count), month: Number(row.month_count) }]));
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+// The quota the supplier has used up given its counts, as { period, quota, used }, or null
+const findExhaustedQuota = (supplier, counts) => {
+    if (supplier.daily_quota !== null && supplier.daily_quota !== undefined && counts.day >= supplier.daily_quota) {
+        return { period: QUOTA_PERIODS.DAILY, quota: supplier.daily_quota, used: counts.day };
+    }
+    if (supplier.monthly_quota !== null && supplier.monthly_quota !== undefined && counts.month >= supplier.monthly_quota) {
+        return { period: QUOTA_PERIODS.MONTHLY, quota: supplier.monthly_quota, used: counts.month };
+    }
+    return null;
+};
+
+/**
+ * Split shipments, in order, into those within their supplier's quotas and those over them.
+ * getSupplier(shipment) returns the matched supplier row or null (shipments without one are never limited);
+ * usage is the loadSupplierUsage result. Returns { withinQuota, overQuota: [{ shipment, supplier, period, quota, used }] }.
+ */
+const applySupplierQuotas = (shipments, usage, getSupplier = shipment => (shipment.supplierMatch ? shipment.supplierMatch.supplier : null)) => {
+    const counts = new Map();
+    const withinQuota = [];
+    const overQuota = [];
+
+    for (const shipment of shipments) {
+        const supplier = getSupplier(shipment);
+        if (!supplier) {
+            withinQuota.push(shipment);
+            continue;
+        }
+
+        const supplierCounts = counts.get(supplier.id) || { ...(usage.get(Number(supplier.id)) || { day: 0, month: 0 }) };
+        counts.set(supplier.id, supplierCounts);
+
+        const exhausted = findExhaustedQuota(supplier, supplierCounts);
+        if (exhausted) {
+            overQuota.push({ shipment, supplier, ...exhausted });
+        } else {
+            supplierCounts.day++;
+            supplierCounts.month++;
+            withinQuota.push(shipment);
+        }
+    }
+
+    return { withinQuota, overQuota };
+};
+
+module.exports = {
+    QUOTA_PERIODS,
+    loadSupplierUsage,
+    applySupplierQuotas
+};
@@ -0,0 +1,287 @@
+const pool = require('../config/db');
+
+// Supplier master (coverzy_suppliers): the Lex customers whose shipments are insured. A shipment's customer
+// matches a supplier by Lex Customer_ID first, then by its company name being equal to the supplier's display
+// name or one of its aliases once both are normalized. There is no partial matching, so "GEMS" does not
+// match "AURA GEMSTONES".
+//
+// A supplier can override the global eligibility settings: allowed_countries and allowed_service_types narrow
+// what the global country list and carrier routes allow, min_shipment_value_usd replaces the global minimum,
+// and daily_quota / monthly_quota cap its policies (see supplierQuotas). NULL means the global setting applies.
+
+const SUPPLIER_FIELDS = ['customer_id', 'display_name', 'aliases', 'active'];
+const SUPPLIER_OVERRIDE_FIELDS = ['allowed_countries', 'allowed_service_types', 'min_shipment_value_usd', 'daily_quota', 'monthly_quota'];
+const SUPPLIER_QUOTA_FIELDS = ['daily_quota', 'monthly_quota'];
+const SUPPLIER_MATCH_METHODS = {
+    CUSTOMER_ID: 'customer_id',
+    ALIAS: 'alias'
+};
+const MAX_NAME_LENGTH = 255;
+
+// Case, punctuation and spacing are ignored: "R.K. International " -> "R K INTERNATIONAL"
+const normalizeSupplierName = (value) => String(value || '')
+    .toUpperCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+
+// "V T Gems, VT GEMS" or ['V T Gems', 'VT GEMS'] -> ['V T Gems', 'VT GEMS']; an array allows commas in a name
+const parseAliases = (value) => {
+    const aliases = Array.isArray(value) ? value : String(value || '').split(',');
+    return [...new Set(aliases.map(alias => String(alias).trim()).filter(Boolean))];
+};
+
+// "us, gb" or ['us', 'GB'] -> ['US', 'GB']; empty -> null (no override)
+const parseOverrideList = (value, { upperCase = false } = {}) => {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    const items = parseAliases(value).map(item => (upperCase ? item.toUpperCase() : item));
+    return items.length > 0 ? [...new Set(items)] : null;
+};
+
+const isUnset = (value) => value === null || value === undefined || value === '';
+
+const normalizeCustomerId = (value) => (value === null || value === undefined || String(value).trim() === ''
+    ? null
+    : String(value).trim());
+
+/**
+ * Returns an error message for invalid supplier values, or null.
+ * With partial: true only the fields that are provided are checked (PATCH-style updates).
+ */
+const validateSupplier = (values, { partial = false } = {}) => {
+    if (values.customer_id !== undefined && values.customer_id !== null) {
+        if (!['string', 'number'].includes(typeof values.customer_id) || String(values.customer_id).trim().length > 50) {
+            return 'customer_id must be the Lex Customer_ID (at most 50 characters) or null';
+        }
+    }
+    if (!partial || values.display_name !== undefined) {
+        if (typeof values.display_name !== 'string' || !normalizeSupplierName(values.display_name)
+            || values.display_name.trim().length > MAX_NAME_LENGTH) {
+            return `display_name is required and must be at most ${MAX_NAME_LENGTH} characters`;
+        }
+    }
+    if (values.aliases !== undefined && values.aliases !== null) {
+        if (!Array.isArray(values.aliases) && typeof values.aliases !== 'string') {
+            return 'aliases must be an array of company names or a comma-separated string';
+        }
+        const aliases = parseAliases(values.aliases);
+        if (aliases.some(alias => !normalizeSupplierName(alias) || alias.length > MAX_NAME_LENGTH)) {
+            return `each alias must contain a letter or digit and be at most ${MAX_NAME_LENGTH} characters`;
+        }
+    }
+    for (const field of ['allowed_countries', 'allowed_service_types']) {
+        if (isUnset(values[field])) {
+            continue;
+        }
+        if (!Array.isArray(values[field]) && typeof values[field] !== 'string') {
+            return `${field} must be an array, a comma-separated string or null`;
+        }
+        if ((parseOverrideList(values[field]) || []).join(',').length > 255) {
+            return `${field} must be at most 255 characters in total`;
+        }
+    }
+    if (!isUnset(values.min_shipment_value_usd)) {
+        const minimum = Number(values.min_shipment_value_usd);
+        if (isNaN(minimum) || minimum < 0) {
+            return 'min_shipment_value_usd must be a non-negative number or null';
+        }
+    }
+    for (const field of SUPPLIER_QUOTA_FIELDS) {
+        if (!isUnset(values[field]) && (!Number.isInteger(Number(values[field])) || Number(values[field]) < 1)) {
+            return `${field} must be a positive whole number of shipments or null`;
+        }
+    }
+    return null;
+};
+
+const formatSupplierRow = (row) => ({
+    ...row,
+    aliases: typeof row.aliases === 'string' ? JSON.parse(row.aliases) : row.aliases || [],
+    active: Boolean(row.active),
+    allowed_countries: parseOverrideList(row.allowed_countries),
+    allowed_service_types: parseOverrideList(row.allowed_service_types),
+    min_shipment_value_usd: isUnset(row.min_shipment_value_usd) ? null : parseFloat(row.min_shipment_value_usd),
+    daily_quota: isUnset(row.daily_quota) ? null : Number(row.daily_quota),
+    monthly_quota: isUnset(row.monthly_quota) ? null : Number(row.monthly_quota)
+});
+
+// Column values for the provided fields, converted for storage
+const toColumnValues = (values) => {
+    const columns = {};
+    for (const field of [...SUPPLIER_FIELDS, ...SUPPLIER_OVERRIDE_FIELDS]) {
+        if (values[field] === undefined) {
+            continue;
+        }
+        if (field === 'allowed_countries' || field === 'allowed_service_types') {
+            const items = parseOverrideList(values[field], { upperCase: field === 'allowed_countries' });
+            columns[field] = items ? items.join(',') : null;
+        } else if (field === 'min_shipment_value_usd' || SUPPLIER_QUOTA_FIELDS.includes(field)) {
+            columns[field] = isUnset(values[field]) ? null : Number(values[field]);
+        } else if (field === 'customer_id') {
+            columns[field] = normalizeCustomerId(values[field]);
+        } else if (field === 'aliases') {
+            columns[field] = JSON.stringify(parseAliases(values[field]));
+        } else if (field === 'active') {
+            columns[field] = values[field] === true || values[field] === 'true' || values[field] === 1 ? 1 : 0;
+        } else {
+            columns[field] = String(values[field]).trim();
+        }
+    }
+    return columns;
+};
+
+const listSuppliers = async ({ activeOnly = false } = {}) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [rows] = await connection.execute(`
+            SELECT * FROM coverzy_suppliers
+            ${activeOnly ? 'WHERE active = 1' : ''}
+            ORDER BY display_name ASC
+        `);
+        return rows.map(formatSupplierRow);
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+const getSupplier = async (supplierId) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [rows] = await connection.execute('SELECT * FROM coverzy_suppliers WHERE id = ?', [supplierId]);
+        return rows.length > 0 ? formatSupplierRow(rows[0]) : null;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+// Normalized display name and aliases of a supplier
+const getSupplierNames = (supplier) => [supplier.display_name, ...(supplier.aliases || [])]
+    .map(normalizeSupplierName)
+    .filter(Boolean);
+
+/**
+ * An active supplier that shares a normalized name with the given (merged) values, or null.
+ * Two active suppliers answering to one company name would make the alias match ambiguous.
+ * Customer ids are unique in the table itself.
+ */
+const findConflictingSupplier = async (values, excludeId = null) => {
+    if (!values.active) {
+        return null;
+    }
+    const names = getSupplierNames({ display_name: values.display_name, aliases: parseAliases(values.aliases) });
+    const suppliers = await listSuppliers({ activeOnly: true });
+    return suppliers.find(supplier =>
+        String(supplier.id) !== String(excludeId) &&
+        getSupplierNames(supplier).some(name => names.includes(name))
+    ) || null;
+};
+
+// Insert a supplier, returns its id
+const createSupplier = async (values) => {
+    const columns = {
+        active: 1,
+        aliases: '[]',
+        ...toColumnValues(values)
+    };
+    const names = Object.keys(columns);
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [result] = await connection.execute(`
+            INSERT INTO coverzy_suppliers (${names.join(', ')})
+            VALUES (${names.map(() => '?').join(', ')})
+        `, Object.values(columns));
+        return result.insertId;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+// Update the provided fields, returns false if the supplier does not exist
+const updateSupplier = async (supplierId, values) => {
+    const columns = toColumnValues(values);
+    const names = Object.keys(columns);
+    if (names.length === 0) {
+        return (await getSupplier(supplierId)) !== null;
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [result] = await connection.execute(`
+            UPDATE coverzy_suppliers
+            SET ${names.map(name => `${name} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [...Object.values(columns), supplierId]);
+        return result.affectedRows > 0;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+// Returns false if the supplier does not exist
+const deleteSupplier = async (supplierId) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [result] = await connection.execute('DELETE FROM coverzy_suppliers WHERE id = ?', [supplierId]);
+        return result.affectedRows > 0;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+/**
+ * The active supplier a Lex customer belongs to among suppliers loaded by listSuppliers, as
+ * { supplier, method, matchedOn }, or null. method is 'customer_id' when the Customer_ID is registered
+ * and 'alias' when only the company name matched. A blank company name never matches.
+ */
+const matchSupplier = (suppliers, customerId, companyName) => {
+    const activeSuppliers = (suppliers || []).filter(supplier => supplier.active);
+
+    const normalizedId = normalizeCustomerId(customerId);
+    if (normalizedId) {
+        const supplier = activeSuppliers.find(candidate => normalizeCustomerId(candidate.customer_id) === normalizedId);
+        if (supplier) {
+            return { supplier, method: SUPPLIER_MATCH_METHODS.CUSTOMER_ID, matchedOn: normalizedId };
+        }
+    }
+
+    const name = normalizeSupplierName(companyName);
+    if (name) {
+        const supplier = activeSuppliers.find(candidate => getSupplierNames(candidate).includes(name));
+        if (supplier) {
+            return { supplier, method: SUPPLIER_MATCH_METHODS.ALIAS, matchedOn: companyName };
+        }
+    }
+    return null;
+};
+
+module.exports = {
+    SUPPLIER_FIELDS,
+    SUPPLIER_OVERRIDE_FIELDS,
+    SUPPLIER_MATCH_METHODS,
+    normalizeSupplierName,
+    validateSupplier,
+    listSuppliers,
+    getSupplier,
+    findConflictingSupplier,
+    createSupplier,
+    updateSupplier,
+    deleteSupplier,
+    matchSupplier
+};
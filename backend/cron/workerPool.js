@@ -0,0 +1,25 @@
+/**
+ * Run `worker(item, index)` over items with at most `concurrency` in flight.
+ * Workers stop picking up new items once `shouldStop()` returns true (items already started finish).
+ * Resolves to the worker results in input order; items never started are left undefined.
+ */
+const runWithConcurrency = async (items, concurrency, worker, options = {}) => {
+    const { shouldStop = () => false } = options;
+    const results = new Array(items.length);
+    const workerCount = Math.max(1, Math.min(parseInt(concurrency) || 1, items.length));
+    let nextIndex = 0;
+
+    const runWorker = async () => {
+        while (nextIndex < items.length && !shouldStop()) {
+            const index = nextIndex++;
+            results[index] = await worker(items[index], index);
+        }
+    };
+
+    await Promise.all(Array.from({ length: workerCount }, runWorker));
+    return results;
+};
+
+module.exports = {
+    runWithConcurrency
+};
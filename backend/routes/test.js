@@ -1,11 +1,26 @@
 const express = require('express');
 const router = express.Router();
 const CoverzySettingsController = require('../controller/coverzySettingsController');
-
-// Authentication middleware using BEARER_TOKEN from env
-const authenticateToken = (req, res, next) => {
+const CoverzyRunsController = require('../controller/coverzyRunsController');
+const CoverzyDecisionsController = require('../controller/coverzyDecisionsController');
+const CoverzyJobsController = require('../controller/coverzyJobsController');
+const CoverzyEventsController = require('../controller/coverzyEventsController');
+const CoverzyBackfillsController = require('../controller/coverzyBackfillsController');
+const CoverzySchedulesController = require('../controller/coverzySchedulesController');
+const CoverzyEligibilityController = require('../controller/coverzyEligibilityController');
+const CoverzyRulesController = require('../controller/coverzyRulesController');
+const CoverzyCarrierRoutesController = require('../controller/coverzyCarrierRoutesController');
+const CoverzyHolidaysController = require('../controller/coverzyHolidaysController');
+const CoverzyFxRatesController = require('../controller/coverzyFxRatesController');
+const CoverzySuppliersController = require('../controller/coverzySuppliersController');
+const CoverzySkippedShipmentsController = require('../controller/coverzySkippedShipmentsController');
+
+// Authentication middleware using BEARER_TOKEN from env.
+// allowQueryToken also accepts ?token=, for EventSource clients which cannot set headers; anywhere else
+// the token would end up in proxy and access logs and browser history, so only the event stream uses it
+const buildAuthMiddleware = ({ allowQueryToken = false } = {}) => (req, res, next) => {
     const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+    const token = (authHeader && authHeader.split(' ')[1]) || (allowQueryToken ? req.query.token : undefined);
     
     if (!token) {
         return res.status(401).json({
@@ -26,7 +41,13 @@ const authenticateToken = (req, res, next) => {
     next();
 };
 
-// Apply authentication middleware to all routes
+const authenticateToken = buildAuthMiddleware();
+const authenticateEventStream = buildAuthMiddleware({ allowQueryToken: true });
+
+// Live run progress stream (Server-Sent Events), registered ahead of the header-only middleware below
+router.get('/events', authenticateEventStream, CoverzyEventsController.streamRunEvents);
+
+// Apply authentication middleware to all other routes (Authorization header only)
 router.use(authenticateToken);
 
 
@@ -46,6 +67,16 @@ router.patch('/coverzy-settings', CoverzySettingsController.updatePartialSetting
 // Reset settings to defaults
 router.post('/coverzy-settings/reset', CoverzySettingsController.resetToDefaults);
 
+// Daily cron schedule with the next run time
+router.get('/coverzy-settings/schedule', CoverzySettingsController.getSchedule);
+
+// Named schedules (extra run windows besides the daily cip_time run)
+router.get('/schedules', CoverzySchedulesController.getSchedules);
+router.get('/schedules/:id', CoverzySchedulesController.getScheduleById);
+router.post('/schedules', CoverzySchedulesController.createSchedule);
+router.patch('/schedules/:id', CoverzySchedulesController.updateSchedule);
+router.delete('/schedules/:id', CoverzySchedulesController.deleteSchedule);
+
 // Email service management endpoints
 // Get email service status
 router.get('/email/status', CoverzySettingsController.getEmailStatus);
@@ -53,12 +84,32 @@ router.get('/email/status', CoverzySettingsController.getEmailStatus);
 // Toggle email service on/off
 router.post('/email/toggle', CoverzySettingsController.toggleEmailService);
 
+// Kill switch for automated insurance purchasing
+router.get('/processing/status', CoverzySettingsController.getProcessingStatus);
+router.post('/processing/pause', CoverzySettingsController.pauseProcessing);
+router.post('/processing/resume', CoverzySettingsController.resumeProcessing);
+
 // Health check endpoint
 router.get('/health', CoverzySettingsController.healthCheck);
 
-// Run Coverzy Cron Process manually
+// Run Coverzy Cron Process manually (returns a job id immediately)
 router.post('/run-coverzy-process', CoverzySettingsController.runCoverzyProcess);
 
+// Background job status and cancellation
+router.get('/jobs', CoverzyJobsController.getJobs);
+router.get('/jobs/:id', CoverzyJobsController.getJobById);
+router.post('/jobs/:id/cancel', CoverzyJobsController.cancelJob);
+
+// Multi-day backfill (body: fromdate, todate as YYYY-MM-DD), resumable per day
+router.post('/backfills', CoverzyBackfillsController.createBackfill);
+router.get('/backfills', CoverzyBackfillsController.getBackfills);
+router.get('/backfills/:id', CoverzyBackfillsController.getBackfillById);
+router.post('/backfills/:id/resume', CoverzyBackfillsController.resumeBackfill);
+
+// Missed-run catch-up: status and confirmation (catch_up_mode = confirm)
+router.get('/catch-up', CoverzyBackfillsController.getCatchUpStatus);
+router.post('/catch-up/confirm', CoverzyBackfillsController.confirmCatchUp);
+
 // Get all processed shipments
 router.get('/shipments', CoverzySettingsController.getAllShipments);
 
@@ -71,6 +122,71 @@ router.put('/shipments/update-pdf', CoverzySettingsController.updateShipmentPdfU
 // Filter shipments by date range and optionally by supplier name
 router.post('/shipments/filter', CoverzySettingsController.getShipmentsFiltered);
 
+// Validate and insure a single AWB now (body: { force, dryRun })
+router.post('/shipments/:awb/process', CoverzySettingsController.processSingleShipment);
+
+// Run ledger (audit history of processing runs)
+router.get('/runs', CoverzyRunsController.getRuns);
+
+// Get a single run by id
+router.get('/runs/:id', CoverzyRunsController.getRunById);
+
+// Per-AWB decision log (query by ?date=YYYY-MM-DD or ?run_id=, optional &outcome=)
+router.get('/decisions', CoverzyDecisionsController.getDecisions);
+
+// Decision history for a single AWB
+router.get('/decisions/:awb', CoverzyDecisionsController.getDecisionsByAWB);
+
+// Eligibility preview: per-AWB rule results for a day under the current settings (?date=YYYY-MM-DD),
+// run as a background job: returns a job id to poll under /jobs/:id
+router.get('/eligibility', CoverzyEligibilityController.getEligibility);
+
+// Validation rules: order, enabled flag and params (body for PATCH: enabled, sort_order, params)
+router.get('/rules', CoverzyRulesController.getRules);
+router.patch('/rules/:id', CoverzyRulesController.updateRule);
+
+// Carrier routes: destination aliases + service type -> carrier code and delivery business days
+router.get('/carrier-routes', CoverzyCarrierRoutesController.getCarrierRoutes);
+router.get('/carrier-routes/:id', CoverzyCarrierRoutesController.getCarrierRouteById);
+router.post('/carrier-routes', CoverzyCarrierRoutesController.createCarrierRoute);
+router.patch('/carrier-routes/:id', CoverzyCarrierRoutesController.updateCarrierRoute);
+router.delete('/carrier-routes/:id', CoverzyCarrierRoutesController.deleteCarrierRoute);
+
+// Holiday calendars per destination country, skipped by the ETA calculation (?country=US&year=2025 for GET)
+router.get('/holidays', CoverzyHolidaysController.getHolidays);
+router.get('/holidays/:id', CoverzyHolidaysController.getHolidayById);
+router.post('/holidays', CoverzyHolidaysController.createHoliday);
+router.patch('/holidays/:id', CoverzyHolidaysController.updateHoliday);
+router.delete('/holidays/:id', CoverzyHolidaysController.deleteHoliday);
+
+// Import an iCal or CSV holiday calendar: the raw file as text/calendar or text/csv (?country_code=&format=&replace=),
+// or JSON (body: country_code, format, content, replace). Raw files may be larger than the app-wide JSON limit
+router.post(
+    '/holidays/import',
+    express.text({ type: ['text/calendar', 'text/csv', 'text/plain'], limit: '5mb' }),
+    CoverzyHolidaysController.importHolidays
+);
+
+// Dated exchange rates used to convert shipment values (manual overrides via POST, provider refresh via /refresh)
+router.get('/fx-rates', CoverzyFxRatesController.getFxRates);
+router.get('/fx-rates/effective', CoverzyFxRatesController.getEffectiveFxRate);
+router.post('/fx-rates', CoverzyFxRatesController.setManualFxRate);
+router.post('/fx-rates/refresh', CoverzyFxRatesController.refreshFxRates);
+router.delete('/fx-rates/:id', CoverzyFxRatesController.deleteFxRate);
+
+// Supplier master: Lex customer id, display name and aliases matched exactly by the supplier rule,
+// plus per-supplier overrides (countries, service types, minimum value, daily/monthly quotas)
+router.get('/suppliers', CoverzySuppliersController.getSuppliers);
+router.get('/suppliers/:id', CoverzySuppliersController.getSupplierById);
+router.post('/suppliers', CoverzySuppliersController.createSupplier);
+router.patch('/suppliers/:id', CoverzySuppliersController.updateSupplier);
+router.delete('/suppliers/:id', CoverzySuppliersController.deleteSupplier);
+
+// Valid shipments left uninsured by max_shipments or a supplier quota (?date=YYYY-MM-DD, ?status=pending|insured),
+// and a re-run of their date to insure them once the limits allow (body: { date })
+router.get('/skipped-shipments', CoverzySkippedShipmentsController.getSkippedShipments);
+router.post('/skipped-shipments/insure', CoverzySkippedShipmentsController.insureSkippedShipments);
+
 
 
 module.exports = router; 
\ No newline at end of file
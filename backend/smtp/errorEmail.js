@@ -1,5 +1,6 @@
 const nodemailer = require('nodemailer');
 const pool = require('../config/db');
+const { BUSINESS_TIMEZONE, formatBusinessDateTime } = require('../cron/businessTime');
 require('dotenv').config();
 
 // === Email Configuration ===
@@ -137,7 +138,7 @@ const sendCronErrorEmail = async (errorData) => {
                     <p><strong>Execution Date:</strong> ${executionDate}</p>
                     <p><strong>Error Type:</strong> ${errorType}</p>
                     <p><strong>Error Message:</strong> ${errorMessage}</p>
-                    <p class="timestamp"><strong>Alert Time:</strong> ${new Date().toLocaleString()}</p>
+                    <p class="timestamp"><strong>Alert Time:</strong> ${formatBusinessDateTime()}</p>
                 </div>
 
                 <div class="stats">
@@ -203,7 +204,7 @@ Job Name: ${jobName}
 Execution Date: ${executionDate}
 Error Type: ${errorType}
 Error Message: ${errorMessage}
-Alert Time: ${new Date().toLocaleString()}
+Alert Time: ${formatBusinessDateTime()}
 
 STATISTICS:
 - Total Shipments: ${totalShipments}
@@ -317,7 +318,8 @@ const sendDailySummaryEmail = async (summaryData) => {
             processedShipments, 
             successfulShipments,
             failedValidation,
-            failedProcessing
+            failedProcessing,
+            cipTime
         } = summaryData;
 
         const subject = `✅ Daily Coverzy Processing Summary - ${executionDate}`;
@@ -346,7 +348,7 @@ const sendDailySummaryEmail = async (summaryData) => {
                 <div class="summary">
                     <h3>Processing Summary</h3>
                     <p><strong>Execution Date:</strong> ${executionDate}</p>
-                    <p><strong>Completion Time:</strong> ${new Date().toLocaleString()}</p>
+                    <p><strong>Completion Time:</strong> ${formatBusinessDateTime()}</p>
                 </div>
 
                 <div class="stats">
@@ -377,7 +379,7 @@ const sendDailySummaryEmail = async (summaryData) => {
 
             <div class="footer">
                 <p>LexCoverzy Automated Processing System</p>
-                <p>Next scheduled run: Tomorrow at 11:00 AM IST</p>
+                <p>Next scheduled run: ${cipTime ? `Tomorrow at ${cipTime.slice(0, 5)} (${BUSINESS_TIMEZONE})` : 'Tomorrow'}</p>
             </div>
         </body>
         </html>
@@ -412,9 +414,131 @@ const sendDailySummaryEmail = async (summaryData) => {
     }
 };
 
+// Send notice that missed daily runs were found at startup (queued automatically or awaiting confirmation)
+const sendCatchUpNoticeEmail = async (noticeData) => {
+    try {
+        // Check if email service is enabled
+        const emailSettings = await getEmailSettings();
+        
+        if (!emailSettings) {
+            console.log('❌ Email settings not found in database');
+            return {
+                success: false,
+                error: 'Email settings not found in database'
+            };
+        }
+        
+        if (!emailSettings.emailEnabled) {
+            console.log('📧 Email service is disabled - skipping catch-up notice');
+            return {
+                success: false,
+                error: 'Email service is disabled',
+                skipped: true
+            };
+        }
+        
+        const transporter = createEmailTransporter();
+        
+        const {
+            mode,
+            backfillId,
+            missedDates,
+            lastSuccessfulDate,
+            droppedDates = []
+        } = noticeData;
+        
+        const awaitingConfirmation = mode === 'confirm';
+        const subject = awaitingConfirmation
+            ? `⏸️ Coverzy Catch-up Awaiting Confirmation - ${missedDates.length} missed day(s)`
+            : `🔁 Coverzy Catch-up Started - ${missedDates.length} missed day(s)`;
+        
+        const htmlBody = `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <style>
+                body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+                .header { background-color: #fd7e14; color: white; padding: 20px; text-align: center; }
+                .content { padding: 20px; }
+                .summary { background-color: #f8f9fa; padding: 15px; border-left: 4px solid #fd7e14; margin: 20px 0; }
+                .date-list { background-color: #fff3cd; padding: 15px; border-radius: 5px; margin: 10px 0; }
+                .footer { background-color: #6c757d; color: white; padding: 15px; text-align: center; margin-top: 30px; }
+            </style>
+        </head>
+        <body>
+            <div class="header">
+                <h1>${awaitingConfirmation ? '⏸️ Missed Runs Awaiting Confirmation' : '🔁 Missed Runs Catch-up'}</h1>
+                <p>The server was down when the daily Coverzy run was due</p>
+            </div>
+            
+            <div class="content">
+                <div class="summary">
+                    <h3>Catch-up Summary</h3>
+                    <p><strong>Last Successful Run Date:</strong> ${lastSuccessfulDate}</p>
+                    <p><strong>Missed Days:</strong> ${missedDates.length}</p>
+                    <p><strong>Backfill ID:</strong> ${backfillId}</p>
+                    <p><strong>Detected At:</strong> ${formatBusinessDateTime()}</p>
+                </div>
+
+                <div class="date-list">
+                    <h4>Dates ${awaitingConfirmation ? 'waiting to be processed' : 'being processed'}</h4>
+                    <ul>
+                        ${missedDates.map(date => `<li>${date}</li>`).join('')}
+                    </ul>
+                </div>
+
+                ${droppedDates.length > 0 ? `
+                <div class="date-list">
+                    <h4>⚠️ Older missed dates not included (${droppedDates.length})</h4>
+                    <p>These exceed the catch-up limit and need a manual backfill: ${droppedDates[0]} to ${droppedDates[droppedDates.length - 1]}</p>
+                </div>
+                ` : ''}
+
+                <p>${awaitingConfirmation
+                    ? `Confirm the catch-up with <strong>POST /api/v1/catch-up/confirm</strong> (or resume backfill ${backfillId}) to process these dates.`
+                    : 'Each day is processed like the daily run; a daily summary email follows for every date.'}</p>
+            </div>
+
+            <div class="footer">
+                <p>LexCoverzy Automated Processing System</p>
+            </div>
+        </body>
+        </html>
+        `;
+
+        const fromAddress = process.env.MAIL_FROM_ADDRESS || process.env.MAIL_USERNAME;
+        const adminEmails = emailSettings.adminEmails;
+        
+        if (!adminEmails || adminEmails.length === 0) {
+            console.error('❌ Cannot send catch-up notice: No admin emails found in coverzy_settings');
+            return {
+                success: false,
+                error: 'No admin emails configured in coverzy_settings'
+            };
+        }
+        
+        const mailOptions = {
+            from: `"LexCoverzy Alerts" <${fromAddress}>`,
+            to: adminEmails.join(','),
+            subject: subject,
+            html: htmlBody
+        };
+
+        const info = await transporter.sendMail(mailOptions);
+        console.log(`✅ Catch-up notice sent successfully to ${adminEmails.length} recipients:`, info.messageId);
+        
+        return { success: true, messageId: info.messageId };
+
+    } catch (error) {
+        console.error('❌ Failed to send catch-up notice:', error.message);
+        return { success: false, error: error.message };
+    }
+};
+
 module.exports = {
     sendCronErrorEmail,
     sendDailySummaryEmail,
+    sendCatchUpNoticeEmail,
     createEmailTransporter,
     getAdminEmail,
     getEmailSettings
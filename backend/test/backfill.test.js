@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_BACKFILL_DAYS, listDatesInRange, validateBackfillRange } = require('../cron/backfill');
+
+test('listDatesInRange lists every day inclusive, across month ends', () => {
+    assert.deepEqual(listDatesInRange('2025-02-27', '2025-03-02'), ['2025-02-27', '2025-02-28', '2025-03-01', '2025-03-02']);
+    assert.deepEqual(listDatesInRange('2024-02-28', '2024-03-01'), ['2024-02-28', '2024-02-29', '2024-03-01']);
+    assert.deepEqual(listDatesInRange('2025-03-05', '2025-03-05'), ['2025-03-05']);
+    assert.deepEqual(listDatesInRange('2025-03-06', '2025-03-05'), []);
+});
+
+test('listDatesInRange does not skip or repeat days around DST changes', () => {
+    const dates = listDatesInRange('2025-03-28', '2025-04-01');
+    assert.deepEqual(dates, ['2025-03-28', '2025-03-29', '2025-03-30', '2025-03-31', '2025-04-01']);
+});
+
+test('validateBackfillRange accepts a valid range', () => {
+    assert.equal(validateBackfillRange('2025-01-01', '2025-01-10'), null);
+    assert.equal(validateBackfillRange('2025-01-01', '2025-01-01'), null);
+});
+
+test('validateBackfillRange rejects missing and malformed dates', () => {
+    assert.match(validateBackfillRange(undefined, '2025-01-10'), /valid dates in YYYY-MM-DD format/);
+    assert.match(validateBackfillRange('2025-01-01', null), /valid dates in YYYY-MM-DD format/);
+    assert.match(validateBackfillRange('01-01-2025', '2025-01-10'), /valid dates in YYYY-MM-DD format/);
+    assert.match(validateBackfillRange('2025-1-1', '2025-01-10'), /valid dates in YYYY-MM-DD format/);
+});
+
+test('validateBackfillRange rejects impossible calendar dates instead of rolling them over', () => {
+    assert.match(validateBackfillRange('2025-02-30', '2025-03-02'), /valid dates/);
+    assert.match(validateBackfillRange('2025-02-01', '2025-02-29'), /valid dates/);
+    assert.match(validateBackfillRange('2025-13-01', '2025-13-02'), /valid dates/);
+    assert.equal(validateBackfillRange('2024-02-29', '2024-03-01'), null);
+});
+
+test('validateBackfillRange rejects a reversed range', () => {
+    assert.equal(validateBackfillRange('2025-01-10', '2025-01-01'), 'fromdate must not be after todate');
+});
+
+test('validateBackfillRange caps the number of days', () => {
+    const fromDate = '2025-01-01';
+    const lastAllowed = listDatesInRange(fromDate, '2025-12-31')[MAX_BACKFILL_DAYS - 1];
+    const firstTooMany = listDatesInRange(fromDate, '2025-12-31')[MAX_BACKFILL_DAYS];
+    assert.equal(validateBackfillRange(fromDate, lastAllowed), null);
+    assert.equal(validateBackfillRange(fromDate, firstTooMany), `A backfill can cover at most ${MAX_BACKFILL_DAYS} days`);
+});
@@ -0,0 +1,110 @@
+process.env.BUSINESS_TIMEZONE = 'Asia/Kolkata';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const pool = require('../config/db');
+const { MAX_BACKFILL_DAYS, listDatesInRange } = require('../cron/backfill');
+const { getLatestExpectedTargetDate, listMissedDates, findMissedDates } = require('../cron/catchUp');
+
+const history = (successfulDates) => ({
+    firstDate: successfulDates.length > 0 ? [...successfulDates].sort()[0] : null,
+    lastDate: successfulDates.length > 0 ? [...successfulDates].sort().pop() : null,
+    successfulDates: new Set(successfulDates)
+});
+
+// Serve the coverzy_runs queries of getDailyRunHistory from a list of runs
+const stubRuns = (t, runs) => {
+    const queries = [];
+    const isDailyRun = (run) => run.status === 'completed' && !run.dry_run
+        && ['cron', 'catch_up'].includes(run.trigger_type) && run.schedule_id === null;
+    t.mock.method(pool, 'getConnection', async () => ({
+        execute: async (sql, params = []) => {
+            queries.push(sql);
+            assert.match(sql, /trigger_type IN \('cron', 'catch_up'\) AND schedule_id IS NULL/);
+            const dates = runs.filter(isDailyRun).map(run => run.target_date).sort();
+            if (/MIN\(target_date\)/.test(sql)) {
+                return [[{ first_date: dates[0] || null, last_date: dates[dates.length - 1] || null }]];
+            }
+            return [[...new Set(dates.filter(date => date >= params[0]))].map(date => ({ target_date: date }))];
+        },
+        release: () => {}
+    }));
+    return queries;
+};
+
+const dailyRun = (targetDate, overrides = {}) => ({
+    target_date: targetDate,
+    status: 'completed',
+    dry_run: 0,
+    trigger_type: 'cron',
+    schedule_id: null,
+    ...overrides
+});
+
+test('getLatestExpectedTargetDate is the day before today once cip_time has passed in the business timezone', () => {
+    // 05:00Z is 10:30 in Kolkata, 06:00Z is 11:30
+    assert.equal(getLatestExpectedTargetDate('11:00:00', new Date('2026-10-19T05:00:00Z')), '2026-10-17');
+    assert.equal(getLatestExpectedTargetDate('11:00:00', new Date('2026-10-19T06:00:00Z')), '2026-10-18');
+    // 19:15Z on the 18th is already 00:45 on the 19th in Kolkata
+    assert.equal(getLatestExpectedTargetDate('00:30:00', new Date('2026-10-18T19:15:00Z')), '2026-10-18');
+});
+
+test('listMissedDates reports nothing without any successful daily run', () => {
+    assert.deepEqual(listMissedDates(history([]), '2026-10-18'), { missedDates: [], droppedDates: [] });
+});
+
+test('listMissedDates reports nothing when every expected day has a successful run', () => {
+    const dates = listDatesInRange('2026-10-10', '2026-10-18');
+    assert.deepEqual(listMissedDates(history(dates), '2026-10-18'), { missedDates: [], droppedDates: [] });
+});
+
+test('listMissedDates finds gaps before the latest successful run, not just after it', () => {
+    const result = listMissedDates(history(['2026-10-10', '2026-10-11', '2026-10-14', '2026-10-18']), '2026-10-18');
+    assert.deepEqual(result.missedDates, ['2026-10-12', '2026-10-13', '2026-10-15', '2026-10-16', '2026-10-17']);
+    assert.deepEqual(result.droppedDates, []);
+});
+
+test('listMissedDates starts at the first successful daily run', () => {
+    const result = listMissedDates(history(['2026-10-16']), '2026-10-18');
+    assert.deepEqual(result.missedDates, ['2026-10-17', '2026-10-18']);
+});
+
+test('listMissedDates keeps the latest MAX_BACKFILL_DAYS missed dates and drops older ones', () => {
+    const latestExpectedDate = '2026-10-18';
+    const result = listMissedDates(history(['2026-08-01']), latestExpectedDate);
+    const missed = listDatesInRange('2026-08-02', latestExpectedDate);
+
+    assert.equal(result.missedDates.length, MAX_BACKFILL_DAYS);
+    assert.equal(result.missedDates[result.missedDates.length - 1], latestExpectedDate);
+    assert.deepEqual([...result.droppedDates, ...result.missedDates], missed);
+});
+
+test('findMissedDates is not fooled by a later manual, on-demand or named-schedule run', async (t) => {
+    const queries = stubRuns(t, [
+        dailyRun('2026-10-14'),
+        dailyRun('2026-10-15', { trigger_type: 'catch_up' }),
+        dailyRun('2026-10-18', { trigger_type: 'manual' }),
+        dailyRun('2026-10-17', { schedule_id: 3 }),
+        dailyRun('2026-10-16', { dry_run: 1 }),
+        dailyRun('2026-10-16', { status: 'failed' })
+    ]);
+
+    const result = await findMissedDates('11:00:00', new Date('2026-10-19T06:00:00Z'));
+
+    assert.equal(queries.length, 2);
+    assert.deepEqual(result, {
+        lastSuccessfulDate: '2026-10-15',
+        latestExpectedDate: '2026-10-18',
+        missedDates: ['2026-10-16', '2026-10-17', '2026-10-18'],
+        droppedDates: []
+    });
+});
+
+test('findMissedDates reports nothing when the daily runs are up to date', async (t) => {
+    stubRuns(t, listDatesInRange('2026-10-01', '2026-10-18').map(date => dailyRun(date)));
+
+    const result = await findMissedDates('11:00:00', new Date('2026-10-19T06:00:00Z'));
+
+    assert.deepEqual(result.missedDates, []);
+    assert.equal(result.lastSuccessfulDate, '2026-10-18');
+});
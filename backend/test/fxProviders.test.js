@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRateDocuments } = require('../cron/fxProviders');
+
+test('parseRateDocuments flattens one document into rows for the base currency', () => {
+    const rows = parseRateDocuments({ base: 'USD', date: '2025-01-10', rates: { INR: 84.1, eur: '0.95' } }, 'USD');
+
+    assert.deepEqual(rows, [
+        { base_currency: 'USD', quote_currency: 'INR', effective_date: '2025-01-10', rate: 84.1 },
+        { base_currency: 'USD', quote_currency: 'EUR', effective_date: '2025-01-10', rate: 0.95 }
+    ]);
+});
+
+test('parseRateDocuments flattens a history of documents', () => {
+    const rows = parseRateDocuments([
+        { base: 'usd', date: '2025-01-09', rates: { INR: 84 } },
+        { base: 'USD', date: '2025-01-10', rates: { INR: 84.1 } }
+    ], 'USD');
+
+    assert.deepEqual(rows.map(row => [row.effective_date, row.rate]), [['2025-01-09', 84], ['2025-01-10', 84.1]]);
+});
+
+test('parseRateDocuments skips other bases, invalid dates and unusable rates', () => {
+    const rows = parseRateDocuments([
+        null,
+        { base: 'EUR', date: '2025-01-10', rates: { INR: 90 } },
+        { base: 'USD', date: '2025-02-30', rates: { INR: 84 } },
+        { base: 'USD', date: '10/01/2025', rates: { INR: 84 } },
+        { base: 'USD', date: '2025-01-10' },
+        { base: 'USD', date: '2025-01-11', rates: { INR: 0, GBP: -1, JPY: 'n/a', USD: 1, EUR: 0.95 } }
+    ], 'USD');
+
+    assert.deepEqual(rows, [{ base_currency: 'USD', quote_currency: 'EUR', effective_date: '2025-01-11', rate: 0.95 }]);
+});
+
+test('parseRateDocuments returns no rows for an empty response', () => {
+    assert.deepEqual(parseRateDocuments(undefined, 'USD'), []);
+    assert.deepEqual(parseRateDocuments([], 'USD'), []);
+});
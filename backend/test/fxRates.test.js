@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const pool = require('../config/db');
+const { validateFxRate, createFxRateCache, ensureFxRates, findRateForDate, findUsdRate } = require('../cron/fxRates');
+
+const fxRate = (base_currency, quote_currency, effective_date, rate, source = 'http') =>
+    ({ base_currency, quote_currency, effective_date, rate, source });
+
+const RATES = [
+    fxRate('USD', 'INR', '2025-01-01', 83),
+    fxRate('USD', 'INR', '2025-01-10', 84),
+    fxRate('USD', 'INR', '2025-01-20', 85),
+    fxRate('EUR', 'USD', '2025-01-05', 1.1, 'manual'),
+    fxRate('USD', 'EUR', '2025-01-01', 0.95)
+];
+
+test('findRateForDate returns the latest rate dated on or before the date', () => {
+    assert.equal(findRateForDate(RATES, '2025-01-10', 'USD', 'INR').rate, 84);
+    assert.equal(findRateForDate(RATES, '2025-01-15', 'USD', 'INR').rate, 84);
+    assert.equal(findRateForDate(RATES, '2025-02-01', 'USD', 'INR').rate, 85);
+    assert.equal(findRateForDate(RATES, '2025-01-15').rate, 84);
+});
+
+test('findRateForDate returns null before the first rate or for an unknown pair', () => {
+    assert.equal(findRateForDate(RATES, '2024-12-31', 'USD', 'INR'), null);
+    assert.equal(findRateForDate(RATES, '2025-01-15', 'USD', 'GBP'), null);
+    assert.equal(findRateForDate(null, '2025-01-15', 'USD', 'INR'), null);
+});
+
+test('findUsdRate is 1 for USD', () => {
+    assert.deepEqual(findUsdRate([], 'USD', '2025-01-15'), { rate: 1, effective_date: null, source: 'identity' });
+});
+
+test('findUsdRate uses the direct rate unless the inverse rate is dated later', () => {
+    assert.equal(findUsdRate(RATES, 'INR', '2025-01-15').rate, 84);
+
+    const beforeInverse = findUsdRate(RATES, 'EUR', '2025-01-03');
+    assert.equal(beforeInverse.rate, 0.95);
+    assert.equal(beforeInverse.effective_date, '2025-01-01');
+
+    const inverse = findUsdRate(RATES, 'EUR', '2025-01-15');
+    assert.equal(inverse.rate, 1 / 1.1);
+    assert.equal(inverse.effective_date, '2025-01-05');
+    assert.equal(inverse.source, 'manual');
+    assert.equal(inverse.base_currency, 'EUR');
+});
+
+test('findUsdRate returns null without a usable rate', () => {
+    assert.equal(findUsdRate(RATES, 'GBP', '2025-01-15'), null);
+    assert.equal(findUsdRate(RATES, 'INR', '2024-12-01'), null);
+});
+
+test('validateFxRate checks the rate, date and currencies', () => {
+    assert.equal(validateFxRate({ rate: '83.5', effective_date: '2025-01-01', base_currency: 'usd', quote_currency: 'INR' }), null);
+    assert.match(validateFxRate({ rate: 0 }), /rate must be a positive number/);
+    assert.match(validateFxRate({ rate: 'abc' }), /rate must be a positive number/);
+    assert.match(validateFxRate({ rate: 1, effective_date: '2025-02-30' }), /effective_date must be a valid date/);
+    assert.match(validateFxRate({ rate: 1, quote_currency: 'RUPEE' }), /quote_currency must be a three-letter currency code/);
+    assert.match(validateFxRate({ rate: 1, base_currency: 'USD', quote_currency: 'usd' }), /must differ/);
+});
+
+test('ensureFxRates queries each currency and date once and keeps rows unique', async (t) => {
+    const queries = [];
+    t.mock.method(pool, 'getConnection', async () => ({
+        execute: async (sql, params) => {
+            queries.push(params);
+            return [[fxRate('USD', 'INR', '2025-01-10', '84')]];
+        },
+        release: () => {}
+    }));
+    const cache = createFxRateCache();
+
+    await Promise.all([
+        ensureFxRates(cache, ['INR', 'usd'], '2025-01-15'),
+        ensureFxRates(cache, ['INR'], '2025-01-15')
+    ]);
+    await ensureFxRates(cache, ['INR'], '2025-01-16');
+
+    assert.equal(queries.length, 2);
+    assert.deepEqual(queries[0], ['USD', 'INR', 'USD', 'INR', '2025-01-15']);
+    assert.equal(cache.rates.length, 1);
+    assert.equal(findUsdRate(cache.rates, 'INR', '2025-01-15').rate, 84);
+});
+
+test('ensureFxRates retries a date whose load failed', async (t) => {
+    let calls = 0;
+    t.mock.method(pool, 'getConnection', async () => ({
+        execute: async () => {
+            calls++;
+            if (calls === 1) {
+                throw new Error('connection lost');
+            }
+            return [[fxRate('USD', 'INR', '2025-01-10', 84)]];
+        },
+        release: () => {}
+    }));
+    const cache = createFxRateCache();
+
+    await assert.rejects(ensureFxRates(cache, ['INR'], '2025-01-15'), /connection lost/);
+    await ensureFxRates(cache, ['INR'], '2025-01-15');
+
+    assert.equal(calls, 2);
+    assert.equal(cache.rates.length, 1);
+});
@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    validateHoliday,
+    parseICalHolidays,
+    parseHolidayCsv,
+    getHolidaysForDestination,
+    findHolidayCountry
+} = require('../cron/holidays');
+
+const ical = (...lines) => ['BEGIN:VCALENDAR', ...lines, 'END:VCALENDAR'].join('\r\n');
+
+test('parseICalHolidays reads one holiday per all-day event', () => {
+    const { holidays, errors } = parseICalHolidays(ical(
+        'BEGIN:VEVENT',
+        'DTSTART;VALUE=DATE:20251225',
+        'DTEND;VALUE=DATE:20251226',
+        'SUMMARY:Christmas Day',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'DTSTART:20250704T000000Z',
+        'SUMMARY:Independence Day',
+        'END:VEVENT'
+    ));
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(holidays, [
+        { holiday_date: '2025-12-25', name: 'Christmas Day' },
+        { holiday_date: '2025-07-04', name: 'Independence Day' }
+    ]);
+});
+
+test('parseICalHolidays expands multi-day events with an exclusive DTEND, across month ends', () => {
+    const { holidays } = parseICalHolidays(ical(
+        'BEGIN:VEVENT',
+        'DTSTART;VALUE=DATE:20251231',
+        'DTEND;VALUE=DATE:20260103',
+        'SUMMARY:New Year',
+        'END:VEVENT'
+    ));
+
+    assert.deepEqual(holidays.map(holiday => holiday.holiday_date), ['2025-12-31', '2026-01-01', '2026-01-02']);
+});
+
+test('parseICalHolidays caps runaway events', () => {
+    const { holidays } = parseICalHolidays(ical(
+        'BEGIN:VEVENT',
+        'DTSTART;VALUE=DATE:20250101',
+        'DTEND;VALUE=DATE:20260101',
+        'END:VEVENT'
+    ));
+
+    assert.equal(holidays.length, 31);
+    assert.equal(holidays[0].name, 'Holiday');
+});
+
+test('parseICalHolidays unfolds long lines and unescapes text', () => {
+    const { holidays } = parseICalHolidays('BEGIN:VEVENT\nDTSTART:20251226\nSUMMARY:Boxing Day\\, St\n  Stephen\\;s Day\nEND:VEVENT');
+
+    assert.deepEqual(holidays, [{ holiday_date: '2025-12-26', name: 'Boxing Day, St Stephen;s Day' }]);
+});
+
+test('parseICalHolidays reports events without a usable start date', () => {
+    const { holidays, errors } = parseICalHolidays(ical(
+        'BEGIN:VEVENT',
+        'SUMMARY:No date',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'DTSTART:20250230',
+        'END:VEVENT'
+    ));
+
+    assert.deepEqual(holidays, []);
+    assert.deepEqual(errors, ['Event at line 2: missing or invalid DTSTART', 'Event at line 5: missing or invalid DTSTART']);
+});
+
+test('parseHolidayCsv reads date, name and country columns without a header', () => {
+    const { holidays, errors } = parseHolidayCsv('2025-12-25,Christmas Day\r\n\r\n2025-12-26,"Boxing Day, ""St Stephen""",gb\n');
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(holidays, [
+        { holiday_date: '2025-12-25', name: 'Christmas Day', country_code: null },
+        { holiday_date: '2025-12-26', name: 'Boxing Day, "St Stephen"', country_code: 'GB' }
+    ]);
+});
+
+test('parseHolidayCsv follows the columns named by a header row', () => {
+    const { holidays } = parseHolidayCsv('Country,Description,Holiday_Date\nus,Thanksgiving,2025-11-27\nus,,2025-12-25');
+
+    assert.deepEqual(holidays, [
+        { holiday_date: '2025-11-27', name: 'Thanksgiving', country_code: 'US' },
+        { holiday_date: '2025-12-25', name: 'Holiday', country_code: 'US' }
+    ]);
+});
+
+test('parseHolidayCsv reports invalid dates and a header without a date column', () => {
+    const invalid = parseHolidayCsv('date,name\n2025-02-30,Bad\n25/12/2025,Also bad\n2025-12-25,Christmas');
+    assert.equal(invalid.holidays.length, 1);
+    assert.deepEqual(invalid.errors, [
+        "Line 2: invalid date '2025-02-30', expected YYYY-MM-DD",
+        "Line 3: invalid date '25/12/2025', expected YYYY-MM-DD"
+    ]);
+
+    const noDate = parseHolidayCsv('name,country\nChristmas,US');
+    assert.deepEqual(noDate.holidays, []);
+    assert.deepEqual(noDate.errors, ['Line 1: header has no date column']);
+});
+
+test('validateHoliday checks every field, or only the provided ones when partial', () => {
+    assert.equal(validateHoliday({ country_code: 'us', holiday_date: '2025-12-25', name: 'Christmas' }), null);
+    assert.match(validateHoliday({ holiday_date: '2025-12-25', name: 'Christmas' }), /country_code is required/);
+    assert.match(validateHoliday({ country_code: 'US', holiday_date: '2025-13-01', name: 'X' }), /holiday_date must be a valid date/);
+    assert.match(validateHoliday({ country_code: 'US', holiday_date: '2025-12-25', name: ' ' }), /name is required/);
+    assert.equal(validateHoliday({ name: 'Renamed' }, { partial: true }), null);
+    assert.match(validateHoliday({ holiday_date: 'tomorrow' }, { partial: true }), /holiday_date/);
+});
+
+test('getHolidaysForDestination merges the calendars of every destination alias', () => {
+    const calendars = {
+        US: { '2025-07-04': 'Independence Day', '2025-12-25': 'Christmas' },
+        USA: { '2025-12-25': 'Christmas Day' },
+        GB: { '2025-12-26': 'Boxing Day' }
+    };
+
+    assert.deepEqual(getHolidaysForDestination(calendars, ['US', 'USA']), {
+        '2025-07-04': 'Independence Day',
+        '2025-12-25': 'Christmas Day'
+    });
+    assert.deepEqual(getHolidaysForDestination(calendars, null), {});
+    assert.equal(findHolidayCountry(calendars, ['US', 'USA'], '2025-12-25'), 'USA');
+    assert.equal(findHolidayCountry(calendars, ['US', 'USA'], '2025-07-04'), 'US');
+    assert.equal(findHolidayCountry(calendars, ['US', 'USA'], '2025-12-26'), null);
+});
@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const pool = require('../config/db');
+const { DECISION_OUTCOMES } = require('../cron/decisionLog');
+const { loadRules, evaluateRules, validateRuleUpdate } = require('../cron/rules');
+
+const usdRate = { currency: 'USD', rate: 1, effectiveDate: null, source: 'identity' };
+
+const buildContext = (overrides = {}) => ({
+    awb: 'AWB1',
+    shipmentDetails: { Customer_ID: 'C1', Destination_Country: 'US', Package_Value: 150 },
+    customerInfo: { company_name: 'Acme Exports' },
+    settings: { countries: ['US', 'GB'], minShipmentValueUsd: 100, suppliers: [] },
+    fxRate: usdRate,
+    convertValue: () => 150,
+    supplierMatch: null,
+    ...overrides
+});
+
+const rule = (id, params = {}, enabled = true) => ({ id, enabled, params });
+
+test('evaluateRules runs every enabled rule without short-circuiting', () => {
+    const checks = evaluateRules([
+        rule('destination', { countries: null }),
+        rule('min_value', { minimum: 500, thresholdCurrency: null }),
+        rule('max_value', { maximum: 100, thresholdCurrency: null })
+    ], buildContext());
+
+    assert.deepEqual(checks.map(check => [check.rule, check.passed]), [
+        ['destination', true],
+        ['min_value', false],
+        ['max_value', false]
+    ]);
+    assert.equal(checks[0].outcome, null);
+    assert.equal(checks[0].message, null);
+    assert.equal(checks[1].outcome, DECISION_OUTCOMES.REJECTED_VALUE);
+    assert.match(checks[1].message, /below minimum threshold/);
+});
+
+test('evaluateRules skips disabled and unknown rules', () => {
+    const checks = evaluateRules([
+        rule('destination', { countries: ['GB'] }, false),
+        rule('no_such_rule'),
+        rule('min_value', { minimum: null, thresholdCurrency: null })
+    ], buildContext());
+
+    assert.deepEqual(checks.map(check => check.rule), ['min_value']);
+    assert.equal(checks[0].passed, true);
+    assert.equal(checks[0].details.minimumSource, 'settings');
+});
+
+test('evaluateRules fails customer rules with an API error when the customer lookup failed', () => {
+    const [check] = evaluateRules([rule('supplier', { suppliers: null })], buildContext({ customerInfo: null }));
+
+    assert.equal(check.passed, false);
+    assert.equal(check.outcome, DECISION_OUTCOMES.API_ERROR);
+    assert.deepEqual(check.details, { stage: 'customer_details', customerId: 'C1' });
+});
+
+test('evaluateRules rejects the shipment when a rule throws', () => {
+    const [check] = evaluateRules([rule('destination', { countries: null })], buildContext({ settings: {} }));
+
+    assert.equal(check.passed, false);
+    assert.equal(check.outcome, DECISION_OUTCOMES.REJECTED_COUNTRY);
+    assert.match(check.message, /Rule 'destination' could not be evaluated/);
+});
+
+test('min_value prefers the supplier minimum, then the rule minimum in its currency, then the setting', () => {
+    const supplierMatch = { supplier: { id: 1, display_name: 'Acme', min_shipment_value_usd: 200 }, method: 'customer_id' };
+    const convertValue = (currency) => (currency === 'EUR' ? 140 : 150);
+
+    const [supplierCheck] = evaluateRules([rule('min_value', { minimum: 50, thresholdCurrency: 'EUR' })],
+        buildContext({ supplierMatch, convertValue }));
+    assert.equal(supplierCheck.passed, false);
+    assert.equal(supplierCheck.threshold, 200);
+    assert.equal(supplierCheck.details.thresholdCurrency, 'USD');
+    assert.equal(supplierCheck.details.minimumSource, 'supplier');
+
+    const [ruleCheck] = evaluateRules([rule('min_value', { minimum: 145, thresholdCurrency: 'EUR' })],
+        buildContext({ convertValue }));
+    assert.equal(ruleCheck.passed, false);
+    assert.equal(ruleCheck.actual, 140);
+    assert.equal(ruleCheck.details.thresholdCurrency, 'EUR');
+    assert.equal(ruleCheck.details.minimumSource, 'rule');
+});
+
+test('value rules fail when the declared value cannot be converted', () => {
+    const checks = evaluateRules([
+        rule('min_value', { minimum: null, thresholdCurrency: null }),
+        rule('max_value', { maximum: 1000, thresholdCurrency: 'GBP' })
+    ], buildContext({ convertValue: () => null }));
+
+    assert.deepEqual(checks.map(check => check.passed), [false, false]);
+    assert.match(checks[1].message, /cannot be converted to GBP/);
+});
+
+test('max_value passes when no maximum is configured', () => {
+    const [check] = evaluateRules([rule('max_value', { maximum: null, thresholdCurrency: null })],
+        buildContext({ convertValue: () => 1e9 }));
+
+    assert.equal(check.passed, true);
+    assert.equal(check.threshold, null);
+});
+
+test('validateRuleUpdate checks the rule, field types and params', () => {
+    assert.equal(validateRuleUpdate('min_value', { enabled: true, sort_order: 5, params: { minimum: 10 } }), null);
+    assert.equal(validateRuleUpdate('max_value', { params: { maximum: '250.5', thresholdCurrency: 'EUR' } }), null);
+
+    assert.match(validateRuleUpdate('nope', {}), /Unknown rule: nope/);
+    assert.match(validateRuleUpdate('min_value', { enabled: 'yes' }), /enabled must be true or false/);
+    assert.match(validateRuleUpdate('min_value', { sort_order: 1.5 }), /sort_order must be an integer/);
+    assert.match(validateRuleUpdate('min_value', { params: [] }), /params must be an object/);
+    assert.match(validateRuleUpdate('min_value', { params: { minValueUsd: 10 } }), /Unknown params for rule 'min_value': minValueUsd/);
+    assert.match(validateRuleUpdate('min_value', { params: { minimum: -1 } }), /minimum must be a non-negative number/);
+    assert.match(validateRuleUpdate('max_value', { params: { maximum: 0 } }), /maximum must be a positive number/);
+    assert.match(validateRuleUpdate('max_value', { params: { thresholdCurrency: 'usd' } }), /three-letter currency code/);
+    assert.match(validateRuleUpdate('cutoff', { params: { cutoffTime: '2pm' } }), /HH:MM:SS/);
+    assert.match(validateRuleUpdate('destination', { params: { countries: 'US' } }), /array of country codes/);
+    assert.match(validateRuleUpdate('service_destination', { params: { anything: 1 } }), /Allowed: none/);
+});
+
+test('loadRules merges stored configuration over the defaults and sorts by order', async (t) => {
+    const rows = [
+        { id: 'max_value', enabled: 1, sort_order: 1, params: '{"maximum":5000}', updated_at: '2025-01-01' },
+        { id: 'destination', enabled: 0, sort_order: 100, params: 'not json', updated_at: '2025-01-02' }
+    ];
+    t.mock.method(pool, 'getConnection', async () => ({ execute: async () => [rows], release: () => {} }));
+
+    const rules = await loadRules();
+
+    assert.deepEqual(rules.map(loaded => loaded.id), ['max_value', 'service_destination', 'cutoff', 'min_value', 'supplier', 'destination']);
+    assert.equal(rules[0].enabled, true);
+    assert.deepEqual(rules[0].params, { maximum: 5000, thresholdCurrency: null });
+    assert.equal(rules[5].enabled, false);
+    assert.deepEqual(rules[5].params, { countries: null });
+    assert.equal(rules.find(loaded => loaded.id === 'min_value').updatedAt, null);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SELECTION_STRATEGIES, DEFAULT_SELECTION_STRATEGY, getSelectionStrategy, orderShipments } = require('../cron/selection');
+
+const shipment = (awb, values = {}) => ({ awb, valueUsd: null, pickupAt: null, supplierMatch: null, ...values });
+const fromSupplier = (id) => ({ supplierMatch: { supplier: { id }, method: 'customer_id' } });
+const awbs = (shipments) => shipments.map(item => item.awb);
+
+test('getSelectionStrategy falls back to the fetch order for unknown or missing strategies', () => {
+    for (const strategy of SELECTION_STRATEGIES) {
+        assert.equal(getSelectionStrategy({ selectionStrategy: strategy }), strategy);
+    }
+    assert.equal(DEFAULT_SELECTION_STRATEGY, 'fetch_order');
+    assert.equal(getSelectionStrategy({ selectionStrategy: 'random' }), 'fetch_order');
+    assert.equal(getSelectionStrategy({}), 'fetch_order');
+});
+
+test('fetch_order and unknown strategies keep the order without mutating the input', () => {
+    const shipments = [shipment('A', { valueUsd: 1 }), shipment('B', { valueUsd: 2 })];
+
+    const ordered = orderShipments(shipments, 'fetch_order');
+    assert.deepEqual(awbs(ordered), ['A', 'B']);
+    assert.notEqual(ordered, shipments);
+    assert.deepEqual(awbs(orderShipments(shipments, 'random')), ['A', 'B']);
+});
+
+test('highest_value puts the largest USD value first and unconvertible values last', () => {
+    const shipments = [
+        shipment('A', { valueUsd: 100 }),
+        shipment('B'),
+        shipment('C', { valueUsd: 500 }),
+        shipment('D', { valueUsd: 100 }),
+        shipment('E', { valueUsd: 0 })
+    ];
+
+    assert.deepEqual(awbs(orderShipments(shipments, 'highest_value')), ['C', 'A', 'D', 'E', 'B']);
+    assert.deepEqual(awbs(shipments), ['A', 'B', 'C', 'D', 'E']);
+});
+
+test('oldest_pickup puts the earliest pickup first and shipments without one last', () => {
+    const shipments = [
+        shipment('A', { pickupAt: '2025-01-10 11:00:00' }),
+        shipment('B'),
+        shipment('C', { pickupAt: '2025-01-10 09:30:00' }),
+        shipment('D', { pickupAt: '2025-01-10 11:00:00' })
+    ];
+
+    assert.deepEqual(awbs(orderShipments(shipments, 'oldest_pickup')), ['C', 'A', 'D', 'B']);
+});
+
+test('fair_share takes one shipment per supplier in turn, in fetch order', () => {
+    const shipments = [
+        shipment('A1', fromSupplier(1)),
+        shipment('A2', fromSupplier(1)),
+        shipment('A3', fromSupplier(1)),
+        shipment('B1', fromSupplier(2)),
+        shipment('N1'),
+        shipment('B2', fromSupplier(2)),
+        shipment('N2')
+    ];
+
+    assert.deepEqual(awbs(orderShipments(shipments, 'fair_share')), ['A1', 'B1', 'N1', 'A2', 'B2', 'N2', 'A3']);
+});
+
+test('fair_share starts with the suppliers that have the fewest policies for the day', () => {
+    const shipments = [
+        shipment('A1', fromSupplier(1)),
+        shipment('A2', fromSupplier(1)),
+        shipment('B1', fromSupplier(2)),
+        shipment('B2', fromSupplier(2))
+    ];
+    const usage = new Map([[1, { day: 2 }]]);
+
+    assert.deepEqual(awbs(orderShipments(shipments, 'fair_share', usage)), ['B1', 'B2', 'A1', 'A2']);
+    assert.deepEqual(awbs(orderShipments(shipments, 'fair_share', new Map([[1, { day: 1 }]]))), ['B1', 'A1', 'B2', 'A2']);
+});
@@ -0,0 +1,256 @@
+import axios from "axios";
+import { useCallback, useEffect, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Switch } from "@/components/ui/switch";
+import { useToast } from "@/hooks/use-toast";
+
+interface CarrierRoute {
+  id: number;
+  destination_aliases: string[];
+  service_type: string;
+  carrier_code: string;
+  delivery_days: number;
+  active: boolean;
+}
+
+// Form values for one route; aliases are edited as a comma-separated list
+interface RouteDraft {
+  destination_aliases: string;
+  service_type: string;
+  carrier_code: string;
+  delivery_days: string;
+  active: boolean;
+}
+
+const EMPTY_DRAFT: RouteDraft = {
+  destination_aliases: '',
+  service_type: '',
+  carrier_code: '',
+  delivery_days: '',
+  active: true,
+};
+
+const toDraft = (route: CarrierRoute): RouteDraft => ({
+  destination_aliases: route.destination_aliases.join(', '),
+  service_type: route.service_type,
+  carrier_code: route.carrier_code,
+  delivery_days: String(route.delivery_days),
+  active: route.active,
+});
+
+const toPayload = (draft: RouteDraft) => ({
+  destination_aliases: draft.destination_aliases,
+  service_type: draft.service_type.trim(),
+  carrier_code: draft.carrier_code.trim(),
+  delivery_days: parseInt(draft.delivery_days),
+  active: draft.active,
+});
+
+const CarrierRoutesEditor = () => {
+  const { toast } = useToast();
+
+  // Environment-based URL selection
+  let backendUrl = '';
+  if (import.meta.env.VITE_ENV === 'prod') {
+    backendUrl = import.meta.env.VITE_BACKEND_PROD_URL;
+  } else {
+    backendUrl = import.meta.env.VITE_BACKEND_LOCAL_URL;
+  }
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${import.meta.env.VITE_BEARER_TOKEN}`
+  };
+
+  const [drafts, setDrafts] = useState<Record<number, RouteDraft>>({});
+  const [routeIds, setRouteIds] = useState<number[]>([]);
+  const [newRoute, setNewRoute] = useState<RouteDraft>(EMPTY_DRAFT);
+  const [isLoading, setIsLoading] = useState(true);
+  // Route currently being saved or deleted ('new' while adding)
+  const [busyRoute, setBusyRoute] = useState<number | 'new' | null>(null);
+
+  const fetchRoutes = useCallback(async () => {
+    try {
+      const response = await axios.get(`${backendUrl}/api/v1/carrier-routes`, {
+        headers: {
+          'Authorization': `Bearer ${import.meta.env.VITE_BEARER_TOKEN}`
+        }
+      });
+      if (response.data.success) {
+        const routes: CarrierRoute[] = response.data.data;
+        setRouteIds(routes.map((route) => route.id));
+        setDrafts(Object.fromEntries(routes.map((route) => [route.id, toDraft(route)])));
+      }
+    } catch (error) {
+      console.error('Error fetching carrier routes:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [backendUrl]);
+
+  useEffect(() => {
+    fetchRoutes();
+  }, [fetchRoutes]);
+
+  const updateDraft = (routeId: number, field: keyof RouteDraft, value: string | boolean) => {
+    setDrafts((current) => ({ ...current, [routeId]: { ...current[routeId], [field]: value } }));
+  };
+
+  const showError = (title: string, error) => {
+    toast({
+      title,
+      description: error.response?.data?.message || "Please check the values and try again.",
+      variant: "destructive",
+    });
+  };
+
+  const handleSave = async (routeId: number) => {
+    try {
+      setBusyRoute(routeId);
+      await axios.patch(`${backendUrl}/api/v1/carrier-routes/${routeId}`, toPayload(drafts[routeId]), { headers });
+      toast({
+        title: "Route Saved",
+        description: "The carrier route applies from the next run.",
+      });
+      await fetchRoutes();
+    } catch (error) {
+      console.error('Error saving carrier route:', error);
+      showError("Error Saving Route", error);
+    } finally {
+      setBusyRoute(null);
+    }
+  };
+
+  const handleDelete = async (routeId: number) => {
+    try {
+      setBusyRoute(routeId);
+      await axios.delete(`${backendUrl}/api/v1/carrier-routes/${routeId}`, { headers });
+      toast({
+        title: "Route Deleted",
+        description: "Shipments on this lane will no longer qualify.",
+      });
+      await fetchRoutes();
+    } catch (error) {
+      console.error('Error deleting carrier route:', error);
+      showError("Error Deleting Route", error);
+    } finally {
+      setBusyRoute(null);
+    }
+  };
+
+  const handleAdd = async () => {
+    try {
+      setBusyRoute('new');
+      await axios.post(`${backendUrl}/api/v1/carrier-routes`, toPayload(newRoute), { headers });
+      setNewRoute(EMPTY_DRAFT);
+      toast({
+        title: "Route Added",
+        description: "The carrier route applies from the next run.",
+      });
+      await fetchRoutes();
+    } catch (error) {
+      console.error('Error adding carrier route:', error);
+      showError("Error Adding Route", error);
+    } finally {
+      setBusyRoute(null);
+    }
+  };
+
+  const renderFields = (draft: RouteDraft, onChange: (field: keyof RouteDraft, value: string | boolean) => void) => (
+    <>
+      <td className="border border-gray-300 px-2 py-2">
+        <Input
+          value={draft.destination_aliases}
+          onChange={(e) => onChange('destination_aliases', e.target.value)}
+          placeholder="US, USA, UNITED STATES"
+        />
+      </td>
+      <td className="border border-gray-300 px-2 py-2">
+        <Input
+          value={draft.service_type}
+          onChange={(e) => onChange('service_type', e.target.value)}
+          placeholder="Ship+"
+        />
+      </td>
+      <td className="border border-gray-300 px-2 py-2">
+        <Input
+          value={draft.carrier_code}
+          onChange={(e) => onChange('carrier_code', e.target.value)}
+          placeholder="USPS"
+        />
+      </td>
+      <td className="border border-gray-300 px-2 py-2">
+        <Input
+          type="number"
+          min="1"
+          value={draft.delivery_days}
+          onChange={(e) => onChange('delivery_days', e.target.value)}
+          className="w-20"
+        />
+      </td>
+      <td className="border border-gray-300 px-2 py-2">
+        <Switch checked={draft.active} onCheckedChange={(checked) => onChange('active', checked)} />
+      </td>
+    </>
+  );
+
+  return (
+    <Card className="mt-6">
+      <CardHeader>
+        <CardTitle className="text-lg md:text-xl">Carrier Routes</CardTitle>
+        <CardDescription>
+          Destinations and service types that can be insured, with the carrier and delivery business days used for the ETA
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        {isLoading ? (
+          <p className="text-sm text-gray-600">Loading carrier routes...</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full border-collapse border border-gray-300">
+              <thead>
+                <tr className="bg-gray-50">
+                  <th className="border border-gray-300 px-2 py-2 text-left text-xs md:text-sm font-medium">Destination Aliases</th>
+                  <th className="border border-gray-300 px-2 py-2 text-left text-xs md:text-sm font-medium">Service Type</th>
+                  <th className="border border-gray-300 px-2 py-2 text-left text-xs md:text-sm font-medium">Carrier</th>
+                  <th className="border border-gray-300 px-2 py-2 text-left text-xs md:text-sm font-medium">Days</th>
+                  <th className="border border-gray-300 px-2 py-2 text-left text-xs md:text-sm font-medium">Active</th>
+                  <th className="border border-gray-300 px-2 py-2 text-left text-xs md:text-sm font-medium">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {routeIds.map((routeId) => (
+                  <tr key={routeId}>
+                    {renderFields(drafts[routeId], (field, value) => updateDraft(routeId, field, value))}
+                    <td className="border border-gray-300 px-2 py-2">
+                      <div className="flex gap-1">
+                        <Button size="sm" onClick={() => handleSave(routeId)} disabled={busyRoute !== null}>
+                          Save
+                        </Button>
+                        <Button size="sm" variant="outline" onClick={() => handleDelete(routeId)} disabled={busyRoute !== null}>
+                          Delete
+                        </Button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+                <tr className="bg-gray-50">
+                  {renderFields(newRoute, (field, value) => setNewRoute((current) => ({ ...current, [field]: value })))}
+                  <td className="border border-gray-300 px-2 py-2">
+                    <Button size="sm" onClick={handleAdd} disabled={busyRoute !== null}>
+                      {busyRoute === 'new' ? 'Adding...' : 'Add'}
+                    </Button>
+                  </td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default CarrierRoutesEditor;
@@ -1,6 +1,8 @@
 import ManageCoverzySettings from "./ManageCoverzySettings";
+import ProcessingStatus from "./ProcessingStatus";
+import RunMonitor from "./RunMonitor";
 import ViewPolicies from "./ViewPolicies";
-import { FileText, LogOut, Settings, User } from "lucide-react";
+import { Activity, FileText, LogOut, Settings, User } from "lucide-react";
 import { useState } from "react";
 import { useAuth } from "@/contexts/AuthContext";
 import { useToast } from "@/hooks/use-toast";
@@ -20,7 +22,7 @@ import {
 } from '@/components/ui/sidebar';
 
 const Dashboard = () => {
-  const [activeSection, setActiveSection] = useState<'settings' | 'policies'>('settings');
+  const [activeSection, setActiveSection] = useState<'settings' | 'policies' | 'runs'>('settings');
   const { logout, user } = useAuth();
   const { toast } = useToast();
 
@@ -43,6 +45,11 @@ const Dashboard = () => {
       icon: FileText,
       key: 'policies' as const,
     },
+    {
+      title: 'Run Monitor',
+      icon: Activity,
+      key: 'runs' as const,
+    },
   ];
 
   const AppSidebar = () => (
@@ -107,11 +114,10 @@ const Dashboard = () => {
               <div className="ml-auto" />
             </header>
             <main className="flex-1 p-4 md:p-8">
-              {activeSection === 'settings' ? (
-                <ManageCoverzySettings />
-              ) : (
-                <ViewPolicies />
-              )}
+              <ProcessingStatus />
+              {activeSection === 'settings' && <ManageCoverzySettings />}
+              {activeSection === 'policies' && <ViewPolicies />}
+              {activeSection === 'runs' && <RunMonitor />}
             </main>
           </div>
         </SidebarInset>
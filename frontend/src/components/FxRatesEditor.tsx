@@ -0,0 +1,178 @@
+import axios from "axios";
+import { useCallback, useEffect, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { useToast } from "@/hooks/use-toast";
+
+interface FxRate {
+  id: number;
+  base_currency: string;
+  quote_currency: string;
+  effective_date: string;
+  rate: number;
+  source: string;
+}
+
+// Number of recent rates shown
+const HISTORY_LIMIT = 10;
+
+const FxRatesEditor = () => {
+  const { toast } = useToast();
+
+  // Environment-based URL selection
+  let backendUrl = '';
+  if (import.meta.env.VITE_ENV === 'prod') {
+    backendUrl = import.meta.env.VITE_BACKEND_PROD_URL;
+  } else {
+    backendUrl = import.meta.env.VITE_BACKEND_LOCAL_URL;
+  }
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${import.meta.env.VITE_BEARER_TOKEN}`
+  };
+
+  const [rates, setRates] = useState<FxRate[]>([]);
+  const [overrideRate, setOverrideRate] = useState('');
+  const [overrideDate, setOverrideDate] = useState(new Date().toLocaleDateString('en-CA'));
+  const [isSaving, setIsSaving] = useState(false);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+
+  const fetchRates = useCallback(async () => {
+    try {
+      const response = await axios.get(`${backendUrl}/api/v1/fx-rates?base=USD&quote=INR&limit=${HISTORY_LIMIT}`, {
+        headers: {
+          'Authorization': `Bearer ${import.meta.env.VITE_BEARER_TOKEN}`
+        }
+      });
+      if (response.data.success) {
+        setRates(response.data.data);
+      }
+    } catch (error) {
+      console.error('Error fetching FX rates:', error);
+    }
+  }, [backendUrl]);
+
+  useEffect(() => {
+    fetchRates();
+  }, [fetchRates]);
+
+  const handleOverride = async () => {
+    try {
+      setIsSaving(true);
+      await axios.post(`${backendUrl}/api/v1/fx-rates`, {
+        rate: parseFloat(overrideRate),
+        effective_date: overrideDate,
+        base_currency: 'USD',
+        quote_currency: 'INR'
+      }, { headers });
+      setOverrideRate('');
+      toast({
+        title: "Rate Saved",
+        description: `Shipments picked up from ${overrideDate} are validated at ₹${overrideRate}/USD until a later rate.`,
+      });
+      await fetchRates();
+    } catch (error) {
+      console.error('Error saving FX rate:', error);
+      toast({
+        title: "Error Saving Rate",
+        description: error.response?.data?.message || "Please check the rate and try again.",
+        variant: "destructive",
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRefresh = async () => {
+    try {
+      setIsRefreshing(true);
+      const response = await axios.post(`${backendUrl}/api/v1/fx-rates/refresh`, {}, { headers });
+      toast({
+        title: "Rates Refreshed",
+        description: response.data.message,
+      });
+      await fetchRates();
+    } catch (error) {
+      console.error('Error refreshing FX rates:', error);
+      toast({
+        title: "Error Refreshing Rates",
+        description: error.response?.data?.message || "The rate provider could not be reached.",
+        variant: "destructive",
+      });
+    } finally {
+      setIsRefreshing(false);
+    }
+  };
+
+  return (
+    <Card className="mt-6">
+      <CardHeader>
+        <CardTitle className="text-lg md:text-xl">Exchange Rates</CardTitle>
+        <CardDescription>
+          USD/INR rates by date. Each shipment is validated at the rate effective on its pickup date; a manual rate overrides the fetched rate for its date.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex flex-col sm:flex-row sm:items-end gap-2">
+          <div className="space-y-2">
+            <Label htmlFor="overrideRate">Rate (₹ per USD):</Label>
+            <Input
+              id="overrideRate"
+              type="number"
+              step="0.0001"
+              min="0"
+              value={overrideRate}
+              onChange={(e) => setOverrideRate(e.target.value)}
+              placeholder="83.0000"
+            />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="overrideDate">Effective from:</Label>
+            <Input
+              id="overrideDate"
+              type="date"
+              value={overrideDate}
+              onChange={(e) => setOverrideDate(e.target.value)}
+            />
+          </div>
+          <Button onClick={handleOverride} disabled={isSaving || !overrideRate}>
+            {isSaving ? "Saving..." : "Set rate"}
+          </Button>
+          <Button variant="outline" onClick={handleRefresh} disabled={isRefreshing}>
+            {isRefreshing ? "Refreshing..." : "Refresh now"}
+          </Button>
+        </div>
+
+        {rates.length === 0 ? (
+          <p className="text-sm text-gray-600">No dated rates yet; validation uses the USD to INR Rate setting.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full border-collapse border border-gray-300">
+              <thead>
+                <tr className="bg-gray-50">
+                  <th className="border border-gray-300 px-2 py-2 text-left text-xs md:text-sm font-medium">Effective Date</th>
+                  <th className="border border-gray-300 px-2 py-2 text-left text-xs md:text-sm font-medium">Rate</th>
+                  <th className="border border-gray-300 px-2 py-2 text-left text-xs md:text-sm font-medium">Source</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rates.map((rate) => (
+                  <tr key={rate.id}>
+                    <td className="border border-gray-300 px-2 py-2 text-xs md:text-sm">{rate.effective_date}</td>
+                    <td className="border border-gray-300 px-2 py-2 text-xs md:text-sm">₹{rate.rate}</td>
+                    <td className="border border-gray-300 px-2 py-2 text-xs md:text-sm">{rate.source}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default FxRatesEditor;
@@ -4,8 +4,12 @@ import { Button } from "@/components/ui/button";
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { Switch } from "@/components/ui/switch";
 import { useToast } from "@/hooks/use-toast";
+import CarrierRoutesEditor from "./CarrierRoutesEditor";
+import FxRatesEditor from "./FxRatesEditor";
+import SuppliersEditor from "./SuppliersEditor";
 
 const ManageCoverzySettings = () => {
   const { toast } = useToast();
@@ -19,13 +23,18 @@ const ManageCoverzySettings = () => {
   }
   
   // Current form values
-  const [supplierNames, setSupplierNames] = useState('');
   const [destinationCountries, setDestinationCountries] = useState('');
   const [maxShipments, setMaxShipments] = useState('');
   const [cutoffTime, setCutoffTime] = useState('');
   const [cipTime, setCipTime] = useState('');
   const [minShipmentValueUsd, setMinShipmentValueUsd] = useState('');
   const [usdToInrRate, setUsdToInrRate] = useState('');
+  const [processingConcurrency, setProcessingConcurrency] = useState('');
+  const [lexShipmentApiRps, setLexShipmentApiRps] = useState('');
+  const [lexCustomerApiRps, setLexCustomerApiRps] = useState('');
+  const [covrzyApiRps, setCovrzyApiRps] = useState('');
+  const [catchUpMode, setCatchUpMode] = useState('auto');
+  const [selectionStrategy, setSelectionStrategy] = useState('fetch_order');
   const [adminEmails, setAdminEmails] = useState(['']);
   
   // Email service toggle
@@ -37,11 +46,15 @@ const ManageCoverzySettings = () => {
   const [isLoading, setIsLoading] = useState(true);
   const [isSaving, setIsSaving] = useState(false);
   const [isResetting, setIsResetting] = useState(false);
+  
+  // Daily cron schedule as registered on the server
+  const [schedule, setSchedule] = useState(null);
 
   // Fetch current settings and email status on component mount
   useEffect(() => {
     fetchSettings();
     fetchEmailStatus();
+    fetchSchedule();
   }, []);
 
   const fetchSettings = async () => {
@@ -59,24 +72,34 @@ const ManageCoverzySettings = () => {
         const settings = data.data[0]; // Get the first (latest) settings record
         
         // Set form values
-        setSupplierNames(settings.supplier_names || '');
         setDestinationCountries(settings.destination_countries || '');
         setMaxShipments(settings.max_shipments?.toString() || '');
         setCutoffTime(settings.cutoff_time || '');
         setCipTime(settings.cip_time || '');
         setMinShipmentValueUsd(settings.min_shipment_value_usd?.toString() || '');
         setUsdToInrRate(settings.usd_to_inr_rate?.toString() || '');
+        setProcessingConcurrency(settings.processing_concurrency?.toString() || '');
+        setLexShipmentApiRps(settings.lex_shipment_api_rps?.toString() || '');
+        setLexCustomerApiRps(settings.lex_customer_api_rps?.toString() || '');
+        setCovrzyApiRps(settings.covrzy_api_rps?.toString() || '');
+        setCatchUpMode(settings.catch_up_mode || 'auto');
+        setSelectionStrategy(settings.selection_strategy || 'fetch_order');
         setAdminEmails(settings.admin_emails ? settings.admin_emails.split(',').map(email => email.trim()) : ['']);
         
         // Store original values for comparison
         setOriginalValues({
-          supplier_names: settings.supplier_names || '',
           destination_countries: settings.destination_countries || '',
           max_shipments: settings.max_shipments?.toString() || '',
           cutoff_time: settings.cutoff_time || '',
           cip_time: settings.cip_time || '',
           min_shipment_value_usd: settings.min_shipment_value_usd?.toString() || '',
           usd_to_inr_rate: settings.usd_to_inr_rate?.toString() || '',
+          processing_concurrency: settings.processing_concurrency?.toString() || '',
+          lex_shipment_api_rps: settings.lex_shipment_api_rps?.toString() || '',
+          lex_customer_api_rps: settings.lex_customer_api_rps?.toString() || '',
+          covrzy_api_rps: settings.covrzy_api_rps?.toString() || '',
+          catch_up_mode: settings.catch_up_mode || 'auto',
+          selection_strategy: settings.selection_strategy || 'fetch_order',
           admin_emails: settings.admin_emails ? settings.admin_emails.split(',').map(email => email.trim()) : ['']
         });
 
@@ -168,6 +191,30 @@ const ManageCoverzySettings = () => {
     }
   };
 
+  const fetchSchedule = async () => {
+    try {
+      const response = await axios.get(`${backendUrl}/api/v1/coverzy-settings/schedule`, {
+        headers: {
+          'Authorization': `Bearer ${import.meta.env.VITE_BEARER_TOKEN}`
+        }
+      });
+
+      if (response.data.success) {
+        setSchedule(response.data.data);
+      }
+    } catch (error) {
+      console.error('Error fetching schedule:', error);
+      // Not critical, the next run time is just not shown
+    }
+  };
+
+  const formatNextRun = () => {
+    if (!schedule?.nextRunAt) {
+      return 'Not scheduled';
+    }
+    return `${new Date(schedule.nextRunAt).toLocaleString('en-IN', { timeZone: schedule.timezone })} (${schedule.timezone})`;
+  };
+
   const updateAdminEmail = (index, value) => {
     const newEmails = [...adminEmails];
     newEmails[index] = value;
@@ -177,13 +224,18 @@ const ManageCoverzySettings = () => {
   // Count the number of changed fields
   const getChangedFields = () => {
     const currentValues = {
-      supplier_names: supplierNames,
       destination_countries: destinationCountries,
       max_shipments: maxShipments,
       cutoff_time: cutoffTime,
       cip_time: cipTime,
       min_shipment_value_usd: minShipmentValueUsd,
       usd_to_inr_rate: usdToInrRate,
+      processing_concurrency: processingConcurrency,
+      lex_shipment_api_rps: lexShipmentApiRps,
+      lex_customer_api_rps: lexCustomerApiRps,
+      covrzy_api_rps: covrzyApiRps,
+      catch_up_mode: catchUpMode,
+      selection_strategy: selectionStrategy,
       admin_emails: adminEmails
     };
 
@@ -224,13 +276,18 @@ const ManageCoverzySettings = () => {
       if (isMajorChange) {
         // PUT: Send all fields
         payload = {
-          supplier_names: supplierNames,
           destination_countries: destinationCountries,
           max_shipments: parseInt(maxShipments),
           cutoff_time: cutoffTime,
           cip_time: cipTime,
           min_shipment_value_usd: parseFloat(minShipmentValueUsd),
           usd_to_inr_rate: parseFloat(usdToInrRate),
+          processing_concurrency: parseInt(processingConcurrency),
+          lex_shipment_api_rps: parseFloat(lexShipmentApiRps),
+          lex_customer_api_rps: parseFloat(lexCustomerApiRps),
+          covrzy_api_rps: parseFloat(covrzyApiRps),
+          catch_up_mode: catchUpMode,
+          selection_strategy: selectionStrategy,
           admin_emails: adminEmails
         };
       } else {
@@ -245,6 +302,14 @@ const ManageCoverzySettings = () => {
         if (payload.usd_to_inr_rate) {
           payload.usd_to_inr_rate = parseFloat(payload.usd_to_inr_rate);
         }
+        if (payload.processing_concurrency) {
+          payload.processing_concurrency = parseInt(payload.processing_concurrency);
+        }
+        ['lex_shipment_api_rps', 'lex_customer_api_rps', 'covrzy_api_rps'].forEach(field => {
+          if (payload[field]) {
+            payload[field] = parseFloat(payload[field]);
+          }
+        });
       }
 
       const response = await axios({
@@ -262,15 +327,24 @@ const ManageCoverzySettings = () => {
       if (data.success) {
         // Update original values after successful save
         setOriginalValues({
-          supplier_names: supplierNames,
           destination_countries: destinationCountries,
           max_shipments: maxShipments,
           cutoff_time: cutoffTime,
           cip_time: cipTime,
           min_shipment_value_usd: minShipmentValueUsd,
           usd_to_inr_rate: usdToInrRate,
+          processing_concurrency: processingConcurrency,
+          lex_shipment_api_rps: lexShipmentApiRps,
+          lex_customer_api_rps: lexCustomerApiRps,
+          covrzy_api_rps: covrzyApiRps,
+          catch_up_mode: catchUpMode,
+          selection_strategy: selectionStrategy,
           admin_emails: adminEmails
         });
+        
+        if (data.schedule) {
+          setSchedule(data.schedule);
+        }
 
         toast({
           title: "Settings Saved",
@@ -304,6 +378,10 @@ const ManageCoverzySettings = () => {
       const data = response.data;
       
       if (data.success) {
+        if (data.schedule) {
+          setSchedule(data.schedule);
+        }
+        
         toast({
           title: "Settings Reset",
           description: "Coverzy settings have been reset to default values successfully.",
@@ -345,17 +423,6 @@ const ManageCoverzySettings = () => {
             </div>
           ) : (
             <div className="grid gap-4 md:gap-6">
-              <div className="space-y-2">
-                <Label htmlFor="suppliers">Supplier Names (comma separated):</Label>
-                <textarea
-                  id="suppliers"
-                  className="w-full min-h-[100px] px-3 py-2 text-sm border border-input rounded-md bg-background placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 resize-vertical"
-                  value={supplierNames}
-                  onChange={(e) => setSupplierNames(e.target.value)}
-                  placeholder="Enter supplier names separated by commas"
-                />
-              </div>
-
               <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                 <div className="space-y-2">
                   <Label htmlFor="countries">Destination Countries (comma separated):</Label>
@@ -379,6 +446,24 @@ const ManageCoverzySettings = () => {
                 </div>
               </div>
 
+              <div className="space-y-2">
+                <Label htmlFor="selectionStrategy">Selection When Over Max Shipments:</Label>
+                <Select value={selectionStrategy} onValueChange={setSelectionStrategy}>
+                  <SelectTrigger id="selectionStrategy">
+                    <SelectValue placeholder="Select selection strategy" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="fetch_order">Lex listing order</SelectItem>
+                    <SelectItem value="highest_value">Highest declared value first</SelectItem>
+                    <SelectItem value="fair_share">Fair share per supplier</SelectItem>
+                    <SelectItem value="oldest_pickup">Oldest pickup first</SelectItem>
+                  </SelectContent>
+                </Select>
+                <p className="text-xs text-gray-600">
+                  Which valid shipments get a policy when a day has more than the maximum; the rest are kept as skipped shipments
+                </p>
+              </div>
+
               <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                 <div className="space-y-2">
                   <Label htmlFor="cutoffTime">Daily Cutoff Time (HH:MM:SS):</Label>
@@ -398,8 +483,11 @@ const ManageCoverzySettings = () => {
                     type="time"
                     step="1"
                     value={cipTime}
-                    onChange={(e) => setCipTime(e.target.value + ':00')}
+                    onChange={(e) => setCipTime(e.target.value.length === 5 ? e.target.value + ':00' : e.target.value)}
                   />
+                  <p className="text-xs text-gray-600">
+                    Next scheduled run: {formatNextRun()}
+                  </p>
                 </div>
               </div>
 
@@ -432,11 +520,87 @@ const ManageCoverzySettings = () => {
                     placeholder="83.0000"
                   />
                   <p className="text-xs text-gray-600">
-                    Rate used to convert INR shipment values to USD for validation
+                    Fallback used only when no dated exchange rate exists for the pickup date
                   </p>
                 </div>
               </div>
 
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div className="space-y-2">
+                  <Label htmlFor="processingConcurrency">Processing Concurrency:</Label>
+                  <Input
+                    id="processingConcurrency"
+                    type="number"
+                    min="1"
+                    max="20"
+                    value={processingConcurrency}
+                    onChange={(e) => setProcessingConcurrency(e.target.value)}
+                    placeholder="4"
+                  />
+                  <p className="text-xs text-gray-600">
+                    Number of shipments validated and processed in parallel
+                  </p>
+                </div>
+
+                <div className="space-y-2">
+                  <Label htmlFor="lexShipmentApiRps">Lex Shipment API Limit (requests/sec):</Label>
+                  <Input
+                    id="lexShipmentApiRps"
+                    type="number"
+                    step="0.1"
+                    min="0.1"
+                    value={lexShipmentApiRps}
+                    onChange={(e) => setLexShipmentApiRps(e.target.value)}
+                    placeholder="2.00"
+                  />
+                </div>
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div className="space-y-2">
+                  <Label htmlFor="lexCustomerApiRps">Lex Customer API Limit (requests/sec):</Label>
+                  <Input
+                    id="lexCustomerApiRps"
+                    type="number"
+                    step="0.1"
+                    min="0.1"
+                    value={lexCustomerApiRps}
+                    onChange={(e) => setLexCustomerApiRps(e.target.value)}
+                    placeholder="2.00"
+                  />
+                </div>
+
+                <div className="space-y-2">
+                  <Label htmlFor="covrzyApiRps">Covrzy API Limit (requests/sec):</Label>
+                  <Input
+                    id="covrzyApiRps"
+                    type="number"
+                    step="0.1"
+                    min="0.1"
+                    value={covrzyApiRps}
+                    onChange={(e) => setCovrzyApiRps(e.target.value)}
+                    placeholder="1.00"
+                  />
+                </div>
+              </div>
+
+              <div className="space-y-2">
+                <Label htmlFor="catchUpMode">Missed Run Catch-up:</Label>
+                <Select value={catchUpMode} onValueChange={setCatchUpMode}>
+                  <SelectTrigger id="catchUpMode">
+                    <SelectValue placeholder="Select catch-up mode" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="auto">Automatic</SelectItem>
+                    <SelectItem value="confirm">Wait for admin confirmation</SelectItem>
+                    <SelectItem value="off">Off</SelectItem>
+                  </SelectContent>
+                </Select>
+                <p className="text-xs text-gray-600">
+                  What to do at server startup with daily runs missed while the server was down
+                </p>
+              </div>
+
               <div className="space-y-2">
                 <Label>Admin Emails:</Label>
                 {adminEmails.map((email, index) => (
@@ -516,6 +680,12 @@ const ManageCoverzySettings = () => {
           )}
         </CardContent>
       </Card>
+
+      <SuppliersEditor />
+
+      <CarrierRoutesEditor />
+
+      <FxRatesEditor />
     </div>
   );
 };
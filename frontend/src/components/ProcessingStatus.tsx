@@ -0,0 +1,170 @@
+import axios from "axios";
+import { useCallback, useEffect, useState } from "react";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { useAuth } from "@/contexts/AuthContext";
+import { useToast } from "@/hooks/use-toast";
+
+interface PauseState {
+  paused: boolean;
+  status: string;
+  paused_by: string | null;
+  reason: string | null;
+  paused_at: string | null;
+}
+
+// Refresh the kill switch state so a pause from another session shows up
+const STATUS_POLL_INTERVAL_MS = 30000;
+
+const ProcessingStatus = () => {
+  const { toast } = useToast();
+  const { user } = useAuth();
+
+  // Environment-based URL selection
+  let backendUrl = '';
+  if (import.meta.env.VITE_ENV === 'prod') {
+    backendUrl = import.meta.env.VITE_BACKEND_PROD_URL;
+  } else {
+    backendUrl = import.meta.env.VITE_BACKEND_LOCAL_URL;
+  }
+
+  const [pauseState, setPauseState] = useState<PauseState | null>(null);
+  const [reason, setReason] = useState('');
+  const [isUpdating, setIsUpdating] = useState(false);
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      const response = await axios.get(`${backendUrl}/api/v1/processing/status`, {
+        headers: {
+          'Authorization': `Bearer ${import.meta.env.VITE_BEARER_TOKEN}`
+        }
+      });
+      if (response.data.success) {
+        setPauseState(response.data.data);
+      }
+    } catch (error) {
+      console.error('Error fetching processing status:', error);
+    }
+  }, [backendUrl]);
+
+  useEffect(() => {
+    fetchStatus();
+    const interval = setInterval(fetchStatus, STATUS_POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [fetchStatus]);
+
+  const handlePause = async () => {
+    if (!reason.trim()) {
+      toast({
+        title: "Reason Required",
+        description: "Please enter why automated purchasing is being paused.",
+        variant: "destructive",
+      });
+      return;
+    }
+
+    try {
+      setIsUpdating(true);
+      const response = await axios.post(`${backendUrl}/api/v1/processing/pause`, {
+        paused_by: user?.username || 'admin',
+        reason: reason.trim(),
+      }, {
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${import.meta.env.VITE_BEARER_TOKEN}`
+        }
+      });
+      setPauseState(response.data.data);
+      setReason('');
+      toast({
+        title: "Purchasing Paused",
+        description: "No policies will be bought until processing is resumed.",
+      });
+    } catch (error) {
+      console.error('Error pausing processing:', error);
+      toast({
+        title: "Error Pausing",
+        description: "Failed to pause automated purchasing. Please try again.",
+        variant: "destructive",
+      });
+    } finally {
+      setIsUpdating(false);
+    }
+  };
+
+  const handleResume = async () => {
+    try {
+      setIsUpdating(true);
+      const response = await axios.post(`${backendUrl}/api/v1/processing/resume`, {
+        resumed_by: user?.username || 'admin',
+      }, {
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${import.meta.env.VITE_BEARER_TOKEN}`
+        }
+      });
+      setPauseState(response.data.data);
+      toast({
+        title: "Purchasing Resumed",
+        description: "Scheduled and manual runs will buy policies again.",
+      });
+    } catch (error) {
+      console.error('Error resuming processing:', error);
+      toast({
+        title: "Error Resuming",
+        description: "Failed to resume automated purchasing. Please try again.",
+        variant: "destructive",
+      });
+    } finally {
+      setIsUpdating(false);
+    }
+  };
+
+  if (!pauseState) {
+    return null;
+  }
+
+  if (pauseState.paused) {
+    return (
+      <div className="mb-6 flex flex-col gap-3 rounded-md border border-red-200 bg-red-50 p-4 md:flex-row md:items-center md:justify-between">
+        <div className="space-y-1">
+          <div className="flex items-center gap-2">
+            <Badge variant="destructive">Paused</Badge>
+            <span className="text-sm font-medium text-red-800">Automated insurance purchasing is paused</span>
+          </div>
+          <p className="text-sm text-red-700">
+            By {pauseState.paused_by || 'unknown'}
+            {pauseState.paused_at && ` on ${new Date(pauseState.paused_at).toLocaleString()}`}
+            {pauseState.reason && `: ${pauseState.reason}`}
+          </p>
+        </div>
+        <Button onClick={handleResume} disabled={isUpdating}>
+          {isUpdating ? 'Resuming...' : 'Resume Purchasing'}
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="mb-6 flex flex-col gap-3 rounded-md border p-4 md:flex-row md:items-center md:justify-between">
+      <div className="flex items-center gap-2">
+        <Badge className="bg-green-600">Active</Badge>
+        <span className="text-sm text-gray-700">Automated insurance purchasing is running normally</span>
+      </div>
+      <div className="flex gap-2">
+        <Input
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          placeholder="Reason for pausing"
+          className="md:w-64"
+        />
+        <Button variant="destructive" onClick={handlePause} disabled={isUpdating}>
+          {isUpdating ? 'Pausing...' : 'Pause'}
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default ProcessingStatus;
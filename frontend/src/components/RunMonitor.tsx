@@ -0,0 +1,299 @@
+import axios from "axios";
+import { useEffect, useState } from "react";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Progress } from "@/components/ui/progress";
+import { useToast } from "@/hooks/use-toast";
+
+interface RunEvent {
+  id: string;
+  type: string;
+  data: {
+    runId?: number | null;
+    awb?: string;
+    outcome?: string;
+    reason?: string | null;
+    policyId?: string;
+    status?: string;
+    timestamp: string;
+  };
+}
+
+interface JobStatus {
+  job_id: string;
+  status: string;
+  phase: string;
+  run_id: number | null;
+  progress: { processed: number; total: number };
+}
+
+// Event types streamed by GET /api/v1/events
+const EVENT_TYPES = ['run_started', 'validated', 'rejected', 'submitted', 'policy_saved', 'failed', 'run_finished'];
+
+// Keep the on-screen log bounded for very large days
+const MAX_VISIBLE_EVENTS = 500;
+
+const eventStyles = {
+  run_started: 'bg-blue-50 text-blue-800',
+  validated: 'bg-gray-50 text-gray-800',
+  rejected: 'bg-yellow-50 text-yellow-800',
+  submitted: 'bg-indigo-50 text-indigo-800',
+  policy_saved: 'bg-green-50 text-green-800',
+  failed: 'bg-red-50 text-red-800',
+  run_finished: 'bg-blue-50 text-blue-800',
+};
+
+const describeEvent = (event: RunEvent) => {
+  const { data } = event;
+  switch (event.type) {
+    case 'run_started':
+      return `Run ${data.runId ?? ''} started`;
+    case 'validated':
+      return `${data.awb} passed validation`;
+    case 'rejected':
+      return `${data.awb} ${data.outcome}: ${data.reason || ''}`;
+    case 'submitted':
+      return `${data.awb} submitted to Covrzy`;
+    case 'policy_saved':
+      return `${data.awb} insured (policy ${data.policyId})`;
+    case 'failed':
+      return `${data.awb} failed: ${data.reason || ''}`;
+    case 'run_finished':
+      return `Run ${data.runId ?? ''} finished with status ${data.status}`;
+    default:
+      return event.type;
+  }
+};
+
+const RunMonitor = () => {
+  const { toast } = useToast();
+
+  // Environment-based URL selection
+  let backendUrl = '';
+  if (import.meta.env.VITE_ENV === 'prod') {
+    backendUrl = import.meta.env.VITE_BACKEND_PROD_URL;
+  } else {
+    backendUrl = import.meta.env.VITE_BACKEND_LOCAL_URL;
+  }
+
+  const [events, setEvents] = useState<RunEvent[]>([]);
+  const [isConnected, setIsConnected] = useState(false);
+  const [job, setJob] = useState<JobStatus | null>(null);
+  const [isStarting, setIsStarting] = useState(false);
+  const [isCancelling, setIsCancelling] = useState(false);
+
+  // Subscribe to the live event stream (EventSource cannot send headers, so the token goes in the query)
+  useEffect(() => {
+    const source = new EventSource(`${backendUrl}/api/v1/events?token=${encodeURIComponent(import.meta.env.VITE_BEARER_TOKEN)}`);
+
+    source.onopen = () => setIsConnected(true);
+    source.onerror = () => setIsConnected(false);
+
+    const handleEvent = (message: MessageEvent) => {
+      const event: RunEvent = {
+        id: message.lastEventId,
+        type: message.type,
+        data: JSON.parse(message.data),
+      };
+      setEvents(previous => [event, ...previous].slice(0, MAX_VISIBLE_EVENTS));
+    };
+
+    EVENT_TYPES.forEach(type => source.addEventListener(type, handleEvent));
+
+    return () => {
+      EVENT_TYPES.forEach(type => source.removeEventListener(type, handleEvent));
+      source.close();
+    };
+  }, [backendUrl]);
+
+  // Poll the job for phase and counters while it is active
+  const isJobActive = job !== null && (job.status === 'queued' || job.status === 'running');
+  const jobId = job?.job_id;
+
+  useEffect(() => {
+    if (!isJobActive || !jobId) return;
+
+    const interval = setInterval(async () => {
+      try {
+        const response = await axios.get(`${backendUrl}/api/v1/jobs/${jobId}`, {
+          headers: {
+            'Authorization': `Bearer ${import.meta.env.VITE_BEARER_TOKEN}`
+          }
+        });
+        if (response.data.success) {
+          setJob(response.data.data);
+        }
+      } catch (error) {
+        console.error('Error fetching job status:', error);
+      }
+    }, 2000);
+
+    return () => clearInterval(interval);
+  }, [backendUrl, isJobActive, jobId]);
+
+  const handleRunNow = async () => {
+    try {
+      setIsStarting(true);
+      setEvents([]);
+
+      const response = await axios.post(`${backendUrl}/api/v1/run-coverzy-process`, {}, {
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${import.meta.env.VITE_BEARER_TOKEN}`
+        }
+      });
+
+      const data = response.data;
+      setJob({
+        job_id: data.data.job_id,
+        status: data.data.status,
+        phase: 'queued',
+        run_id: null,
+        progress: { processed: 0, total: 0 },
+      });
+
+      toast({
+        title: "Run Started",
+        description: "Coverzy processing has been queued for the previous day.",
+      });
+    } catch (error) {
+      console.error('Error starting run:', error);
+      const currentRun = error.response?.status === 409 ? error.response.data.current_run : null;
+      const pause = error.response?.status === 409 ? error.response.data.pause : null;
+      toast({
+        title: pause ? "Purchasing Paused" : currentRun ? "Run Already In Progress" : "Error Starting Run",
+        description: pause
+          ? `Automated purchasing was paused by ${pause.paused_by}${pause.reason ? `: ${pause.reason}` : ''}. Resume it before starting a run.`
+          : currentRun
+            ? `Run ${currentRun.run_id} (${currentRun.trigger}) is still processing. Please wait for it to finish.`
+            : "Failed to start the Coverzy process. Please try again.",
+        variant: "destructive",
+      });
+    } finally {
+      setIsStarting(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    if (!job) return;
+
+    try {
+      setIsCancelling(true);
+      await axios.post(`${backendUrl}/api/v1/jobs/${job.job_id}/cancel`, {}, {
+        headers: {
+          'Authorization': `Bearer ${import.meta.env.VITE_BEARER_TOKEN}`
+        }
+      });
+      toast({
+        title: "Cancellation Requested",
+        description: "The run will stop before the next shipment.",
+      });
+    } catch (error) {
+      console.error('Error cancelling run:', error);
+      toast({
+        title: "Error Cancelling Run",
+        description: "Failed to cancel the run. It may have already finished.",
+        variant: "destructive",
+      });
+    } finally {
+      setIsCancelling(false);
+    }
+  };
+
+  const progressPercent = job && job.progress.total > 0
+    ? Math.round((job.progress.processed / job.progress.total) * 100)
+    : 0;
+
+  return (
+    <div className="max-w-6xl mx-auto space-y-6">
+      <Card>
+        <CardHeader>
+          <div className="flex items-center justify-between gap-4">
+            <div>
+              <CardTitle className="text-xl md:text-2xl">Run Monitor</CardTitle>
+              <CardDescription>
+                Start a manual run and watch each AWB as it is processed
+              </CardDescription>
+            </div>
+            <Badge variant={isConnected ? "default" : "destructive"}>
+              {isConnected ? "Live" : "Disconnected"}
+            </Badge>
+          </div>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="flex flex-col sm:flex-row gap-3">
+            <Button
+              onClick={handleRunNow}
+              className="w-full sm:w-auto"
+              disabled={isStarting || isJobActive}
+            >
+              {isStarting ? "Starting..." : "Run Now (Previous Day)"}
+            </Button>
+            {isJobActive && (
+              <Button
+                onClick={handleCancel}
+                variant="outline"
+                className="w-full sm:w-auto"
+                disabled={isCancelling}
+              >
+                {isCancelling ? "Cancelling..." : "Cancel Run"}
+              </Button>
+            )}
+          </div>
+
+          {job && (
+            <div className="space-y-2 p-4 border rounded-lg bg-gray-50/50">
+              <div className="flex flex-wrap items-center justify-between gap-2 text-sm">
+                <span>
+                  <strong>Status:</strong> {job.status}
+                  {job.run_id ? ` (run ${job.run_id})` : ''}
+                </span>
+                <span>
+                  <strong>Phase:</strong> {job.phase}
+                </span>
+                <span>
+                  {job.progress.processed}/{job.progress.total}
+                </span>
+              </div>
+              <Progress value={progressPercent} />
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="text-lg md:text-xl">
+            Live Events ({events.length})
+          </CardTitle>
+        </CardHeader>
+        <CardContent>
+          {events.length === 0 ? (
+            <div className="text-center py-8">
+              <p className="text-gray-500">No events yet.</p>
+              <p className="text-sm text-gray-400 mt-2">Events appear here as soon as a scheduled or manual run starts.</p>
+            </div>
+          ) : (
+            <div className="space-y-1 max-h-[500px] overflow-y-auto">
+              {events.map(event => (
+                <div
+                  key={`${event.id}-${event.type}`}
+                  className={`flex items-start gap-3 px-3 py-2 rounded text-xs md:text-sm ${eventStyles[event.type] || ''}`}
+                >
+                  <span className="text-gray-500 whitespace-nowrap">
+                    {new Date(event.data.timestamp).toLocaleTimeString()}
+                  </span>
+                  <span className="font-medium whitespace-nowrap">{event.type}</span>
+                  <span className="break-all">{describeEvent(event)}</span>
+                </div>
+              ))}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default RunMonitor;
@@ -0,0 +1,321 @@
+import axios from "axios";
+import { useCallback, useEffect, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Switch } from "@/components/ui/switch";
+import { useToast } from "@/hooks/use-toast";
+
+interface Supplier {
+  id: number;
+  customer_id: string | null;
+  display_name: string;
+  aliases: string[];
+  active: boolean;
+  allowed_countries: string[] | null;
+  allowed_service_types: string[] | null;
+  min_shipment_value_usd: number | null;
+  daily_quota: number | null;
+  monthly_quota: number | null;
+}
+
+// Form values for one supplier; lists are edited comma-separated and an empty override uses the global setting
+interface SupplierDraft {
+  customer_id: string;
+  display_name: string;
+  aliases: string;
+  active: boolean;
+  allowed_countries: string;
+  allowed_service_types: string;
+  min_shipment_value_usd: string;
+  daily_quota: string;
+  monthly_quota: string;
+}
+
+const EMPTY_DRAFT: SupplierDraft = {
+  customer_id: '',
+  display_name: '',
+  aliases: '',
+  active: true,
+  allowed_countries: '',
+  allowed_service_types: '',
+  min_shipment_value_usd: '',
+  daily_quota: '',
+  monthly_quota: '',
+};
+
+const toDraft = (supplier: Supplier): SupplierDraft => ({
+  customer_id: supplier.customer_id || '',
+  display_name: supplier.display_name,
+  aliases: supplier.aliases.join(', '),
+  active: supplier.active,
+  allowed_countries: supplier.allowed_countries?.join(', ') || '',
+  allowed_service_types: supplier.allowed_service_types?.join(', ') || '',
+  min_shipment_value_usd: supplier.min_shipment_value_usd?.toString() || '',
+  daily_quota: supplier.daily_quota?.toString() || '',
+  monthly_quota: supplier.monthly_quota?.toString() || '',
+});
+
+const toNumberOrNull = (value: string) => (value.trim() === '' ? null : Number(value));
+
+const toPayload = (draft: SupplierDraft) => ({
+  customer_id: draft.customer_id.trim() || null,
+  display_name: draft.display_name.trim(),
+  aliases: draft.aliases,
+  active: draft.active,
+  allowed_countries: draft.allowed_countries.trim() || null,
+  allowed_service_types: draft.allowed_service_types.trim() || null,
+  min_shipment_value_usd: toNumberOrNull(draft.min_shipment_value_usd),
+  daily_quota: toNumberOrNull(draft.daily_quota),
+  monthly_quota: toNumberOrNull(draft.monthly_quota),
+});
+
+const SuppliersEditor = () => {
+  const { toast } = useToast();
+
+  // Environment-based URL selection
+  let backendUrl = '';
+  if (import.meta.env.VITE_ENV === 'prod') {
+    backendUrl = import.meta.env.VITE_BACKEND_PROD_URL;
+  } else {
+    backendUrl = import.meta.env.VITE_BACKEND_LOCAL_URL;
+  }
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${import.meta.env.VITE_BEARER_TOKEN}`
+  };
+
+  const [drafts, setDrafts] = useState<Record<number, SupplierDraft>>({});
+  const [supplierIds, setSupplierIds] = useState<number[]>([]);
+  const [newSupplier, setNewSupplier] = useState<SupplierDraft>(EMPTY_DRAFT);
+  const [isLoading, setIsLoading] = useState(true);
+  // Supplier currently being saved or deleted ('new' while adding)
+  const [busySupplier, setBusySupplier] = useState<number | 'new' | null>(null);
+
+  const fetchSuppliers = useCallback(async () => {
+    try {
+      const response = await axios.get(`${backendUrl}/api/v1/suppliers`, {
+        headers: {
+          'Authorization': `Bearer ${import.meta.env.VITE_BEARER_TOKEN}`
+        }
+      });
+      if (response.data.success) {
+        const suppliers: Supplier[] = response.data.data;
+        setSupplierIds(suppliers.map((supplier) => supplier.id));
+        setDrafts(Object.fromEntries(suppliers.map((supplier) => [supplier.id, toDraft(supplier)])));
+      }
+    } catch (error) {
+      console.error('Error fetching suppliers:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [backendUrl]);
+
+  useEffect(() => {
+    fetchSuppliers();
+  }, [fetchSuppliers]);
+
+  const updateDraft = (supplierId: number, field: keyof SupplierDraft, value: string | boolean) => {
+    setDrafts((current) => ({ ...current, [supplierId]: { ...current[supplierId], [field]: value } }));
+  };
+
+  const showError = (title: string, error) => {
+    toast({
+      title,
+      description: error.response?.data?.message || "Please check the values and try again.",
+      variant: "destructive",
+    });
+  };
+
+  const handleSave = async (supplierId: number) => {
+    try {
+      setBusySupplier(supplierId);
+      await axios.patch(`${backendUrl}/api/v1/suppliers/${supplierId}`, toPayload(drafts[supplierId]), { headers });
+      toast({
+        title: "Supplier Saved",
+        description: "The supplier applies from the next run.",
+      });
+      await fetchSuppliers();
+    } catch (error) {
+      console.error('Error saving supplier:', error);
+      showError("Error Saving Supplier", error);
+    } finally {
+      setBusySupplier(null);
+    }
+  };
+
+  const handleDelete = async (supplierId: number) => {
+    try {
+      setBusySupplier(supplierId);
+      await axios.delete(`${backendUrl}/api/v1/suppliers/${supplierId}`, { headers });
+      toast({
+        title: "Supplier Deleted",
+        description: "Shipments from this customer will no longer qualify.",
+      });
+      await fetchSuppliers();
+    } catch (error) {
+      console.error('Error deleting supplier:', error);
+      showError("Error Deleting Supplier", error);
+    } finally {
+      setBusySupplier(null);
+    }
+  };
+
+  const handleAdd = async () => {
+    try {
+      setBusySupplier('new');
+      await axios.post(`${backendUrl}/api/v1/suppliers`, toPayload(newSupplier), { headers });
+      setNewSupplier(EMPTY_DRAFT);
+      toast({
+        title: "Supplier Added",
+        description: "The supplier applies from the next run.",
+      });
+      await fetchSuppliers();
+    } catch (error) {
+      console.error('Error adding supplier:', error);
+      showError("Error Adding Supplier", error);
+    } finally {
+      setBusySupplier(null);
+    }
+  };
+
+  const renderFields = (draft: SupplierDraft, onChange: (field: keyof SupplierDraft, value: string | boolean) => void) => (
+    <>
+      <td className="border border-gray-300 px-2 py-2">
+        <Input
+          value={draft.customer_id}
+          onChange={(e) => onChange('customer_id', e.target.value)}
+          placeholder="Lex Customer_ID"
+          className="w-32"
+        />
+      </td>
+      <td className="border border-gray-300 px-2 py-2">
+        <Input
+          value={draft.display_name}
+          onChange={(e) => onChange('display_name', e.target.value)}
+          placeholder="AURA GEMSTONES"
+        />
+      </td>
+      <td className="border border-gray-300 px-2 py-2">
+        <Input
+          value={draft.aliases}
+          onChange={(e) => onChange('aliases', e.target.value)}
+          placeholder="Aura Gemstones Pvt Ltd, AURA GEMS"
+        />
+      </td>
+      <td className="border border-gray-300 px-2 py-2">
+        <Input
+          value={draft.allowed_countries}
+          onChange={(e) => onChange('allowed_countries', e.target.value)}
+          placeholder="All"
+          className="w-24"
+        />
+      </td>
+      <td className="border border-gray-300 px-2 py-2">
+        <Input
+          value={draft.allowed_service_types}
+          onChange={(e) => onChange('allowed_service_types', e.target.value)}
+          placeholder="All"
+          className="w-24"
+        />
+      </td>
+      <td className="border border-gray-300 px-2 py-2">
+        <Input
+          type="number"
+          min="0"
+          step="0.01"
+          value={draft.min_shipment_value_usd}
+          onChange={(e) => onChange('min_shipment_value_usd', e.target.value)}
+          placeholder="Global"
+          className="w-24"
+        />
+      </td>
+      <td className="border border-gray-300 px-2 py-2">
+        <Input
+          type="number"
+          min="1"
+          value={draft.daily_quota}
+          onChange={(e) => onChange('daily_quota', e.target.value)}
+          placeholder="None"
+          className="w-20"
+        />
+      </td>
+      <td className="border border-gray-300 px-2 py-2">
+        <Input
+          type="number"
+          min="1"
+          value={draft.monthly_quota}
+          onChange={(e) => onChange('monthly_quota', e.target.value)}
+          placeholder="None"
+          className="w-20"
+        />
+      </td>
+      <td className="border border-gray-300 px-2 py-2">
+        <Switch checked={draft.active} onCheckedChange={(checked) => onChange('active', checked)} />
+      </td>
+    </>
+  );
+
+  return (
+    <Card className="mt-6">
+      <CardHeader>
+        <CardTitle className="text-lg md:text-xl">Suppliers</CardTitle>
+        <CardDescription>
+          Customers whose shipments can be insured. A shipment matches by its Lex customer ID first, then by a company name exactly equal to the display name or an alias (case and punctuation ignored). Countries and service types narrow the global settings, the minimum value replaces the global one and quotas cap the policies per day and month; leave them empty to use the global settings
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        {isLoading ? (
+          <p className="text-sm text-gray-600">Loading suppliers...</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full border-collapse border border-gray-300">
+              <thead>
+                <tr className="bg-gray-50">
+                  <th className="border border-gray-300 px-2 py-2 text-left text-xs md:text-sm font-medium">Customer ID</th>
+                  <th className="border border-gray-300 px-2 py-2 text-left text-xs md:text-sm font-medium">Display Name</th>
+                  <th className="border border-gray-300 px-2 py-2 text-left text-xs md:text-sm font-medium">Aliases</th>
+                  <th className="border border-gray-300 px-2 py-2 text-left text-xs md:text-sm font-medium">Countries</th>
+                  <th className="border border-gray-300 px-2 py-2 text-left text-xs md:text-sm font-medium">Service Types</th>
+                  <th className="border border-gray-300 px-2 py-2 text-left text-xs md:text-sm font-medium">Min Value (USD)</th>
+                  <th className="border border-gray-300 px-2 py-2 text-left text-xs md:text-sm font-medium">Daily Quota</th>
+                  <th className="border border-gray-300 px-2 py-2 text-left text-xs md:text-sm font-medium">Monthly Quota</th>
+                  <th className="border border-gray-300 px-2 py-2 text-left text-xs md:text-sm font-medium">Active</th>
+                  <th className="border border-gray-300 px-2 py-2 text-left text-xs md:text-sm font-medium">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {supplierIds.map((supplierId) => (
+                  <tr key={supplierId}>
+                    {renderFields(drafts[supplierId], (field, value) => updateDraft(supplierId, field, value))}
+                    <td className="border border-gray-300 px-2 py-2">
+                      <div className="flex gap-1">
+                        <Button size="sm" onClick={() => handleSave(supplierId)} disabled={busySupplier !== null}>
+                          Save
+                        </Button>
+                        <Button size="sm" variant="outline" onClick={() => handleDelete(supplierId)} disabled={busySupplier !== null}>
+                          Delete
+                        </Button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+                <tr className="bg-gray-50">
+                  {renderFields(newSupplier, (field, value) => setNewSupplier((current) => ({ ...current, [field]: value })))}
+                  <td className="border border-gray-300 px-2 py-2">
+                    <Button size="sm" onClick={handleAdd} disabled={busySupplier !== null}>
+                      {busySupplier === 'new' ? 'Adding...' : 'Add'}
+                    </Button>
+                  </td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default SuppliersEditor;
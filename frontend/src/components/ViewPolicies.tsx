@@ -7,6 +7,26 @@ import { Label } from "@/components/ui/label";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { useToast } from "@/hooks/use-toast";
 
+interface ValidationCheck {
+  rule: string;
+  passed: boolean;
+  message: string | null;
+}
+
+interface SingleShipmentResult {
+  awb: string;
+  status: string;
+  forced: boolean;
+  previous_policy_id: string | null;
+  validation: ValidationCheck[];
+  eta: {
+    eta: string | null;
+    skipped_holidays: { date: string; name: string }[];
+  } | null;
+  error: string | null;
+  coverzy_response: { policyId?: string; amount?: number } | null;
+}
+
 const ViewPolicies = () => {
   const { toast } = useToast();
   
@@ -19,15 +39,22 @@ const ViewPolicies = () => {
   }
   
   const [startDate, setStartDate] = useState('2025-06-30');
-  const [endDate, setEndDate] = useState(new Date().toISOString().split('T')[0]);
+  const [endDate, setEndDate] = useState(new Date().toLocaleDateString('en-CA'));
   const [selectedSupplier, setSelectedSupplier] = useState('');
   const [showTable, setShowTable] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
   const [policies, setPolicies] = useState([]);
+  // Business timezone the backend filtered in; created_at dates are shown in it too
+  const [timezone, setTimezone] = useState<string | undefined>(undefined);
   const [suppliers, setSuppliers] = useState([]);
   const [isSuppliersLoading, setIsSuppliersLoading] = useState(true);
+  const [insureAwb, setInsureAwb] = useState('');
+  const [isInsuring, setIsInsuring] = useState(false);
+  const [insureResult, setInsureResult] = useState<SingleShipmentResult | null>(null);
+  // Policy the AWB already has; set when the backend refuses a duplicate so the user can force it
+  const [existingPolicyId, setExistingPolicyId] = useState<string | null>(null);
 
-  // Fetch suppliers from settings on component mount
+  // Fetch suppliers from the supplier master on component mount
   useEffect(() => {
     fetchSuppliers();
   }, []);
@@ -35,7 +62,7 @@ const ViewPolicies = () => {
   const fetchSuppliers = async () => {
     try {
       setIsSuppliersLoading(true);
-      const response = await axios.get(`${backendUrl}/api/v1/coverzy-settings`, {
+      const response = await axios.get(`${backendUrl}/api/v1/suppliers`, {
         headers: {
           'Authorization': `Bearer ${import.meta.env.VITE_BEARER_TOKEN}`
         }
@@ -44,21 +71,13 @@ const ViewPolicies = () => {
       const data = response.data;
       
       if (data.success && data.data && data.data.length > 0) {
-        const settings = data.data[0]; // Get the first (latest) settings record
-        
-        // Parse supplier_names (comma-separated string) into array
-        if (settings.supplier_names) {
-          const supplierArray = settings.supplier_names
-            .split(',')
-            .map(supplier => supplier.trim())
-            .filter(supplier => supplier.length > 0);
-          setSuppliers(supplierArray);
-        }
+        // Policies are filed under the supplier's display name; inactive suppliers still have past policies
+        setSuppliers(data.data.map(supplier => supplier.display_name));
       } else {
-        console.warn('No settings found for suppliers');
+        console.warn('No suppliers found in the supplier master');
         toast({
           title: "Warning",
-          description: "Could not load supplier list from settings.",
+          description: "Could not load supplier list.",
           variant: "destructive",
         });
       }
@@ -118,6 +137,7 @@ const ViewPolicies = () => {
 
       if (data.success) {
         setPolicies(data.data || []);
+        setTimezone(data.filters_applied?.date_range?.timezone);
         setShowTable(true);
         
         toast({
@@ -139,6 +159,57 @@ const ViewPolicies = () => {
     }
   };
 
+  // Validate and insure a single AWB now; force re-insures an AWB that already has a policy
+  const handleInsureNow = async (force = false) => {
+    const awb = insureAwb.trim();
+    if (!awb) {
+      toast({
+        title: "Validation Error",
+        description: "Please enter an AWB number.",
+        variant: "destructive",
+      });
+      return;
+    }
+
+    try {
+      setIsInsuring(true);
+      setInsureResult(null);
+      setExistingPolicyId(null);
+
+      const response = await axios.post(`${backendUrl}/api/v1/shipments/${encodeURIComponent(awb)}/process`, { force }, {
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${import.meta.env.VITE_BEARER_TOKEN}`
+        }
+      });
+
+      setInsureResult(response.data.data);
+      toast({
+        title: "Shipment Insured",
+        description: `AWB ${awb} insured under policy ${response.data.data.coverzy_response?.policyId}.`,
+      });
+    } catch (error) {
+      console.error('Error insuring shipment:', error);
+      const data = error.response?.data;
+
+      if (data?.existing_policy_id) {
+        setExistingPolicyId(data.existing_policy_id);
+      }
+      // Validation and Covrzy failures still return the breakdown
+      if (data?.data) {
+        setInsureResult(data.data);
+      }
+
+      toast({
+        title: "Shipment Not Insured",
+        description: data?.message || "Failed to insure the shipment. Please try again.",
+        variant: "destructive",
+      });
+    } finally {
+      setIsInsuring(false);
+    }
+  };
+
   // Helper function to handle PDF viewing with API key
   const handlePdfView = async (pdfUrl, policyId) => {
     if (!pdfUrl) return;
@@ -229,11 +300,12 @@ const ViewPolicies = () => {
   const formatDate = (dateString) => {
     if (!dateString) return 'N/A';
     try {
-      const date = new Date(dateString);
-      const day = String(date.getDate()).padStart(2, '0');
-      const month = String(date.getMonth() + 1).padStart(2, '0');
-      const year = date.getFullYear();
-      return `${day}-${month}-${year}`;
+      const parts = Object.fromEntries(
+        new Intl.DateTimeFormat('en-GB', { timeZone: timezone, day: '2-digit', month: '2-digit', year: 'numeric' })
+          .formatToParts(new Date(dateString))
+          .map(part => [part.type, part.value])
+      );
+      return `${parts.day}-${parts.month}-${parts.year}`;
     } catch (error) {
       return dateString;
     }
@@ -297,6 +369,66 @@ const ViewPolicies = () => {
         </CardContent>
       </Card>
 
+      <Card>
+        <CardHeader>
+          <CardTitle className="text-lg md:text-xl">Insure a Shipment</CardTitle>
+          <CardDescription>
+            Validate and insure a single AWB now, e.g. one that was missed by the daily run
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="flex flex-col sm:flex-row gap-2">
+            <Input
+              value={insureAwb}
+              onChange={(e) => setInsureAwb(e.target.value)}
+              placeholder="AWB number"
+              className="sm:w-64"
+            />
+            <Button onClick={() => handleInsureNow()} disabled={isInsuring}>
+              {isInsuring ? "Insuring..." : "Insure now"}
+            </Button>
+          </div>
+
+          {existingPolicyId && (
+            <div className="flex flex-col sm:flex-row sm:items-center gap-2 rounded-md border border-yellow-200 bg-yellow-50 p-3">
+              <p className="text-sm text-yellow-800">
+                This AWB is already insured under policy {existingPolicyId}. Insuring it again buys a new policy that replaces it.
+              </p>
+              <Button variant="destructive" size="sm" onClick={() => handleInsureNow(true)} disabled={isInsuring}>
+                Insure anyway
+              </Button>
+            </div>
+          )}
+
+          {insureResult && (
+            <div className="space-y-2 rounded-md border p-3">
+              <p className="text-sm font-medium">
+                AWB {insureResult.awb}: {insureResult.status}
+                {insureResult.coverzy_response?.policyId && ` (policy ${insureResult.coverzy_response.policyId})`}
+                {insureResult.forced && insureResult.previous_policy_id && `, replacing policy ${insureResult.previous_policy_id}`}
+              </p>
+              <ul className="space-y-1">
+                {insureResult.validation.map((check) => (
+                  <li key={check.rule} className={`text-sm ${check.passed ? 'text-green-700' : 'text-red-700'}`}>
+                    {check.passed ? '✓' : '✗'} {check.rule}{check.message && `: ${check.message}`}
+                  </li>
+                ))}
+              </ul>
+              {insureResult.eta?.eta && (
+                <p className="text-sm text-gray-600">
+                  ETA {insureResult.eta.eta.split(' ')[0]}
+                  {insureResult.eta.skipped_holidays.length > 0 &&
+                    `, moved past ${insureResult.eta.skipped_holidays.map((holiday) => `${holiday.name} (${holiday.date})`).join(', ')}`}
+                </p>
+              )}
+              {insureResult.error && insureResult.validation.every((check) => check.passed) && (
+                <p className="text-sm text-red-700">{insureResult.error}</p>
+              )}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
       {showTable && (
         <Card>
           <CardHeader>
@@ -321,6 +453,7 @@ const ViewPolicies = () => {
                       <th className="border border-gray-300 px-2 py-2 text-left text-xs md:text-sm font-medium">Policy ID</th>
                       <th className="border border-gray-300 px-2 py-2 text-left text-xs md:text-sm font-medium">Amount</th>
                       <th className="border border-gray-300 px-2 py-2 text-left text-xs md:text-sm font-medium">Currency</th>
+                      <th className="border border-gray-300 px-2 py-2 text-left text-xs md:text-sm font-medium">Shipment Value</th>
                       <th className="border border-gray-300 px-2 py-2 text-left text-xs md:text-sm font-medium">Created Date</th>
                       <th className="border border-gray-300 px-2 py-2 text-left text-xs md:text-sm font-medium">Actions</th>
                     </tr>
@@ -334,6 +467,11 @@ const ViewPolicies = () => {
                         <td className="border border-gray-300 px-2 py-2 text-xs md:text-sm">{policy.policy_id || 'N/A'}</td>
                         <td className="border border-gray-300 px-2 py-2 text-xs md:text-sm">{policy.amount || 'N/A'}</td>
                         <td className="border border-gray-300 px-2 py-2 text-xs md:text-sm">{policy.currency || 'N/A'}</td>
+                        <td className="border border-gray-300 px-2 py-2 text-xs md:text-sm">
+                          {policy.declared_value != null
+                            ? `${policy.declared_value} ${policy.declared_currency}${policy.value_usd != null && policy.declared_currency !== 'USD' ? ` (USD ${policy.value_usd})` : ''}`
+                            : 'N/A'}
+                        </td>
                         <td className="border border-gray-300 px-2 py-2 text-xs md:text-sm">{formatDate(policy.created_at)}</td>
                         <td className="border border-gray-300 px-2 py-2 text-xs md:text-sm">
                           {policy.view_pdf ? (